@@ -1,9 +1,11 @@
-import { ChatOpenAI } from 'langchain/chat_models/openai';
-import { HumanMessage, SystemMessage } from 'langchain/schema';
+import { invokeModel } from '../lib/llm/index.js';
+import { DEFAULT_LANGUAGE, getLanguage, languageInstructions } from './languages.js';
 
-const systemPrompt = `You are an expert programming assistant specialized in solving coding problems.
-Your task is to analyze the provided problem statement and generate a complete, efficient, and well-documented solution.
-Do not include a main method or any test harness. Only complete the function within the existing class Solution.
+const buildSystemPrompt = (language) => {
+  const { label, example, completion } = getLanguage(language);
+  return `You are an expert programming assistant specialized in solving coding problems.
+Your task is to analyze the provided problem statement and generate a complete, efficient, and well-documented ${label} solution.
+Do not include a main method or any test harness. Only complete the function (or class) given in the starter code.
 
 Guidelines:
 1. Carefully analyze the problem statement, input/output examples, and constraints
@@ -17,34 +19,31 @@ Example Prompt Input:
 ----------------------
 Given the problem: "Return the sum of two integers."
 
-class Solution:
-    def add(self, a: int, b: int) -> int:
-
+${example}
 ----------------------
 
 Your completion should be:
 
-class Solution:
-    def add(self, a: int, b: int) -> int:
-        return a + b
+${completion}
 
 Do not add main or any test code
 `;
+};
 
-export async function processImage(problemStatement, modelName = 'gpt-4', additionalInstructions = '') {
-  console.log('[CodeGenerator] Starting code generation', { problemLength: problemStatement?.length || 0, model: modelName, hasAdditionalInstructions: !!additionalInstructions });
+// `onToken`, when given, receives the solution text as it is streamed.
+// `language` selects the prompt template (see ./languages.js) and
+// `starterCode`, when provided, is the stub the solution must complete.
+export async function processImage(problemStatement, modelName = 'gpt-4', additionalInstructions = '', { onToken, language = DEFAULT_LANGUAGE, starterCode, meter } = {}) {
+  console.log('[CodeGenerator] Starting code generation', { problemLength: problemStatement?.length || 0, model: modelName, language, hasStarterCode: !!starterCode, hasAdditionalInstructions: !!additionalInstructions });
   
   try {
-    const chat = new ChatOpenAI({
-      modelName: modelName
-    });
-
     let prompt = `Please analyze the following coding problem and provide a complete solution with explanation.`;
     
     if (additionalInstructions) {
       prompt += `\n\nAdditional Instructions:\n${additionalInstructions}`;
     }
     
+    prompt += `\n\n${languageInstructions(language, starterCode)}`;
     prompt += `\n\nProblem Statement:\n${problemStatement}`;
     console.log('[CodeGenerator] Prompt length:', prompt.length);
     // avoid logging full prompt to prevent leaking large data; log snippet instead
@@ -52,17 +51,18 @@ export async function processImage(problemStatement, modelName = 'gpt-4', additi
     const startTime = Date.now();
     console.log('[CodeGenerator] Sending request to model', modelName);
     
-    const response = await chat.invoke([
-      new SystemMessage(systemPrompt),
-      new HumanMessage({
+    const response = await invokeModel(modelName, [
+      { role: 'system', content: buildSystemPrompt(language) },
+      {
+        role: 'user',
         content: [
           {
             type: 'text',
             text: prompt
           }
         ]
-      })
-    ]);
+      }
+    ], { agent: 'codeGenerator', onToken, meter });
 
     const endTime = Date.now();
     const processingTime = endTime - startTime;
@@ -0,0 +1,147 @@
+// Per-language prompt templates shared by the agents. `example` is the stub a
+// user would see on a judge and `completion` the finished version, used to
+// show the model the expected output shape for "Return the sum of two integers."
+
+export const DEFAULT_LANGUAGE = 'python';
+
+export const LANGUAGES = {
+  python: {
+    label: 'Python 3',
+    fence: 'python',
+    example: `class Solution:
+    def add(self, a: int, b: int) -> int:
+`,
+    completion: `class Solution:
+    def add(self, a: int, b: int) -> int:
+        return a + b`
+  },
+  java: {
+    label: 'Java',
+    fence: 'java',
+    example: `class Solution {
+    public int add(int a, int b) {
+
+    }
+}`,
+    completion: `class Solution {
+    public int add(int a, int b) {
+        return a + b;
+    }
+}`
+  },
+  cpp: {
+    label: 'C++17',
+    fence: 'cpp',
+    example: `class Solution {
+public:
+    int add(int a, int b) {
+
+    }
+};`,
+    completion: `class Solution {
+public:
+    int add(int a, int b) {
+        return a + b;
+    }
+};`
+  },
+  javascript: {
+    label: 'JavaScript',
+    fence: 'javascript',
+    example: `/**
+ * @param {number} a
+ * @param {number} b
+ * @return {number}
+ */
+var add = function(a, b) {
+
+};`,
+    completion: `/**
+ * @param {number} a
+ * @param {number} b
+ * @return {number}
+ */
+var add = function(a, b) {
+    return a + b;
+};`
+  },
+  typescript: {
+    label: 'TypeScript',
+    fence: 'typescript',
+    example: `function add(a: number, b: number): number {
+
+}`,
+    completion: `function add(a: number, b: number): number {
+    return a + b;
+}`
+  },
+  go: {
+    label: 'Go',
+    fence: 'go',
+    example: `func add(a int, b int) int {
+
+}`,
+    completion: `func add(a int, b int) int {
+    return a + b
+}`
+  },
+  rust: {
+    label: 'Rust',
+    fence: 'rust',
+    example: `impl Solution {
+    pub fn add(a: i32, b: i32) -> i32 {
+
+    }
+}`,
+    completion: `impl Solution {
+    pub fn add(a: i32, b: i32) -> i32 {
+        a + b
+    }
+}`
+  },
+  csharp: {
+    label: 'C#',
+    fence: 'csharp',
+    example: `public class Solution {
+    public int Add(int a, int b) {
+
+    }
+}`,
+    completion: `public class Solution {
+    public int Add(int a, int b) {
+        return a + b;
+    }
+}`
+  },
+  kotlin: {
+    label: 'Kotlin',
+    fence: 'kotlin',
+    example: `class Solution {
+    fun add(a: Int, b: Int): Int {
+
+    }
+}`,
+    completion: `class Solution {
+    fun add(a: Int, b: Int): Int {
+        return a + b
+    }
+}`
+  }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+export function getLanguage(language) {
+  return LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+// Prompt section telling the model which language to use and, when the user
+// pasted one, which starter code to complete verbatim.
+export function languageInstructions(language, starterCode) {
+  const { label, fence } = getLanguage(language);
+  let text = `Target language: ${label}. Write the solution in ${label} inside a \`\`\`${fence} code block.`;
+  if (starterCode) {
+    text += `\n\nComplete this starter code exactly as given (keep the class, function names and signatures unchanged):\n\`\`\`${fence}\n${starterCode}\n\`\`\``;
+  }
+  return text;
+}
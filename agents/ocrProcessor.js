@@ -1,26 +1,53 @@
-import { ChatOpenAI } from 'langchain/chat_models/openai';
-import { HumanMessage, SystemMessage } from 'langchain/schema';
+import { invokeModel } from '../lib/llm/index.js';
+import { extractJson } from '../utils/json.js';
+import { problemSchema, renderProblemMarkdown } from './problemSchema.js';
+
+// OCR always runs on a vision-capable model regardless of the model the user
+// picked for solving.
+const OCR_MODEL = process.env.OCR_MODEL || 'gpt-5-mini';
 
 const systemPrompt = `You are an expert at extracting and formatting coding problems from images.
-Your task is to analyze the provided images of coding problems and convert them into a well-structured text format.
+Your task is to analyze the provided images of coding problems and convert them into a structured JSON object.
 
 Guidelines:
 1. Carefully analyze all images to understand the complete problem
 2. Extract the problem statement, constraints, and any examples
-3. Format the output in a clear, organized markdown format
-4. Include any test cases or examples provided in the images
-5. If there are multiple images, combine the information logically
-6. Preserve all important details and requirements from the original problem`;
+3. Include every example or test case shown in the images, with its exact input and output
+4. If there are multiple images, combine the information logically
+5. Preserve all important details and requirements from the original problem
+
+Respond with only a JSON object of this shape:
+{
+  "title": "Problem title",
+  "description": "Full problem statement in markdown",
+  "inputFormat": "Description of the input (empty string if not given)",
+  "outputFormat": "Description of the output (empty string if not given)",
+  "constraints": ["2 <= nums.length <= 10^4"],
+  "examples": [{ "input": "nums = [2,7], target = 9", "output": "[0,1]", "explanation": "optional" }],
+  "functionSignature": "Starter code or signature shown in the images, or null"
+}`;
 
-export async function processImages(imagesData) {
+// Validate the model's JSON against problemSchema. Returns null when the
+// response is not usable structured output (e.g. the model answered in prose).
+export function parseProblem(content) {
+  try {
+    const parsed = problemSchema.safeParse(extractJson(content, '{'));
+    if (parsed.success) return parsed.data;
+    console.warn('[OCRProcessor] Structured output failed validation', { issues: parsed.error.issues.length });
+  } catch (e) {
+    console.warn('[OCRProcessor] No JSON object in response', { error: e.message });
+  }
+  return null;
+}
+
+// Returns { problem, problemStatement }: the validated structured object and
+// its markdown rendering. If the model does not return valid JSON the raw
+// text becomes the problemStatement and `problem` is null.
+export async function processImages(imagesData, { meter } = {}) {
   try {
     console.log('[OCRProcessor] Starting image processing', { count: imagesData.length });
     
-    const chat = new ChatOpenAI({
-      modelName: 'gpt-5-mini'
-    });
-
-    console.log('[OCRProcessor] Model initialized: gpt-5-mini');
+    console.log('[OCRProcessor] Using model:', OCR_MODEL);
 
     // Prepare image content for the API
     const imageContents = imagesData.map((imageData, index) => {
@@ -38,18 +65,19 @@ export async function processImages(imagesData) {
     const startTime = Date.now();
     
     try {
-      const response = await chat.invoke([
-        new SystemMessage(systemPrompt),
-        new HumanMessage({
+      const response = await invokeModel(OCR_MODEL, [
+        { role: 'system', content: systemPrompt },
+        {
+          role: 'user',
           content: [
             {
               type: 'text',
-              text: 'Please extract and format the coding problem from these images into a well-structured text format.'
+              text: 'Please extract the coding problem from these images into the JSON format described.'
             },
             ...imageContents
           ]
-        })
-      ]);
+        }
+      ], { agent: 'ocr', meter });
 
       const endTime = Date.now();
       const processingTime = endTime - startTime;
@@ -57,7 +85,12 @@ export async function processImages(imagesData) {
       console.log('[OCRProcessor] Received response', { time_s: (processingTime / 1000).toFixed(2), contentLength: response.content?.length || 0 });
       console.log('[OCRProcessor] Extract snippet:', (response.content || '').slice(0, 200));
 
-      return response.content;
+      const problem = parseProblem(response.content);
+      if (!problem) {
+        console.log('[OCRProcessor] Falling back to free-form problem statement');
+        return { problem: null, problemStatement: response.content };
+      }
+      return { problem, problemStatement: renderProblemMarkdown(problem) };
     } catch (error) {
       console.error('[OCRProcessor] Error during OCR processing:', {
         error: error.message,
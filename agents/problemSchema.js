@@ -0,0 +1,44 @@
+import { z } from 'zod';
+
+// Structured problem produced by the OCR agent (and accepted back from the
+// client on POST /api/solve once the user has edited it). Agents don't read
+// it directly: they get renderProblemMarkdown's text as the problemStatement.
+
+// Models sometimes emit example values as arrays/objects instead of strings
+const text = z.preprocess((v) => (v === null || v === undefined || typeof v === 'string' ? v : JSON.stringify(v)), z.string());
+
+export const problemSchema = z.object({
+  title: text.default(''),
+  description: text.pipe(z.string().min(1)),
+  inputFormat: text.default(''),
+  outputFormat: text.default(''),
+  constraints: z.array(text).default([]),
+  examples: z.array(z.object({
+    input: text,
+    output: text,
+    explanation: text.optional()
+  })).default([]),
+  functionSignature: text.nullable().default(null)
+});
+
+export function renderProblemMarkdown(problem) {
+  const sections = [];
+  if (problem.title) sections.push(`# ${problem.title}`);
+  sections.push(problem.description.trim());
+  if (problem.inputFormat) sections.push(`## Input Format\n${problem.inputFormat.trim()}`);
+  if (problem.outputFormat) sections.push(`## Output Format\n${problem.outputFormat.trim()}`);
+  if (problem.examples.length > 0) {
+    sections.push(`## Examples\n\n${problem.examples.map((ex, i) => {
+      let out = `**Example ${i + 1}**\n- Input: \`${ex.input}\`\n- Output: \`${ex.output}\``;
+      if (ex.explanation) out += `\n- Explanation: ${ex.explanation}`;
+      return out;
+    }).join('\n\n')}`);
+  }
+  if (problem.constraints.length > 0) {
+    sections.push(`## Constraints\n${problem.constraints.map((c) => `- \`${c}\``).join('\n')}`);
+  }
+  if (problem.functionSignature) {
+    sections.push(`## Function Signature\n\`\`\`\n${problem.functionSignature.trim()}\n\`\`\``);
+  }
+  return sections.join('\n\n');
+}
@@ -1,5 +1,6 @@
-import { ChatOpenAI } from 'langchain/chat_models/openai';
-import { HumanMessage, SystemMessage } from 'langchain/schema';
+import { invokeModel } from '../lib/llm/index.js';
+import { isSandboxEnabled, runTestMatrix } from '../services/sandbox.js';
+import { DEFAULT_LANGUAGE, languageInstructions } from './languages.js';
 
 const systemPrompt = `You are an expert at evaluating code solutions for programming problems.
 Your task is to analyze multiple solutions to the same problem and select the best one based on these criteria (in order of importance):
@@ -11,7 +12,22 @@ Your task is to analyze multiple solutions to the same problem and select the be
 
 Your response should include only the final code in a well-formatted code block, along with short comments telling how the code is working, do not include any other text in the response`;
 
-export async function evaluateSolutions(solutions, testCases, modelName = 'gpt-4') {
+function summarizeExecution(execution) {
+  return execution.candidates.map((c) => {
+    if (c.status !== 'ran') return `- Solution ${c.index + 1}: not executed (${c.status}${c.language ? `, ${c.language}` : ''})`;
+    return `- Solution ${c.index + 1} (${c.language}): passed ${c.passed}/${c.total} executed test cases`;
+  }).join('\n');
+}
+
+// Candidates are first executed against the generated test cases in the
+// sandbox (services/sandbox.js). A single candidate with the most passing
+// tests wins outright; the LLM is only asked to break ties (or to judge when
+// nothing could be executed). The pass/fail matrix is returned as `execution`.
+// `onToken`, when given, receives the selected solution text as it is
+// produced (in one piece when execution picked the winner). `language` and
+// `starterCode` constrain the final code the LLM writes.
+export async function evaluateSolutions(solutions, testCases, modelName = 'gpt-4', { onToken, language = DEFAULT_LANGUAGE, starterCode, meter } = {}) {
+  let execution = null;
   try {
     if (!solutions?.length) {
       throw new Error('No solutions provided for evaluation');
@@ -20,19 +36,54 @@ export async function evaluateSolutions(solutions, testCases, modelName = 'gpt-4
     console.log('[SolutionEvaluator] Starting evaluation', {
       solutionCount: solutions.length,
       testCaseCount: testCases?.length || 0,
-      model: modelName
-    });
-    
-    const chat = new ChatOpenAI({
-      modelName: modelName // Lower temperature for more consistent evaluations
+      model: modelName,
+      language
     });
 
+    if (isSandboxEnabled()) {
+      const execStart = Date.now();
+      try {
+        execution = await runTestMatrix(solutions, testCases);
+        console.log('[SolutionEvaluator] Sandbox execution finished', {
+          time_s: ((Date.now() - execStart) / 1000).toFixed(2),
+          passed: execution.candidates.map((c) => `${c.passed}/${c.total}`),
+          leaders: execution.leaders
+        });
+      } catch (execError) {
+        console.error('[SolutionEvaluator] Sandbox execution failed:', execError.message);
+      }
+    }
+
+    if (execution && execution.leaders.length === 1) {
+      const winner = execution.leaders[0];
+      const best = execution.candidates[winner];
+      console.log('[SolutionEvaluator] Selected solution by execution', { index: winner, passed: best.passed, total: best.total });
+      if (onToken && solutions[winner]) onToken(solutions[winner]);
+      return {
+        bestSolution: solutions[winner],
+        analysis: `Solution ${winner + 1} passed ${best.passed}/${best.total} executed test cases, more than any other candidate.`,
+        timestamp: new Date().toISOString(),
+        model: modelName,
+        selectedIndex: winner,
+        selectedBy: 'execution',
+        execution
+      };
+    }
+
+    // Only the tied leaders go to the LLM when execution produced any passes
+    const finalists = execution && execution.leaders.length > 1 ? execution.leaders : solutions.map((_, i) => i);
+
     const evaluationPrompt = `## Test Cases
 ${JSON.stringify(testCases, null, 2)}
-
+${execution ? `
+## Execution Results
+${summarizeExecution(execution)}
+` : ''}
 ## Solutions to Evaluate
-${solutions.map((sol, i) => `### Solution ${i + 1}
-${sol}\n`).join('\n')}
+${finalists.map((i) => `### Solution ${i + 1}
+${solutions[i]}\n`).join('\n')}
+
+${languageInstructions(language, starterCode)}
 
 Please evaluate the solutions above and provide:
 1. Detailed analysis of each solution
@@ -43,17 +94,18 @@ Please evaluate the solutions above and provide:
     const startTime = Date.now();
     console.log('[SolutionEvaluator] Sending evaluation request to model', modelName);
     
-    const response = await chat.invoke([
-      new SystemMessage(systemPrompt),
-      new HumanMessage({
+    const response = await invokeModel(modelName, [
+      { role: 'system', content: systemPrompt },
+      {
+        role: 'user',
         content: [
           {
             type: 'text',
             text: evaluationPrompt
           }
         ]
-      })
-    ]);
+      }
+    ], { agent: 'solutionEvaluator', onToken, meter });
 
     const endTime = Date.now();
     const processingTime = endTime - startTime;
@@ -66,7 +118,9 @@ Please evaluate the solutions above and provide:
       analysis: `Analysis completed. Evaluated ${solutions.length} solutions.`,
       timestamp: new Date().toISOString(),
       model: modelName,
-      evaluationTimeMs: processingTime
+      evaluationTimeMs: processingTime,
+      selectedBy: 'llm',
+      execution
     };
 
     console.log('[SolutionEvaluator] Evaluation completed successfully');
@@ -86,19 +140,21 @@ Please evaluate the solutions above and provide:
       timestamp: new Date().toISOString()
     });
     
-    const fallbackSolution = solutions?.[0] || 'No valid solution was generated';
+    const fallbackIndex = execution?.leaders?.[0] ?? 0;
+    const fallbackSolution = solutions?.[fallbackIndex] || 'No valid solution was generated';
     console.log('[SolutionEvaluator] Using fallback solution:', {
-      hasFallback: !!solutions?.[0],
+      hasFallback: !!solutions?.[fallbackIndex],
       fallbackLength: fallbackSolution.length
     });
     
     return {
       bestSolution: fallbackSolution,
-      analysis: `Error during evaluation: ${error.message}. Showing first solution as fallback.`,
+      analysis: `Error during evaluation: ${error.message}. Showing ${fallbackIndex === 0 ? 'first' : `solution ${fallbackIndex + 1}`} as fallback.`,
       error: true,
       timestamp: new Date().toISOString(),
       model: 'gpt-5-nano',
-      isFallback: true
+      isFallback: true,
+      execution
     };
   }
 }
@@ -1,5 +1,10 @@
-import { ChatOpenAI } from 'langchain/chat_models/openai';
-import { HumanMessage, SystemMessage } from 'langchain/schema';
+import { z } from 'zod';
+import { invokeModel } from '../lib/llm/index.js';
+import { extractJson } from '../utils/json.js';
+import { DEFAULT_LANGUAGE, getLanguage } from './languages.js';
+
+// How many times a malformed response is sent back to the model for repair
+const REPAIR_ATTEMPTS = Number(process.env.TEST_CASE_REPAIR_ATTEMPTS ?? 2);
 
 const systemPrompt = `You are an expert at creating comprehensive test cases for coding problems.
 Your task is to analyze the provided problem statement and generate test cases that cover:
@@ -11,61 +16,127 @@ Your task is to analyze the provided problem statement and generate test cases t
 Format your response as a JSON array of test cases, where each test case has:
 - input: The input for the test case
 - expected: The expected output
-- description: Brief description of what this test case checks`;
+- description: Brief description of what this test case checks
+- category (optional): one of "normal", "edge", "boundary", "error"
+
+Respond with only the JSON array, no prose.`;
+
+// input/expected may be any JSON value (the sandbox parses strings itself)
+const present = z.unknown().refine((v) => v !== undefined && v !== null, { message: 'Required' });
+
+const testCaseSchema = z.object({
+  input: present,
+  expected: present,
+  description: z.string(),
+  category: z.string().optional()
+});
+
+const testCasesSchema = z.array(testCaseSchema).min(1);
+
+// Strip fences/prose, take the first JSON array and validate every case.
+// Throws with a message suitable for sending back to the model.
+export function parseTestCases(content) {
+  const parsed = testCasesSchema.safeParse(extractJson(content, '['));
+  if (!parsed.success) {
+    const issues = parsed.error.issues.slice(0, 5).map((i) => `${i.path.length ? `[${i.path.join('.')}] ` : ''}${i.message}`);
+    throw new Error(`Invalid test cases: ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
 
-export async function generateTestCases(problemStatement, modelName = 'gpt-4', additionalInstructions = '') {
+// Examples extracted by the OCR agent become the first test cases verbatim,
+// so the known-good outputs never depend on the model copying them correctly.
+function exampleTestCases(examples = []) {
+  return examples.map((ex, i) => ({
+    input: ex.input,
+    expected: ex.output,
+    description: `Example ${i + 1} from the problem statement`
+  }));
+}
+
+const inputKey = (input) => (typeof input === 'string' ? input : JSON.stringify(input)).replace(/\s+/g, '');
+
+function withExamples(seeded, generated) {
+  const seen = new Set(seeded.map((tc) => inputKey(tc.input)));
+  return [...seeded, ...generated.filter((tc) => !seen.has(inputKey(tc.input)))];
+}
+
+// Inputs/outputs stay language-neutral JSON; `language` and `starterCode`
+// only help the model name arguments the way the target signature does.
+// `examples` are the structured examples from the OCR agent, if any.
+//
+// Resolves to { testCases, degraded, attempts }. `degraded` is true when no
+// valid test cases could be obtained (after REPAIR_ATTEMPTS re-prompts) and
+// testCases holds only the extracted examples or a placeholder.
+export async function generateTestCases(problemStatement, modelName = 'gpt-4', additionalInstructions = '', { language = DEFAULT_LANGUAGE, starterCode, examples = [], meter } = {}) {
+  const seeded = exampleTestCases(examples);
   console.log(`[TestCaseGenerator] Generating test cases`, {
     problemLength: problemStatement?.length || 0,
     model: modelName,
+    language,
+    seededExamples: seeded.length,
     hasAdditionalInstructions: !!additionalInstructions
   });
   
   try {
-    const chat = new ChatOpenAI({
-      modelName: modelName  
-    });
-    
     let prompt = `Please analyze the following coding problem and generate comprehensive test cases.`;
     
     if (additionalInstructions) {
       prompt += `\n\nAdditional Instructions for Test Cases:\n${additionalInstructions}`;
     }
+
+    prompt += `\n\nThe solution will be written in ${getLanguage(language).label}.`;
+    if (starterCode) {
+      prompt += ` Name the input values after the parameters of this signature:\n${starterCode}`;
+    }
+
+    if (seeded.length > 0) {
+      prompt += `\n\nThese examples from the problem are already included as test cases; do not repeat them, and use the same input notation:\n${JSON.stringify(seeded, null, 2)}`;
+    }
     
     prompt += `\n\nProblem Statement:\n${problemStatement}`;
     console.log('[TestCaseGenerator] Prompt length:', prompt.length);
     console.log('[TestCaseGenerator] Prompt snippet:', prompt.slice(0, 200));
-    const startTime = Date.now();
-    console.log('[TestCaseGenerator] Sending request to model', modelName);
-    
-    const response = await chat.invoke([
-      new SystemMessage(systemPrompt),
-      new HumanMessage({
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      {
+        role: 'user',
         content: [
           {
             type: 'text',
             text: prompt
           }
         ]
-      })
-    ]);
+      }
+    ];
 
-    const endTime = Date.now();
-    const processingTime = endTime - startTime;
-    
-    console.log(`[TestCaseGenerator] Received response from ${modelName} in ${(processingTime / 1000).toFixed(2)}s`);
-    console.log(`[TestCaseGenerator] Raw response length: ${response.content?.length || 0} chars`);
-    
-    try {
-      const testCases = JSON.parse(response.content);
-      console.log(`[TestCaseGenerator] Successfully parsed ${testCases.length} test cases`);
-      return Array.isArray(testCases) ? testCases : [];
-    } catch (parseError) {
-      console.error('[TestCaseGenerator] Error parsing test cases:', {
-        error: parseError.message,
-        responseSample: response.content ? response.content.substring(0, 200) + '...' : 'No content'
-      });
-      throw new Error('Failed to parse test cases from model response');
+    let lastError = null;
+    for (let attempt = 1; attempt <= 1 + REPAIR_ATTEMPTS; attempt += 1) {
+      const startTime = Date.now();
+      console.log('[TestCaseGenerator] Sending request to model', modelName, { attempt });
+      const response = await invokeModel(modelName, messages, { agent: 'testCaseGenerator', meter });
+      console.log(`[TestCaseGenerator] Received response from ${modelName} in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+      console.log(`[TestCaseGenerator] Raw response length: ${response.content?.length || 0} chars`);
+
+      try {
+        const testCases = parseTestCases(response.content);
+        console.log(`[TestCaseGenerator] Successfully parsed ${testCases.length} test cases`, { attempt });
+        return { testCases: withExamples(seeded, testCases), degraded: false, attempts: attempt };
+      } catch (parseError) {
+        lastError = parseError;
+        console.error('[TestCaseGenerator] Error parsing test cases:', {
+          attempt,
+          error: parseError.message,
+          responseSample: response.content ? response.content.substring(0, 200) + '...' : 'No content'
+        });
+        // Show the model its own answer and what was wrong with it
+        messages.push(
+          { role: 'assistant', content: response.content || '' },
+          { role: 'user', content: [{ type: 'text', text: `Your response could not be used: ${parseError.message}\n\nRespond again with only a JSON array of test cases, each with string fields "input", "expected" and "description" and an optional "category".` }] }
+        );
+      }
     }
+    throw lastError;
   } catch (error) {
     console.error('[TestCaseGenerator] Error generating test cases:', {
       error: error.message,
@@ -74,6 +145,11 @@ export async function generateTestCases(problemStatement, modelName = 'gpt-4', a
       timestamp: new Date().toISOString()
     });
     
+    if (seeded.length > 0) {
+      console.log('[TestCaseGenerator] Returning extracted examples due to error');
+      return { testCases: seeded, degraded: true };
+    }
+
     // Return default test cases if parsing fails
     const defaultTestCases = [
       {
@@ -84,6 +160,6 @@ export async function generateTestCases(problemStatement, modelName = 'gpt-4', a
     ];
     
     console.log('[TestCaseGenerator] Returning default test cases due to error');
-    return defaultTestCases;
+    return { testCases: defaultTestCases, degraded: true };
   }
 }
@@ -6,8 +6,15 @@ import { dirname, join } from 'path';
 import apiRoutes from './routes/api.js';
 import authRoutes from './routes/auth.js';
 import paymentsRoutes from './routes/payments.js';
+import creditsRoutes from './routes/credits.js';
 import webhooksRoutes from './routes/webhooks.js';
+import adminRoutes from './routes/admin.js';
 import { startLowCreditNotifier } from './jobs/lowCreditNotifier.js';
+import { startCreditHoldExpiry } from './jobs/creditHoldExpiry.js';
+import { startPaymentReconciler } from './jobs/paymentReconciler.js';
+import { startWebhookEventRetention } from './jobs/webhookEventRetention.js';
+import { startLoginThrottleRetention } from './jobs/loginThrottleRetention.js';
+import { startSolveWorker } from './jobs/solveWorker.js';
 import cookieParser from 'cookie-parser';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
@@ -67,8 +74,8 @@ const corsOrigins = [
 
 const corsOptions = {
   origin: corsOrigins,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Content-Disposition'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Content-Disposition', 'X-API-Key'],
   credentials: true,
   optionsSuccessStatus: 200
 };
@@ -94,7 +101,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // API Routes
 app.use('/auth', authRoutes);
 app.use('/payments', paymentsRoutes);
+app.use('/credits', creditsRoutes);
 app.use('/api', apiRoutes);
+app.use('/admin', adminRoutes);
 
 // Optionally serve static frontend build from the backend. When the frontend
 // is deployed separately (e.g. Vercel), set SERVE_FRONTEND=false (default).
@@ -153,6 +162,11 @@ if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     try { startLowCreditNotifier(); } catch (_) {}
+    try { startCreditHoldExpiry(); } catch (_) {}
+    try { startPaymentReconciler(); } catch (_) {}
+    try { startWebhookEventRetention(); } catch (_) {}
+    try { startLoginThrottleRetention(); } catch (_) {}
+    startSolveWorker().catch((e) => console.error('Failed to start solve worker:', e && e.message));
   });
 }
 
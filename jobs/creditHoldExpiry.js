@@ -0,0 +1,17 @@
+import cron from 'node-cron';
+import { expireStaleHolds } from '../services/creditHolds.js';
+
+// Return credits reserved by runs that never settled (e.g. the process died
+// mid-pipeline), and capture the charges of finished runs whose own capture
+// failed. Holds outlive a normal run by a wide margin, see
+// CREDIT_HOLD_TTL_MINUTES.
+export function startCreditHoldExpiry() {
+  // every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await expireStaleHolds();
+    } catch (e) {
+      console.error('[CREDIT_HOLDS] Expiry run failed', e && e.message);
+    }
+  });
+}
@@ -0,0 +1,15 @@
+import cron from 'node-cron';
+import { pruneLoginThrottles } from '../services/loginThrottle.js';
+
+// Drop login failure counts older than LOGIN_FAILURE_WINDOW_MINUTES that
+// aren't holding a lock.
+export function startLoginThrottleRetention() {
+  // hourly
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await pruneLoginThrottles();
+    } catch (e) {
+      console.error('[AUTH] Login throttle retention run failed', e && e.message);
+    }
+  });
+}
@@ -0,0 +1,21 @@
+import cron from 'node-cron';
+import { expireAbandonedPromoOrders, reconcilePayments } from '../services/paymentReconciliation.js';
+
+// Settle payments left in `created` by a lost webhook, see
+// PAYMENT_RECONCILE_AFTER_MINUTES for how long the webhook gets first, and
+// expire abandoned promo orders.
+export function startPaymentReconciler() {
+  // every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await reconcilePayments();
+    } catch (e) {
+      console.error('[RECONCILE] Reconciliation run failed', e && e.message);
+    }
+    try {
+      await expireAbandonedPromoOrders();
+    } catch (e) {
+      console.error('[RECONCILE] Expiring promo orders failed', e && e.message);
+    }
+  });
+}
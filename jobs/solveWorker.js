@@ -0,0 +1,85 @@
+import { runSolvePipeline } from '../services/solvePipeline.js';
+import { extendHold } from '../services/creditHolds.js';
+import { claimNextSolveJob, completeSolveJob, failSolveJob, recoverInterruptedSolveJobs, solveJobEvents } from '../services/solveJobs.js';
+
+const POLL_INTERVAL_MS = Number(process.env.SOLVE_WORKER_POLL_MS || 2000);
+
+async function runJob(job) {
+  const { imagesData, problemStatement, problem, additionalInstructions, streamCandidates, language, starterCode, pricingMode, apiKeyPrefix } = job.input || {};
+  console.log('[SOLVE_WORKER] Running job', { jobId: job.id, requestId: job.requestId, attempt: job.attempts });
+  try {
+    await extendHold(job.holdId);
+    const result = await runSolvePipeline({
+      userId: job.userId,
+      requestId: job.requestId,
+      model: job.model,
+      additionalInstructions,
+      imagesData: imagesData || [],
+      problemStatement,
+      problem,
+      holdId: job.holdId,
+      creditsReserved: job.creditsCharged,
+      pricingMode,
+      solveId: job.solveId,
+      streamCandidates: !!streamCandidates,
+      language,
+      starterCode,
+      apiKeyPrefix
+    });
+    await completeSolveJob(job.id, result);
+    console.log('[SOLVE_WORKER] Job completed', { jobId: job.id });
+  } catch (e) {
+    // runSolvePipeline has already refunded and marked the solve failed
+    await failSolveJob(job.id, e && e.message);
+    console.log('[SOLVE_WORKER] Job failed', { jobId: job.id, error: e && e.message });
+  }
+}
+
+// Start an in-process pool of workers draining the SolveJob queue. Each slot
+// polls the table and is also woken immediately when a job is enqueued.
+// Set SOLVE_WORKER_CONCURRENCY=0 to disable the pool on this instance.
+export async function startSolveWorker({ concurrency = Number(process.env.SOLVE_WORKER_CONCURRENCY ?? 2) } = {}) {
+  if (!(concurrency > 0)) return;
+
+  try {
+    await recoverInterruptedSolveJobs();
+  } catch (e) {
+    console.error('[SOLVE_WORKER] Recovery failed', e && e.message);
+  }
+
+  const idle = new Set();
+  solveJobEvents.on('enqueued', () => {
+    const [wake] = idle;
+    if (wake) wake();
+  });
+
+  const sleep = () => new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      idle.delete(done);
+      resolve();
+    };
+    const timer = setTimeout(done, POLL_INTERVAL_MS);
+    idle.add(done);
+  });
+
+  const loop = async () => {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      let job = null;
+      try {
+        job = await claimNextSolveJob();
+      } catch (e) {
+        console.error('[SOLVE_WORKER] Failed to claim job', e && e.message);
+      }
+      if (job) {
+        await runJob(job).catch((e) => console.error('[SOLVE_WORKER] Unexpected job error', e && e.message));
+      } else {
+        await sleep();
+      }
+    }
+  };
+
+  for (let i = 0; i < concurrency; i += 1) loop();
+  console.log('[SOLVE_WORKER] Started', { concurrency });
+}
@@ -0,0 +1,15 @@
+import cron from 'node-cron';
+import { pruneWebhookEvents } from '../services/webhookEvents.js';
+
+// Drop processed/ignored webhook events older than
+// WEBHOOK_EVENT_RETENTION_DAYS; failed ones are kept for inspection.
+export function startWebhookEventRetention() {
+  // daily at 03:30
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      await pruneWebhookEvents();
+    } catch (e) {
+      console.error('[WEBHOOK] Retention run failed', e && e.message);
+    }
+  });
+}
@@ -0,0 +1,73 @@
+import { contentParts, parseDataUrl, providerError, textOf } from './content.js';
+import { readEventStream } from './sse.js';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 8192;
+
+function toAnthropicContent(content) {
+  return contentParts(content).map((part) => {
+    if (part.type === 'image_url') {
+      const image = parseDataUrl(part.image_url?.url);
+      return image
+        ? { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } }
+        : { type: 'image', source: { type: 'url', url: part.image_url?.url } };
+    }
+    return { type: 'text', text: part.text };
+  });
+}
+
+// Adapter for the Anthropic Messages API. System messages are lifted into the
+// top-level `system` field as the API requires. Streams when `opts.onToken`
+// is given.
+export function createAnthropicAdapter({ apiKey, baseURL = API_URL } = {}) {
+  return {
+    name: 'anthropic',
+    async invoke(messages, opts = {}) {
+      if (!apiKey) throw new Error('ANTHROPIC_API_KEY is not configured');
+      const system = messages.filter((m) => m.role === 'system').map((m) => textOf(m.content)).join('\n\n');
+      const body = {
+        model: opts.model,
+        max_tokens: opts.maxTokens || DEFAULT_MAX_TOKENS,
+        ...(system ? { system } : {}),
+        ...(opts.temperature !== undefined ? { temperature: opts.temperature } : {}),
+        messages: messages.filter((m) => m.role !== 'system').map((m) => ({ role: m.role, content: toAnthropicContent(m.content) })),
+        ...(opts.onToken ? { stream: true } : {})
+      };
+      const res = await fetch(baseURL, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': API_VERSION },
+        body: JSON.stringify(body),
+        signal: opts.signal
+      });
+      if (!res.ok) throw providerError('anthropic', res.status, await res.json().catch(() => null));
+
+      if (opts.onToken) {
+        let content = '';
+        const usage = { promptTokens: 0, completionTokens: 0 };
+        for await (const event of readEventStream(res.body)) {
+          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            content += event.delta.text;
+            opts.onToken(event.delta.text);
+          } else if (event.type === 'message_start') {
+            usage.promptTokens = event.message?.usage?.input_tokens ?? 0;
+          } else if (event.type === 'message_delta') {
+            usage.completionTokens = event.usage?.output_tokens ?? usage.completionTokens;
+          } else if (event.type === 'error') {
+            throw providerError('anthropic', 500, event);
+          }
+        }
+        return { content, usage };
+      }
+
+      const data = await res.json().catch(() => null);
+      return {
+        content: (data?.content || []).filter((b) => b.type === 'text').map((b) => b.text).join(''),
+        usage: {
+          promptTokens: data?.usage?.input_tokens ?? 0,
+          completionTokens: data?.usage?.output_tokens ?? 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,27 @@
+// Helpers shared by the provider adapters. Agents build messages in the
+// OpenAI chat shape: { role, content } where content is either a string or an
+// array of { type: 'text', text } / { type: 'image_url', image_url: { url } }
+// parts; adapters translate from that shape.
+
+export function contentParts(content) {
+  if (typeof content === 'string') return [{ type: 'text', text: content }];
+  return Array.isArray(content) ? content : [];
+}
+
+export function textOf(content) {
+  return contentParts(content).filter((p) => p.type === 'text').map((p) => p.text).join('\n');
+}
+
+// Split a `data:<mime>;base64,<data>` URL. Returns null for remote URLs.
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+  return match ? { mimeType: match[1], data: match[2] } : null;
+}
+
+export function providerError(provider, status, body) {
+  const detail = body?.error?.message || body?.error || body?.message || (typeof body === 'string' ? body : '');
+  const err = new Error(`${provider} request failed (${status})${detail ? `: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}` : ''}`);
+  err.provider = provider;
+  err.providerStatus = status;
+  return err;
+}
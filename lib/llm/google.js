@@ -0,0 +1,73 @@
+import { contentParts, parseDataUrl, providerError, textOf } from './content.js';
+import { readEventStream } from './sse.js';
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+function toGeminiParts(content) {
+  return contentParts(content).map((part) => {
+    if (part.type === 'image_url') {
+      const image = parseDataUrl(part.image_url?.url);
+      if (!image) throw new Error('Gemini adapter only supports inline (data URL) images');
+      return { inline_data: { mime_type: image.mimeType, data: image.data } };
+    }
+    return { text: part.text };
+  });
+}
+
+// Adapter for the Gemini generateContent REST API. Uses
+// streamGenerateContent (SSE) when `opts.onToken` is given.
+export function createGoogleAdapter({ apiKey, baseURL = API_BASE } = {}) {
+  return {
+    name: 'google',
+    async invoke(messages, opts = {}) {
+      if (!apiKey) throw new Error('GOOGLE_API_KEY is not configured');
+      const system = messages.filter((m) => m.role === 'system').map((m) => textOf(m.content)).join('\n\n');
+      const body = {
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+        contents: messages.filter((m) => m.role !== 'system').map((m) => ({
+          role: m.role === 'assistant' ? 'model' : 'user',
+          parts: toGeminiParts(m.content)
+        })),
+        generationConfig: {
+          ...(opts.temperature !== undefined ? { temperature: opts.temperature } : {}),
+          ...(opts.maxTokens ? { maxOutputTokens: opts.maxTokens } : {})
+        }
+      };
+      const method = opts.onToken ? 'streamGenerateContent?alt=sse' : 'generateContent';
+      const res = await fetch(`${baseURL}/models/${encodeURIComponent(opts.model)}:${method}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-goog-api-key': apiKey },
+        body: JSON.stringify(body),
+        signal: opts.signal
+      });
+      if (!res.ok) throw providerError('google', res.status, await res.json().catch(() => null));
+
+      if (opts.onToken) {
+        let content = '';
+        let usageMetadata = null;
+        for await (const chunk of readEventStream(res.body)) {
+          const text = (chunk.candidates?.[0]?.content?.parts || []).map((p) => p.text || '').join('');
+          if (text) {
+            content += text;
+            opts.onToken(text);
+          }
+          if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+        }
+        return {
+          content,
+          usage: { promptTokens: usageMetadata?.promptTokenCount ?? 0, completionTokens: usageMetadata?.candidatesTokenCount ?? 0 }
+        };
+      }
+
+      const data = await res.json().catch(() => null);
+      const parts = data?.candidates?.[0]?.content?.parts || [];
+      return {
+        content: parts.map((p) => p.text || '').join(''),
+        usage: {
+          promptTokens: data?.usageMetadata?.promptTokenCount ?? 0,
+          completionTokens: data?.usageMetadata?.candidatesTokenCount ?? 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { createOpenAIAdapter } from './openai.js';
+import { createAnthropicAdapter } from './anthropic.js';
+import { createGoogleAdapter } from './google.js';
+import { createMockAdapter } from './mock.js';
+
+// Public model ids (what clients send as `model`) mapped to the provider that
+// serves them and the provider-side model name. Keep in sync with
+// MODEL_CREDIT_COST in services/credits.js.
+const MODELS = {
+  'gpt-4': { provider: 'openai', apiModel: 'gpt-4' },
+  'gpt-5': { provider: 'openai', apiModel: 'gpt-5' },
+  'gpt-5-mini': { provider: 'openai', apiModel: 'gpt-5-mini' },
+  'gpt-5-nano': { provider: 'openai', apiModel: 'gpt-5-nano' },
+  'gemini-2.0-flash': { provider: 'google', apiModel: 'gemini-2.0-flash' },
+  'gemini-2.5-pro': { provider: 'google', apiModel: 'gemini-2.5-pro' },
+  'claude-3.5-sonnet': { provider: 'anthropic', apiModel: 'claude-3-5-sonnet-latest' },
+  'claude-3.5-haiku': { provider: 'anthropic', apiModel: 'claude-3-5-haiku-latest' }
+};
+
+// Models served by a self-hosted OpenAI-compatible endpoint are addressed as
+// `local:<name>` and only exist when LOCAL_LLM_BASE_URL is configured.
+const LOCAL_PREFIX = 'local:';
+
+const ADAPTER_FACTORIES = {
+  openai: () => createOpenAIAdapter({ apiKey: process.env.OPENAI_API_KEY }),
+  anthropic: () => createAnthropicAdapter({ apiKey: process.env.ANTHROPIC_API_KEY }),
+  google: () => createGoogleAdapter({ apiKey: process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY }),
+  local: () => createOpenAIAdapter({ name: 'local', apiKey: process.env.LOCAL_LLM_API_KEY, baseURL: process.env.LOCAL_LLM_BASE_URL }),
+  mock: () => createMockAdapter()
+};
+
+const adapters = new Map();
+
+function getAdapter(provider) {
+  if (!adapters.has(provider)) {
+    const factory = ADAPTER_FACTORIES[provider];
+    if (!factory) throw new Error(`No adapter registered for provider "${provider}"`);
+    adapters.set(provider, factory());
+  }
+  return adapters.get(provider);
+}
+
+export function resolveModel(modelId) {
+  if (typeof modelId !== 'string' || !modelId) return null;
+  if (modelId.startsWith(LOCAL_PREFIX)) {
+    const apiModel = modelId.slice(LOCAL_PREFIX.length);
+    return process.env.LOCAL_LLM_BASE_URL && apiModel ? { id: modelId, provider: 'local', apiModel } : null;
+  }
+  const entry = MODELS[modelId];
+  return entry ? { id: modelId, ...entry } : null;
+}
+
+export function isKnownModel(modelId) {
+  return resolveModel(modelId) !== null;
+}
+
+export function listModels() {
+  return Object.entries(MODELS).map(([id, { provider }]) => ({ id, provider }));
+}
+
+// Invoke a chat model by public id. `messages` use the OpenAI chat shape
+// (see ./content.js); resolves to { content, usage, model, provider }.
+// `opts.agent` names the calling agent (used by the mock provider) and
+// `opts.meter`, when given, records the call's token usage (see
+// services/usage.js). LLM_PROVIDER=mock routes every known model to the
+// scripted mock adapter.
+export async function invokeModel(modelId, messages, opts = {}) {
+  const resolved = resolveModel(modelId);
+  if (!resolved) {
+    const err = new Error(`Unknown model: ${modelId}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  const provider = process.env.LLM_PROVIDER === 'mock' ? 'mock' : resolved.provider;
+  const result = await getAdapter(provider).invoke(messages, { ...opts, model: resolved.apiModel });
+  if (opts.meter) opts.meter.record({ agent: opts.agent, model: resolved.id, provider, ...result.usage });
+  return { ...result, model: resolved.id, provider };
+}
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { contentParts } from './content.js';
+
+// Deterministic stand-in for every provider, enabled with LLM_PROVIDER=mock.
+// Responses are scripted per agent (`ocr`, `codeGenerator`,
+// `testCaseGenerator`, `solutionEvaluator`) and optionally per prompt
+// fingerprint, so the pipeline can run offline in tests and local dev.
+//
+// The default script comes from `script.json` in LLM_MOCK_FIXTURES_DIR
+// (./fixtures by default):
+//   { "<agent>": { "default": "file.md", "<fingerprint>": "other.md" } }
+// Tests can override entries at runtime with mockLLM.script().
+
+const DEFAULT_FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+let fileScript = null;
+let overrides = {};
+const calls = [];
+
+function fixturesDir() {
+  return process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function loadFileScript() {
+  if (fileScript) return fileScript;
+  const dir = fixturesDir();
+  const raw = JSON.parse(readFileSync(join(dir, 'script.json'), 'utf8'));
+  fileScript = {};
+  for (const [agent, entries] of Object.entries(raw)) {
+    fileScript[agent] = {};
+    for (const [key, file] of Object.entries(entries)) {
+      fileScript[agent][key] = readFileSync(join(dir, file), 'utf8');
+    }
+  }
+  return fileScript;
+}
+
+// Stable hash of the prompt text (images are reduced to their own hash) so
+// scripted responses can target one specific prompt.
+export function promptFingerprint(messages) {
+  const normalized = messages.map((m) => ({
+    role: m.role,
+    parts: contentParts(m.content).map((p) => (p.type === 'image_url'
+      ? { image: crypto.createHash('sha256').update(p.image_url?.url || '').digest('hex') }
+      : { text: p.text }))
+  }));
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+}
+
+function lookup(agent, fingerprint) {
+  const scripted = overrides[agent] || {};
+  if (fingerprint in scripted) return scripted[fingerprint];
+  if ('default' in scripted) return scripted.default;
+  const fromFiles = loadFileScript()[agent] || {};
+  if (fingerprint in fromFiles) return fromFiles[fingerprint];
+  if ('default' in fromFiles) return fromFiles.default;
+  throw new Error(`No mock LLM response scripted for agent "${agent}" (fingerprint ${fingerprint})`);
+}
+
+export const mockLLM = {
+  calls,
+
+  // Script a response for an agent. `response` may be a string, an Error
+  // (thrown from invoke) or a function (messages, opts) => string.
+  script(agent, response, { fingerprint = 'default' } = {}) {
+    overrides[agent] = { ...(overrides[agent] || {}), [fingerprint]: response };
+  },
+
+  reset() {
+    overrides = {};
+    fileScript = null;
+    calls.length = 0;
+  }
+};
+
+export function createMockAdapter() {
+  return {
+    name: 'mock',
+    async invoke(messages, opts = {}) {
+      const agent = opts.agent || 'default';
+      const fingerprint = promptFingerprint(messages);
+      calls.push({ agent, model: opts.model, fingerprint });
+      const scripted = lookup(agent, fingerprint);
+      if (scripted instanceof Error) throw scripted;
+      const content = typeof scripted === 'function' ? await scripted(messages, opts) : scripted;
+      if (opts.onToken) {
+        // Stream word by word (keeping whitespace) so token order is testable
+        for (const token of content.match(/\S+\s*|\s+/g) || []) opts.onToken(token);
+      }
+      const promptChars = messages.reduce((n, m) => n + JSON.stringify(m.content).length, 0);
+      return {
+        content,
+        usage: { promptTokens: Math.ceil(promptChars / 4), completionTokens: Math.ceil(content.length / 4) }
+      };
+    }
+  };
+}
@@ -0,0 +1,56 @@
+import OpenAI from 'openai';
+
+// Adapter for OpenAI and any OpenAI-compatible endpoint (vLLM, Ollama,
+// LM Studio, ...). Messages are already in the OpenAI shape. When
+// `opts.onToken` is given the completion is streamed and each text delta is
+// passed to it as it arrives.
+export function createOpenAIAdapter({ name = 'openai', apiKey, baseURL } = {}) {
+  let client;
+  const getClient = () => {
+    if (!client) {
+      if (!apiKey && !baseURL) throw new Error('OPENAI_API_KEY is not configured');
+      // Local servers usually ignore the key but the SDK requires one
+      client = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) });
+    }
+    return client;
+  };
+
+  return {
+    name,
+    async invoke(messages, opts = {}) {
+      const params = {
+        model: opts.model,
+        messages,
+        ...(opts.temperature !== undefined ? { temperature: opts.temperature } : {}),
+        ...(opts.maxTokens ? { max_completion_tokens: opts.maxTokens } : {})
+      };
+
+      if (opts.onToken) {
+        const stream = await getClient().chat.completions.create({ ...params, stream: true, stream_options: { include_usage: true } }, { signal: opts.signal });
+        let content = '';
+        let usage = null;
+        for await (const chunk of stream) {
+          const token = chunk.choices?.[0]?.delta?.content;
+          if (token) {
+            content += token;
+            opts.onToken(token);
+          }
+          if (chunk.usage) usage = chunk.usage;
+        }
+        return {
+          content,
+          usage: { promptTokens: usage?.prompt_tokens ?? 0, completionTokens: usage?.completion_tokens ?? 0 }
+        };
+      }
+
+      const response = await getClient().chat.completions.create(params, { signal: opts.signal });
+      return {
+        content: response.choices?.[0]?.message?.content || '',
+        usage: {
+          promptTokens: response.usage?.prompt_tokens ?? 0,
+          completionTokens: response.usage?.completion_tokens ?? 0
+        }
+      };
+    }
+  };
+}
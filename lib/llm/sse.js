@@ -0,0 +1,20 @@
+// Minimal server-sent events reader for streaming provider responses.
+// Yields the parsed JSON payload of each `data:` frame; `[DONE]` ends the
+// stream (OpenAI convention) and non-JSON frames are skipped.
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const frames = buffer.split(/\r?\n\r?\n/);
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const data = frame.split(/\r?\n/).filter((l) => l.startsWith('data:')).map((l) => l.slice(5).trimStart()).join('\n');
+      if (!data) continue;
+      if (data === '[DONE]') return;
+      try {
+        yield JSON.parse(data);
+      } catch (_) {}
+    }
+  }
+}
@@ -1,9 +1,15 @@
 import jwt from 'jsonwebtoken';
 import prisma from '../lib/prismaClient.js';
+import { isSessionActive } from '../services/sessions.js';
+import { authenticateApiKey } from '../services/apiKeys.js';
+
+export function readAccessToken(req) {
+  return req.cookies?.auth_token || (req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.slice(7) : null);
+}
 
 export async function requireAuth(req, res, next) {
   try {
-    const token = req.cookies?.auth_token || (req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.slice(7) : null);
+    const token = readAccessToken(req);
     if (!token) return res.status(401).json({ success: false, error: 'Unauthorized' });
     let payload;
     try {
@@ -11,13 +17,51 @@ export async function requireAuth(req, res, next) {
     } catch (e) {
       return res.status(401).json({ success: false, error: 'Unauthorized' });
     }
+    // Other signed tokens (SSE, 2FA challenges, ...) share the secret but are
+    // not credentials, and every access token names the session it belongs to
+    if (payload.type !== 'access' || !payload.sid) return res.status(401).json({ success: false, error: 'Unauthorized' });
+    if (!(await isSessionActive(payload.sid))) {
+      return res.status(401).json({ success: false, error: 'Session revoked' });
+    }
     const user = await prisma.user.findUnique({ where: { id: payload.uid } });
     if (!user) return res.status(401).json({ success: false, error: 'Unauthorized' });
+    if (user.disabledAt) return res.status(403).json({ success: false, error: 'Account disabled' });
     req.user = user;
+    req.sessionId = payload.sid;
     next();
   } catch (err) {
     next(err);
   }
 }
 
+// requireAuth that also accepts a personal API key in `X-API-Key`, as long as
+// the key carries `scope`. Routes opt in explicitly so a key can never reach
+// account management (or anything else it wasn't scoped for). Sets
+// req.apiKey for keyed requests; req.sessionId stays null.
+export function allowApiKey(scope) {
+  return async (req, res, next) => {
+    const key = req.get('x-api-key');
+    if (!key) return requireAuth(req, res, next);
+    try {
+      const apiKey = await authenticateApiKey(key);
+      if (!apiKey) return res.status(401).json({ success: false, error: 'Invalid API key' });
+      if (!apiKey.scopes.includes(scope)) return res.status(403).json({ success: false, error: `API key lacks the ${scope} scope` });
+      const { user, ...keyFields } = apiKey;
+      if (user.disabledAt) return res.status(403).json({ success: false, error: 'Account disabled' });
+      req.user = user;
+      req.apiKey = keyFields;
+      req.sessionId = null;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Use after requireAuth
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') return res.status(403).json({ success: false, error: 'Forbidden' });
+  next();
+}
+
 
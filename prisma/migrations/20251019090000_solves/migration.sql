@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "public"."SolveStatus" AS ENUM ('processing', 'completed', 'failed');
+
+-- CreateTable
+CREATE TABLE "public"."Solve" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "requestId" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "status" "public"."SolveStatus" NOT NULL DEFAULT 'processing',
+    "problemStatement" TEXT,
+    "solutions" JSONB,
+    "testCases" JSONB,
+    "evaluation" JSONB,
+    "creditsCharged" INTEGER NOT NULL DEFAULT 0,
+    "creditsRefunded" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "timings" JSONB,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Solve_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Solve_userId_createdAt_idx" ON "public"."Solve"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Solve_requestId_idx" ON "public"."Solve"("requestId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Solve" ADD CONSTRAINT "Solve_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."SolveJobStatus" AS ENUM ('queued', 'running', 'completed', 'failed');
+
+-- CreateTable
+CREATE TABLE "public"."SolveJob" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "solveId" INTEGER,
+    "requestId" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "status" "public"."SolveJobStatus" NOT NULL DEFAULT 'queued',
+    "input" JSONB,
+    "result" JSONB,
+    "error" TEXT,
+    "creditsCharged" INTEGER NOT NULL DEFAULT 0,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lockedAt" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SolveJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SolveJob_status_createdAt_idx" ON "public"."SolveJob"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SolveJob_userId_idx" ON "public"."SolveJob"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."SolveJob" ADD CONSTRAINT "SolveJob_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SolveJob" ADD CONSTRAINT "SolveJob_solveId_fkey" FOREIGN KEY ("solveId") REFERENCES "public"."Solve"("id") ON DELETE SET NULL ON UPDATE CASCADE;
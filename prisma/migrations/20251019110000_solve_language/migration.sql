@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Solve" ADD COLUMN     "language" TEXT NOT NULL DEFAULT 'python';
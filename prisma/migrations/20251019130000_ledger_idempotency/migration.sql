@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."CreditLedger" ADD COLUMN     "idempotencyKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CreditLedger_idempotencyKey_key" ON "public"."CreditLedger"("idempotencyKey");
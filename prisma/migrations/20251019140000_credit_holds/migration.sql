@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "public"."CreditHoldStatus" AS ENUM ('held', 'captured', 'released', 'expired');
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "heldCredits" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."SolveJob" ADD COLUMN     "holdId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."CreditHold" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "requestId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "capturedAmount" INTEGER NOT NULL DEFAULT 0,
+    "status" "public"."CreditHoldStatus" NOT NULL DEFAULT 'held',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CreditHold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CreditHold_status_expiresAt_idx" ON "public"."CreditHold"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "CreditHold_userId_requestId_idx" ON "public"."CreditHold"("userId", "requestId");
+
+-- AddForeignKey
+ALTER TABLE "public"."CreditHold" ADD CONSTRAINT "CreditHold_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "public"."UsageRecord" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "solveId" INTEGER,
+    "requestId" TEXT NOT NULL,
+    "pricingMode" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL DEFAULT 0,
+    "completionTokens" INTEGER NOT NULL DEFAULT 0,
+    "creditsCharged" INTEGER NOT NULL DEFAULT 0,
+    "calls" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UsageRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UsageRecord_userId_createdAt_idx" ON "public"."UsageRecord"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "UsageRecord_requestId_idx" ON "public"."UsageRecord"("requestId");
+
+-- AddForeignKey
+ALTER TABLE "public"."UsageRecord" ADD CONSTRAINT "UsageRecord_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."UsageRecord" ADD CONSTRAINT "UsageRecord_solveId_fkey" FOREIGN KEY ("solveId") REFERENCES "public"."Solve"("id") ON DELETE SET NULL ON UPDATE CASCADE;
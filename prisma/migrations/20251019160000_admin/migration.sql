@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "public"."UserRole" AS ENUM ('user', 'admin');
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "disabledAt" TIMESTAMP(3),
+ADD COLUMN     "disabledReason" TEXT,
+ADD COLUMN     "role" "public"."UserRole" NOT NULL DEFAULT 'user';
+
+-- CreateTable
+CREATE TABLE "public"."AdminAuditLog" (
+    "id" SERIAL NOT NULL,
+    "adminId" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "targetUserId" INTEGER,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_adminId_createdAt_idx" ON "public"."AdminAuditLog"("adminId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_targetUserId_createdAt_idx" ON "public"."AdminAuditLog"("targetUserId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."AdminAuditLog" ADD CONSTRAINT "AdminAuditLog_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AdminAuditLog" ADD CONSTRAINT "AdminAuditLog_targetUserId_fkey" FOREIGN KEY ("targetUserId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
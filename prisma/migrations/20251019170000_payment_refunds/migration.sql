@@ -0,0 +1,13 @@
+-- AlterEnum
+ALTER TYPE "public"."CreditLedgerType" ADD VALUE 'purchase_refund';
+
+-- CreateEnum
+CREATE TYPE "public"."RefundStatus" AS ENUM ('pending', 'processed', 'failed');
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "razorpayRefundId" TEXT,
+ADD COLUMN     "refundStatus" "public"."RefundStatus",
+ADD COLUMN     "refundedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_razorpayRefundId_key" ON "public"."Payment"("razorpayRefundId");
@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "public"."PromoCodeType" AS ENUM ('percent_off', 'bonus_credits');
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "bonusCredits" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "description" TEXT,
+ADD COLUMN     "discountPaise" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "packId" INTEGER,
+ADD COLUMN     "promoCodeId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."CreditPack" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "credits" INTEGER NOT NULL,
+    "pricePaise" INTEGER NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CreditPack_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."PromoCode" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" "public"."PromoCodeType" NOT NULL,
+    "value" INTEGER NOT NULL,
+    "maxRedemptions" INTEGER,
+    "maxPerUser" INTEGER,
+    "redemptions" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3),
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PromoCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_promoCodeId_idx" ON "public"."Payment"("promoCodeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoCode_code_key" ON "public"."PromoCode"("code");
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_packId_fkey" FOREIGN KEY ("packId") REFERENCES "public"."CreditPack"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_promoCodeId_fkey" FOREIGN KEY ("promoCodeId") REFERENCES "public"."PromoCode"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Default packs: ₹5 per credit list price with volume discounts
+INSERT INTO "public"."CreditPack" ("name", "credits", "pricePaise", "sortOrder", "updatedAt") VALUES
+    ('Starter', 20, 10000, 1, CURRENT_TIMESTAMP),
+    ('Standard', 50, 22500, 2, CURRENT_TIMESTAMP),
+    ('Pro', 200, 80000, 3, CURRENT_TIMESTAMP);
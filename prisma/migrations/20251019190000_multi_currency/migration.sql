@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "public"."Currency" AS ENUM ('INR', 'USD', 'EUR');
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "currency" "public"."Currency" NOT NULL DEFAULT 'INR';
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "preferredCurrency" "public"."Currency";
+
+-- CreateTable
+CREATE TABLE "public"."CreditPackPrice" (
+    "id" SERIAL NOT NULL,
+    "packId" INTEGER NOT NULL,
+    "currency" "public"."Currency" NOT NULL,
+    "amount" INTEGER NOT NULL,
+
+    CONSTRAINT "CreditPackPrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CreditPackPrice_packId_currency_key" ON "public"."CreditPackPrice"("packId", "currency");
+
+-- AddForeignKey
+ALTER TABLE "public"."CreditPackPrice" ADD CONSTRAINT "CreditPackPrice_packId_fkey" FOREIGN KEY ("packId") REFERENCES "public"."CreditPack"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- USD/EUR prices for the default packs (same volume discounts as INR)
+INSERT INTO "public"."CreditPackPrice" ("packId", "currency", "amount")
+SELECT p."id", c."currency"::"public"."Currency", ROUND(p."pricePaise" * 0.012)
+FROM "public"."CreditPack" p
+CROSS JOIN (VALUES ('USD'), ('EUR')) AS c("currency")
+WHERE p."name" IN ('Starter', 'Standard', 'Pro');
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "public"."LoginThrottle" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "lastFailureAt" TIMESTAMP(3) NOT NULL,
+    "lockedUntil" TIMESTAMP(3),
+
+    CONSTRAINT "LoginThrottle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoginThrottle_key_key" ON "public"."LoginThrottle"("key");
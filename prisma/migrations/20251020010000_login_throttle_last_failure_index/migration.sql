@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "LoginThrottle_lastFailureAt_idx" ON "public"."LoginThrottle"("lastFailureAt");
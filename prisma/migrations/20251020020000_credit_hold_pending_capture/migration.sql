@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."CreditHold" ADD COLUMN     "pendingCapture" INTEGER,
+ADD COLUMN     "pendingReason" TEXT;
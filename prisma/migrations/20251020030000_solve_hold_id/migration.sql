@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Solve" ADD COLUMN     "holdId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Solve_holdId_idx" ON "public"."Solve"("holdId");
@@ -0,0 +1,244 @@
+import express from 'express';
+import { z } from 'zod';
+import prisma from '../lib/prismaClient.js';
+import { requireAuth, requireAdmin } from '../middlewares/auth.js';
+import { LEDGER_TYPES, listLedger } from '../services/ledger.js';
+import { listSolves } from '../services/solves.js';
+import { availableCredits } from '../services/creditHolds.js';
+import {
+  searchUsers, getUserForAdmin, adjustCredits, setUserDisabled, listAuditLog,
+  listPromoCodes, createPromoCode, setPromoCodeActive, recordAdminAction
+} from '../services/admin.js';
+import { listWebhookEvents, getWebhookEvent, replayWebhookEvent } from '../services/webhookEvents.js';
+import { normalizePromoCode } from '../services/pricing.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+const idParam = z.coerce.number().int().positive();
+const pageQuery = {
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  cursor: z.coerce.number().int().positive().optional()
+};
+
+function handleZod(err, res, next) {
+  if (err instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+  }
+  next(err);
+}
+
+// Resolve :id to an existing user or answer 404
+async function loadTarget(req, res) {
+  const user = await getUserForAdmin(idParam.parse(req.params.id));
+  if (!user) {
+    res.status(404).json({ success: false, error: 'User not found' });
+    return null;
+  }
+  return user;
+}
+
+const withAvailable = (user) => ({ ...user, availableCredits: availableCredits(user) });
+
+router.get('/users', async (req, res, next) => {
+  try {
+    const query = z.object({ q: z.string().trim().max(100).optional(), ...pageQuery }).parse(req.query);
+    const { users, nextCursor } = await searchUsers(query);
+    return res.json({ success: true, users: users.map(withAvailable), nextCursor });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.get('/users/:id', async (req, res, next) => {
+  try {
+    const user = await loadTarget(req, res);
+    if (!user) return;
+    return res.json({ success: true, user: withAvailable(user) });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.get('/users/:id/payments', async (req, res, next) => {
+  try {
+    const user = await loadTarget(req, res);
+    if (!user) return;
+    const payments = await prisma.payment.findMany({
+      where: { userId: user.id },
+      orderBy: { id: 'desc' },
+      select: {
+        id: true, razorpayOrderId: true, razorpayPaymentId: true, amountPaise: true, currency: true,
+        creditsPurchased: true, packId: true, promoCodeId: true, discountPaise: true, bonusCredits: true, description: true,
+        status: true, razorpayRefundId: true, refundStatus: true, refundedAt: true,
+        createdAt: true, updatedAt: true
+      }
+    });
+    return res.json({ success: true, payments });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.get('/users/:id/ledger', async (req, res, next) => {
+  try {
+    const user = await loadTarget(req, res);
+    if (!user) return;
+    const query = z.object({
+      ...pageQuery,
+      type: z.enum(LEDGER_TYPES).optional(),
+      from: z.coerce.date().optional(),
+      to: z.coerce.date().optional()
+    }).parse(req.query);
+    const { entries, nextCursor } = await listLedger(user.id, query);
+    return res.json({ success: true, balance: user.credits, availableCredits: availableCredits(user), entries, nextCursor });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.get('/users/:id/solves', async (req, res, next) => {
+  try {
+    const user = await loadTarget(req, res);
+    if (!user) return;
+    const query = z.object(pageQuery).parse(req.query);
+    const { solves, nextCursor } = await listSolves(user.id, query);
+    return res.json({ success: true, solves, nextCursor });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+const adjustSchema = z.object({
+  delta: z.number().int().refine((n) => n !== 0, 'delta must be non-zero'),
+  reason: z.string().trim().min(3).max(500)
+});
+
+router.post('/users/:id/credits', async (req, res, next) => {
+  try {
+    const userId = idParam.parse(req.params.id);
+    const { delta, reason } = adjustSchema.parse(req.body);
+    const { user, entry } = await adjustCredits(req.user.id, userId, delta, reason);
+    console.log('[ADMIN] Credits adjusted', { adminId: req.user.id, userId, delta });
+    return res.json({ success: true, user: withAvailable(user), entry });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.post('/users/:id/disable', async (req, res, next) => {
+  try {
+    const userId = idParam.parse(req.params.id);
+    const { reason } = z.object({ reason: z.string().trim().min(3).max(500) }).parse(req.body);
+    const user = await setUserDisabled(req.user.id, userId, { disabled: true, reason });
+    console.log('[ADMIN] Account disabled', { adminId: req.user.id, userId });
+    return res.json({ success: true, user: withAvailable(user) });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.post('/users/:id/enable', async (req, res, next) => {
+  try {
+    const userId = idParam.parse(req.params.id);
+    const user = await setUserDisabled(req.user.id, userId, { disabled: false });
+    console.log('[ADMIN] Account enabled', { adminId: req.user.id, userId });
+    return res.json({ success: true, user: withAvailable(user) });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+const promoSchema = z.object({
+  code: z.string().trim().regex(/^[A-Za-z0-9_-]{3,40}$/, 'Letters, digits, - and _ only').transform(normalizePromoCode),
+  type: z.enum(['percent_off', 'bonus_credits']),
+  value: z.number().int().positive(),
+  maxRedemptions: z.number().int().positive().optional(),
+  maxPerUser: z.number().int().positive().optional(),
+  expiresAt: z.coerce.date().optional()
+}).refine((p) => p.type !== 'percent_off' || p.value <= 90, { message: 'percent_off value must be at most 90', path: ['value'] });
+
+router.get('/promo-codes', async (req, res, next) => {
+  try {
+    return res.json({ success: true, promoCodes: await listPromoCodes() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/promo-codes', async (req, res, next) => {
+  try {
+    const data = promoSchema.parse(req.body);
+    const promoCode = await createPromoCode(req.user.id, data);
+    console.log('[ADMIN] Promo code created', { adminId: req.user.id, code: promoCode.code });
+    return res.status(201).json({ success: true, promoCode });
+  } catch (err) {
+    if (err?.code === 'P2002') return res.status(409).json({ success: false, error: 'Promo code already exists' });
+    handleZod(err, res, next);
+  }
+});
+
+router.post('/promo-codes/:id/:action(activate|deactivate)', async (req, res, next) => {
+  try {
+    const promoCode = await setPromoCodeActive(req.user.id, idParam.parse(req.params.id), req.params.action === 'activate');
+    return res.json({ success: true, promoCode });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.get('/webhook-events', async (req, res, next) => {
+  try {
+    const query = z.object({
+      ...pageQuery,
+      status: z.string().max(50).optional(),
+      event: z.string().max(100).optional(),
+      from: z.coerce.date().optional(),
+      to: z.coerce.date().optional()
+    }).parse(req.query);
+    const { events, nextCursor } = await listWebhookEvents(query);
+    return res.json({ success: true, events, nextCursor });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.get('/webhook-events/:id', async (req, res, next) => {
+  try {
+    const event = await getWebhookEvent(idParam.parse(req.params.id));
+    if (!event) return res.status(404).json({ success: false, error: 'Webhook event not found' });
+    return res.json({ success: true, event });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+// Re-run a failed event through the webhook processing path
+router.post('/webhook-events/:id/replay', async (req, res, next) => {
+  try {
+    const id = idParam.parse(req.params.id);
+    const status = await replayWebhookEvent(id, req.user.id);
+    console.log('[ADMIN] Webhook event replayed', { adminId: req.user.id, webhookEventId: id, status });
+    return res.json({ success: true, status });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+router.get('/audit-log', async (req, res, next) => {
+  try {
+    const query = z.object({
+      ...pageQuery,
+      adminId: z.coerce.number().int().positive().optional(),
+      targetUserId: z.coerce.number().int().positive().optional(),
+      action: z.string().max(50).optional()
+    }).parse(req.query);
+    const { entries, nextCursor } = await listAuditLog(query);
+    return res.json({ success: true, entries, nextCursor });
+  } catch (err) {
+    handleZod(err, res, next);
+  }
+});
+
+export default router;
@@ -1,85 +1,78 @@
 import express from 'express';
 import multer from 'multer';
-import { processImages } from '../agents/ocrProcessor.js';
-import { processImage } from '../agents/codeGenerator.js';
-import { generateTestCases } from '../agents/testCaseGenerator.js';
-import { evaluateSolutions } from '../agents/solutionEvaluator.js';
-import { requireAuth } from '../middlewares/auth.js';
-import { getRequiredCredits, debitCredits, creditCredits } from '../services/credits.js';
-
-// Store active clients for SSE
-// client shape: { id, res, subscriptions: Set<requestId>, userId? }
-const clients = new Map();
+import { z } from 'zod';
+import { requireAuth, allowApiKey, readAccessToken } from '../middlewares/auth.js';
+import { verifyToken } from '../utils/jwt.js';
+import { isKnownModel } from '../lib/llm/index.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../agents/languages.js';
+import { problemSchema, renderProblemMarkdown } from '../agents/problemSchema.js';
+import { estimateRun } from '../services/credits.js';
+import { availableCredits, placeHold, releaseHold } from '../services/creditHolds.js';
+import { createSolve, updateSolve, listSolves, getSolve, deleteSolve, isRequestIdTakenByOtherUser } from '../services/solves.js';
+import { runSolvePipeline } from '../services/solvePipeline.js';
+import { enqueueSolveJob, getSolveJob } from '../services/solveJobs.js';
+import { addProgressClient, removeProgressClient } from '../services/progress.js';
+import { isSessionActive } from '../services/sessions.js';
 
 const router = express.Router();
 
-// SSE endpoint for progress updates
-// Supports short-lived token-based authentication via `?token=...` so the
-// client can connect cross-origin without relying on cookies being sent by
-// EventSource.
+// SSE endpoint for progress updates. Callers identify themselves with a
+// short-lived `?token=...` from /auth/stream-token (EventSource can't send
+// headers and cross-origin cookies are unreliable) or, same-origin, with the
+// access token of an active session. Events only reach the run's owner;
+// subscribing to a requestId that another user's run already uses is refused.
 router.get('/progress', async (req, res) => {
   const clientId = Date.now();
   // Allow clients to subscribe to a particular requestId via query param
   const subscribeTo = req.query.requestId || null;
-  const token = req.query.token || null;
+
+  let userId;
+  try {
+    if (req.query.token) {
+      const payload = verifyToken(req.query.token);
+      if (payload.type !== 'sse' || !payload.uid) return res.status(401).end();
+      userId = payload.uid;
+    } else {
+      const token = readAccessToken(req);
+      const payload = token ? verifyToken(token) : null;
+      if (!payload || payload.type !== 'access' || !payload.sid || !(await isSessionActive(payload.sid))) return res.status(401).end();
+      userId = payload.uid;
+    }
+  } catch (e) {
+    return res.status(401).end();
+  }
+  try {
+    if (subscribeTo && await isRequestIdTakenByOtherUser(userId, subscribeTo)) return res.status(403).end();
+  } catch (e) {
+    console.error('[API] Progress subscription check failed:', e.message);
+    return res.status(500).end();
+  }
 
   const newClient = {
     id: clientId,
     res,
     subscriptions: new Set(subscribeTo ? [subscribeTo] : []),
-    userId: null
+    userId
   };
 
-  // If a token is provided, verify and associate userId
-  if (token) {
-    try {
-      // Use ESM imports: import verifyToken from utils at top-level.
-      // Lazily import to avoid circular dependency issues.
-      const { verifyToken } = await import('../utils/jwt.js');
-      const payload = verifyToken(token);
-      // only accept tokens with expected shape and purpose
-      if (!payload || !payload.uid) return res.status(401).end();
-      newClient.userId = payload.uid;
-    } catch (e) {
-      return res.status(401).end();
-    }
-  } else if (process.env.NODE_ENV === 'production') {
-    // In production require token-based auth for SSE to avoid relying on
-    // cross-site cookies which are not reliably sent by EventSource.
-    return res.status(401).end();
-  }
-
   // Set headers for SSE
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive'
   });
+  // Send headers right away so EventSource fires `open` before the first event
+  res.flushHeaders();
 
   // Store the client
-  clients.set(clientId, newClient);
+  addProgressClient(newClient);
 
   // Remove client on connection close
   req.on('close', () => {
-    clients.delete(clientId);
+    removeProgressClient(clientId);
   });
 });
 
-// Helper function to send progress updates
-// If requestId is provided, only send to clients subscribed to that requestId
-const sendProgressUpdate = (update, requestId = null) => {
-  const data = `data: ${JSON.stringify(update)}\n\n`;
-  clients.forEach(client => {
-    if (!requestId) {
-      client.res.write(data);
-      return;
-    }
-    if (client.subscriptions && client.subscriptions.has(requestId)) {
-      client.res.write(data);
-    }
-  });
-};
-
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({ 
@@ -87,20 +80,139 @@ const upload = multer({
   limits: { files: 3 } // Allow up to 3 files
 });
 
-// Upload and process images
-router.post('/upload', requireAuth, upload.array('images', 3), async (req, res) => {
+// Multipart fields arrive as strings; empty values fall back to the defaults
+const solveOptionsSchema = z.object({
+  language: z.preprocess((v) => (v === '' ? undefined : v), z.enum(SUPPORTED_LANGUAGES).default(DEFAULT_LANGUAGE)),
+  starterCode: z.preprocess((v) => (v === '' ? undefined : v), z.string().max(20000).optional())
+});
+
+// Reserve credits, record the Solve and either queue the run or execute it
+// inline. Shared by /upload (imagesData) and /solve (problemStatement, which
+// skips OCR and is priced lower). The pipeline captures or releases the hold.
+// Runs made with an API key carry its prefix through to the ledger reason.
+async function reserveAndRun(req, res, { requestId, model, language, starterCode, additionalInstructions, streamCandidates, runAsync, imagesData, problemStatement, problem }) {
+  const apiKeyPrefix = req.apiKey?.prefix ?? null;
+  // Flat pricing reserves the model price; token pricing reserves the
+  // estimate plus headroom and captures actual usage at the end.
+  const { pricingMode, reservedCredits: required } = estimateRun(model, { images: imagesData?.length ?? 0 });
+  let hold;
+  try {
+    hold = await placeHold(req.user.id, required, requestId);
+  } catch (holdErr) {
+    // Surface insufficient credits to the client with a 402 status
+    if (holdErr && holdErr.statusCode === 402) {
+      console.log(`[API] [${requestId}] Insufficient credits for user ${req.user?.id}`);
+      return res.status(402).json({ success: false, error: 'Insufficient credits', details: holdErr.message, requestId });
+    }
+    if (holdErr && holdErr.statusCode === 409) {
+      return res.status(409).json({ success: false, error: holdErr.message, requestId });
+    }
+    throw holdErr;
+  }
+  const solve = await createSolve({ userId: req.user.id, requestId, model, language, creditsCharged: required, holdId: hold.id });
+
+  if (runAsync) {
+    try {
+      const job = await enqueueSolveJob({
+        userId: req.user.id,
+        requestId,
+        model,
+        solveId: solve?.id ?? null,
+        creditsCharged: required,
+        holdId: hold.id,
+        input: { imagesData, problemStatement, problem, additionalInstructions, streamCandidates, language, starterCode, pricingMode, apiKeyPrefix }
+      });
+      console.log(`[API] [${requestId}] Queued solve job ${job.id}`);
+      return res.status(202).json({ success: true, jobId: job.id, status: job.status, solveId: solve?.id ?? null, language, starterCode: starterCode ?? null, creditsReserved: required, requestId });
+    } catch (enqueueError) {
+      console.error(`[API] [${requestId}] Failed to enqueue job:`, enqueueError.message);
+      let released = 0;
+      try { ({ released } = await releaseHold(hold.id)); } catch (_) {}
+      await updateSolve(solve?.id, { status: 'failed', error: enqueueError.message, creditsCharged: 0, creditsRefunded: released, completedAt: new Date() });
+      return res.status(500).json({ success: false, error: 'Failed to queue job', details: enqueueError.message, creditsReserved: required, creditsCharged: 0, creditsRefunded: released, requestId });
+    }
+  }
+
+  try {
+    const result = await runSolvePipeline({
+      userId: req.user.id,
+      requestId,
+      model,
+      additionalInstructions,
+      imagesData,
+      problemStatement,
+      problem,
+      holdId: hold.id,
+      creditsReserved: required,
+      pricingMode,
+      solveId: solve?.id ?? null,
+      streamCandidates,
+      language,
+      starterCode,
+      apiKeyPrefix
+    });
+
+    const response = {
+      success: true,
+      ...result,
+      language,
+      starterCode: starterCode ?? null,
+      creditsReserved: required,
+      requestId,
+      solveId: solve?.id ?? null,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log(`[API] [${requestId}] Request completed successfully`);
+    // Do not forcibly end all SSE connections — let clients decide to disconnect.
+    return res.json(response);
+  } catch (processingError) {
+    return res.status(500).json({
+      success: false,
+      error: problemStatement ? 'Failed to solve problem' : 'Failed to process images',
+      details: processingError.message,
+      creditsReserved: required,
+      creditsCharged: processingError.creditsCharged ?? 0,
+      creditsRefunded: processingError.creditsRefunded ?? 0,
+      usage: processingError.usage,
+      requestId
+    });
+  }
+}
+
+// Upload and process images. With `?async=true` the run is queued as a
+// SolveJob and the handler answers 202 immediately; poll GET /api/jobs/:id
+// (or listen on /api/progress) for the result.
+router.post('/upload', allowApiKey('solve'), upload.array('images', 3), async (req, res) => {
   const providedRequestId = req.body?.requestId;
   const requestId = providedRequestId || Date.now().toString(36) + Math.random().toString(36).substr(2);
   const model = req.body.model || 'gpt-4';
   const additionalInstructions = req.body.additionalInstructions || '';
+  // Also stream each candidate's tokens (the evaluation always streams to SSE subscribers)
+  const streamCandidates = req.body.streamCandidates === 'true' || req.body.streamCandidates === true;
+  const runAsync = req.query.async === 'true';
   
   console.log(`[API] [${requestId}] New upload request received`, {
     files: req.files?.length || 0,
     model,
-    hasAdditionalInstructions: !!additionalInstructions
+    language: req.body.language,
+    hasAdditionalInstructions: !!additionalInstructions,
+    async: runAsync
   });
   
   try {
+    const parsedOptions = solveOptionsSchema.safeParse(req.body || {});
+    if (!parsedOptions.success) {
+      console.error(`[API] [${requestId}] Invalid solve options:`, parsedOptions.error.issues);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input',
+        details: parsedOptions.error.issues,
+        requestId
+      });
+    }
+    const { language, starterCode } = parsedOptions.data;
+
     if (!req.files || req.files.length === 0) {
       console.error(`[API] [${requestId}] No files provided`);
       return res.status(400).json({ 
@@ -119,6 +231,16 @@ router.post('/upload', requireAuth, upload.array('images', 3), async (req, res)
       });
     }
 
+    // Reject models no provider adapter can serve before any credits move
+    if (!isKnownModel(model)) {
+      console.error(`[API] [${requestId}] Unknown model:`, model);
+      return res.status(400).json({
+        success: false,
+        error: `Unknown model: ${model}`,
+        requestId
+      });
+    }
+
     console.log(`[API] [${requestId}] Processing ${req.files.length} images...`);
     
     // Convert all images to base64
@@ -130,92 +252,7 @@ router.post('/upload', requireAuth, upload.array('images', 3), async (req, res)
       return data;
     });
 
-    let debited = false;
-    try {
-      const required = getRequiredCredits(model);
-      try {
-        await debitCredits(req.user.id, required, `model:${model}`, requestId);
-        debited = true;
-      } catch (debitErr) {
-        // Surface insufficient credits to the client with a 402 status
-        if (debitErr && (debitErr.statusCode === 402 || /insufficient/i.test(debitErr.message || ''))) {
-          console.log(`[API] [${requestId}] Insufficient credits for user ${req.user?.id}`);
-          return res.status(402).json({ success: false, error: 'Insufficient credits', details: debitErr.message, requestId });
-        }
-        // rethrow other debit errors
-        throw debitErr;
-      }
-      console.log(`[API] [${requestId}] Starting OCR processing...`);
-      
-      console.log(`[API] [${requestId}] Sending ${imagesData.length} images to OCR processor`);
-      const problemStatement = await processImages(imagesData);
-      console.log(`[API] [${requestId}] OCR processor returned, length: ${problemStatement?.length || 0}`);
-      console.log(`[API] [${requestId}] OCR processing completed, problem statement length:`, problemStatement?.length || 0);
-      sendProgressUpdate({ imageProcessed: true }, requestId);
-      console.log(`[API] [${requestId}] Starting parallel generation of solutions and test cases...`);
-      console.log(`[API] [${requestId}] Generating solutions with model: ${model}`);
-      
-      // Start both code generation and test case generation in parallel
-      const solutionPromises = [
-        processImage(problemStatement, model, additionalInstructions),
-        processImage(problemStatement, model, additionalInstructions),
-        processImage(problemStatement, model, additionalInstructions)
-      ];
-      
-      const testCasesPromise = generateTestCases(problemStatement, model, additionalInstructions);
-      
-      // Wait for code generation to complete first
-      const [solution1, solution2, solution3] = await Promise.all(solutionPromises);
-      console.log(`[API] [${requestId}] Received ${[solution1, solution2, solution3].filter(Boolean).length} solutions`);
-      sendProgressUpdate({ codeGenerated: true }, requestId);
-      
-      // Then wait for test case generation to complete
-      const testCases = await testCasesPromise;
-      console.log(`[API] [${requestId}] Received test cases: ${Array.isArray(testCases) ? testCases.length : 'unknown'}`);
-      sendProgressUpdate({ testCasesGenerated: true }, requestId);
-
-      console.log(`[API] [${requestId}] Solutions and test cases generated, evaluating solutions with model: ${model}...`);
-      const bestSolution = await evaluateSolutions(
-        [solution1, solution2, solution3], 
-        testCases,
-        model
-      );
-      console.log(`[API] [${requestId}] Best solution selected`);
-      console.log(`[API] [${requestId}] Solution evaluation completed`);
-      sendProgressUpdate({ solutionSelected: true }, requestId);
-
-      const response = {
-        success: true,
-        solution: bestSolution,
-        testCases,
-        problemStatement,
-        requestId,
-        timestamp: new Date().toISOString()
-      };
-
-      console.log(`[API] [${requestId}] Request completed successfully`);
-      // Notify only subscribers for this requestId that the job is complete
-      sendProgressUpdate({ event: 'completed', requestId, timestamp: new Date().toISOString() }, requestId);
-      // Do not forcibly end all SSE connections — let clients decide to disconnect.
-      return res.json(response);
-      
-    } catch (processingError) {
-      console.error(`[API] [${requestId}] Error during processing:`, {
-        error: processingError.message,
-        stack: processingError.stack,
-        timestamp: new Date().toISOString()
-      });
-      
-      if (debited) {
-        try { await creditCredits(req.user.id, getRequiredCredits(model), `refund:${requestId}`, requestId); } catch (_) {}
-      }
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to process images',
-        details: processingError.message,
-        requestId
-      });
-    }
+    return await reserveAndRun(req, res, { requestId, model, language, starterCode, additionalInstructions, streamCandidates, runAsync, imagesData });
   } catch (error) {
     console.error(`[API] [${requestId}] Unexpected error:`, {
       error: error.message,
@@ -232,4 +269,143 @@ router.post('/upload', requireAuth, upload.array('images', 3), async (req, res)
   }
 });
 
+// Either free text or the structured problem returned by an earlier run
+// (possibly edited by the user); the latter is rendered to markdown.
+const solveTextSchema = z.object({
+  problemStatement: z.string().trim().min(1).max(50000).optional(),
+  problem: problemSchema.optional(),
+  model: z.string().default('gpt-4'),
+  language: z.enum(SUPPORTED_LANGUAGES).default(DEFAULT_LANGUAGE),
+  starterCode: z.string().max(20000).optional(),
+  additionalInstructions: z.string().max(5000).default(''),
+  requestId: z.string().min(1).max(100).optional(),
+  streamCandidates: z.boolean().default(false)
+}).refine((body) => body.problemStatement || body.problem, { message: 'problemStatement or problem is required', path: ['problemStatement'] });
+
+// Solve a problem submitted as text. Same pipeline, credits and progress
+// events as /upload (including `?async=true`), minus the OCR stage.
+router.post('/solve', allowApiKey('solve'), async (req, res) => {
+  let requestId = req.body?.requestId || Date.now().toString(36) + Math.random().toString(36).substr(2);
+  try {
+    const body = solveTextSchema.parse(req.body || {});
+    requestId = body.requestId || requestId;
+    const problemStatement = body.problemStatement || renderProblemMarkdown(body.problem);
+    const runAsync = req.query.async === 'true';
+
+    console.log(`[API] [${requestId}] New text solve request received`, {
+      model: body.model,
+      language: body.language,
+      problemLength: problemStatement.length,
+      structured: !!body.problem,
+      hasAdditionalInstructions: !!body.additionalInstructions,
+      async: runAsync
+    });
+
+    if (!isKnownModel(body.model)) {
+      console.error(`[API] [${requestId}] Unknown model:`, body.model);
+      return res.status(400).json({ success: false, error: `Unknown model: ${body.model}`, requestId });
+    }
+
+    return await reserveAndRun(req, res, {
+      requestId,
+      model: body.model,
+      language: body.language,
+      starterCode: body.starterCode,
+      additionalInstructions: body.additionalInstructions,
+      streamCandidates: body.streamCandidates,
+      runAsync,
+      problemStatement,
+      problem: body.problem
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      console.error(`[API] [${requestId}] Solve validation failed:`, error.issues);
+      return res.status(400).json({ success: false, error: 'Invalid input', details: error.issues, requestId });
+    }
+    console.error(`[API] [${requestId}] Unexpected error:`, {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred', details: error.message, requestId });
+  }
+});
+
+const estimateQuerySchema = z.object({
+  model: z.string().default('gpt-4'),
+  images: z.coerce.number().int().min(0).max(3).default(1)
+});
+
+// Predict what a run would cost before committing to it. `images=0` prices a
+// text problem on /solve.
+router.get('/estimate', allowApiKey('solve'), async (req, res, next) => {
+  try {
+    const { model, images } = estimateQuerySchema.parse(req.query);
+    if (!isKnownModel(model)) {
+      return res.status(400).json({ success: false, error: `Unknown model: ${model}` });
+    }
+    const estimate = estimateRun(model, { images });
+    const available = availableCredits(req.user);
+    return res.json({ success: true, model, images, ...estimate, availableCredits: available, sufficient: available >= estimate.reservedCredits });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+// Solve history and job status, scoped to the authenticated user
+const idParam = (raw) => {
+  const id = Number.parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+router.get('/solves', allowApiKey('read:history'), async (req, res, next) => {
+  try {
+    const cursor = req.query.cursor ? idParam(req.query.cursor) : undefined;
+    if (cursor === null) return res.status(400).json({ success: false, error: 'Invalid cursor' });
+    const { solves, nextCursor } = await listSolves(req.user.id, { limit: req.query.limit, cursor });
+    return res.json({ success: true, solves, nextCursor });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/solves/:id', allowApiKey('read:history'), async (req, res, next) => {
+  try {
+    const id = idParam(req.params.id);
+    if (!id) return res.status(400).json({ success: false, error: 'Invalid solve id' });
+    const solve = await getSolve(req.user.id, id);
+    if (!solve) return res.status(404).json({ success: false, error: 'Solve not found' });
+    return res.json({ success: true, solve });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/solves/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = idParam(req.params.id);
+    if (!id) return res.status(400).json({ success: false, error: 'Invalid solve id' });
+    const deleted = await deleteSolve(req.user.id, id);
+    if (!deleted) return res.status(404).json({ success: false, error: 'Solve not found' });
+    return res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/jobs/:id', allowApiKey('solve'), async (req, res, next) => {
+  try {
+    const id = idParam(req.params.id);
+    if (!id) return res.status(400).json({ success: false, error: 'Invalid job id' });
+    const job = await getSolveJob(req.user.id, id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+    return res.json({ success: true, job });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
@@ -1,14 +1,110 @@
 import express from 'express';
 import { z } from 'zod';
 import prisma from '../lib/prismaClient.js';
-import { hashPassword, verifyPassword } from '../utils/password.js';
-import { signToken, cookieOptions, verifyToken } from '../utils/jwt.js';
+import { hashPassword, verifyPassword, verifyPasswordTimingSafe } from '../utils/password.js';
+import { cookieOptions, verifyToken, signAccessToken, ACCESS_TOKEN_TTL_SECONDS } from '../utils/jwt.js';
 import { signShortLivedToken } from '../utils/jwt.js';
-import { requireAuth } from '../middlewares/auth.js';
+import { requireAuth, readAccessToken } from '../middlewares/auth.js';
+import { createSession, rotateRefreshToken, revokeSession, revokeAllSessions, listSessions, REFRESH_TOKEN_TTL_MS } from '../services/sessions.js';
+import { availableCredits } from '../services/creditHolds.js';
+import { CURRENCIES } from '../services/pricing.js';
+import { issueAuthToken, consumeAuthToken } from '../services/authTokens.js';
+import { API_KEY_SCOPES, createApiKey, listApiKeys, revokeApiKey } from '../services/apiKeys.js';
+import { sendVerificationEmail, sendPasswordResetEmail, sendAccountLockedEmail } from '../utils/email.js';
+import { startLoginAttempt, loginAttemptFailed, loginAttemptPassed, clearLoginFailures } from '../services/loginThrottle.js';
+import { isTwoFactorEnabled, beginTwoFactorSetup, confirmTwoFactor, verifySecondFactor, disableTwoFactor, countUnusedRecoveryCodes } from '../services/twoFactor.js';
 import { OAuth2Client } from 'google-auth-library';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 
 const router = express.Router();
 
+// Caps the mails of one kind any one address can trigger, on top of the
+// global per-IP limiter in app.js
+const emailLimiter = () => rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: Number(process.env.AUTH_EMAIL_RATE_LIMIT || 3),
+  keyGenerator: (req) => {
+    const email = String(req.user?.email || req.body?.email || '').trim().toLowerCase();
+    return email ? `email:${email}` : ipKeyGenerator(req.ip);
+  },
+  handler: (req, res) => res.status(429).json({ success: false, error: 'Too many requests for this email, try again later' })
+});
+const verificationLimiter = emailLimiter();
+const passwordResetLimiter = emailLimiter();
+
+// The refresh cookie is only sent to /auth, where it is exchanged for a new
+// access token; API clients pass it in the body instead.
+const REFRESH_COOKIE_OPTIONS = () => cookieOptions({ path: '/auth', maxAge: REFRESH_TOKEN_TTL_MS });
+
+function setAuthCookies(res, user, session, refreshToken) {
+  res.cookie('auth_token', signAccessToken(user.id, session.id), cookieOptions({ maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 }));
+  res.cookie('refresh_token', refreshToken, REFRESH_COOKIE_OPTIONS());
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('auth_token', { path: '/' });
+  res.clearCookie('refresh_token', { path: '/auth' });
+}
+
+async function startSession(req, res, user) {
+  const { session, refreshToken } = await createSession(user.id, req);
+  setAuthCookies(res, user, session, refreshToken);
+  return session;
+}
+
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// First half of a 2FA login: no cookies yet, just a token naming the user
+// that POST /auth/login/2fa exchanges together with a code
+function twoFactorChallenge(user) {
+  const challengeToken = signShortLivedToken({ uid: user.id, type: '2fa' }, TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+  return { success: true, twoFactorRequired: true, challengeToken, expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS };
+}
+
+function tooManyAttempts(res, lockedMs) {
+  const seconds = Math.ceil(lockedMs / 1000);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ success: false, error: 'Too many failed login attempts, try again later', retryAfterSeconds: seconds });
+}
+
+// A wrong password or code leaves its attempt counted; mail the owner if it
+// locked the account. Not awaited: only known accounts get mail, and waiting
+// for SMTP would show in the timing.
+function loginFailed(attempt, user) {
+  const { lockedOut, lockedUntil } = loginAttemptFailed(attempt);
+  if (lockedOut && user) sendAccountLockedEmail(user, lockedUntil);
+}
+
+// Re-check the signed-in user's password (and whatever else `check` needs)
+// before an account security change, throttled like a login so a stolen
+// session can't be used to guess it. Resolves to true, or sends the 429/401
+// and resolves to false.
+async function confirmIdentity(req, res, check, error = 'Invalid password') {
+  const attempt = await startLoginAttempt({ username: req.user.username, ip: req.ip });
+  if (attempt.lockedMs > 0) {
+    tooManyAttempts(res, attempt.lockedMs);
+    return false;
+  }
+  if (!(await check())) {
+    loginFailed(attempt, req.user);
+    res.status(401).json({ success: false, error });
+    return false;
+  }
+  await loginAttemptPassed(attempt);
+  return true;
+}
+
+async function sendVerification(user) {
+  const token = await issueAuthToken(user.id, 'email_verification', user.email);
+  await sendVerificationEmail(user, user.email, token);
+}
+
+async function sendPasswordReset(user, email) {
+  const token = await issueAuthToken(user.id, 'password_reset', email);
+  await sendPasswordResetEmail(user, email, token);
+  console.log('[AUTH] Password reset email sent', { userId: user.id });
+}
+
 const registerSchema = z.object({
   username: z.string().min(3).max(30).regex(/^[a-zA-Z0-9_\.\-]+$/),
   password: z.string().min(8),
@@ -45,8 +141,12 @@ router.post('/register', async (req, res, next) => {
       select: { id: true, username: true, email: true, credits: true, name: true }
     });
 
-    const token = signToken({ uid: user.id });
-    res.cookie('auth_token', token, cookieOptions());
+    if (user.email) {
+      // best-effort: the user can ask for another link from their account
+      sendVerification(user).catch((e) => console.warn('[AUTH] Failed to send verification email', { userId: user.id, error: e && e.message }));
+    }
+
+    await startSession(req, res, user);
     console.log('[AUTH] Registration successful for:', username, { userId: user.id });
     return res.json({ success: true, user });
   } catch (err) {
@@ -64,27 +164,42 @@ const loginSchema = z.object({
   password: z.string()
 });
 
+// Failed attempts are throttled per username and per IP (services/loginThrottle.js).
+// Unknown usernames go through the same password check and failure
+// bookkeeping as known ones, so neither timing nor status tells them apart.
 router.post('/login', async (req, res, next) => {
   try {
     console.log('[AUTH] Login attempt', { username: req.body.username });
     const { username, password } = loginSchema.parse(req.body);
     console.log('[AUTH] Parsed login payload for', username);
+    const attempt = await startLoginAttempt({ username, ip: req.ip });
+    if (attempt.lockedMs > 0) {
+      console.log('[AUTH] Login refused: too many failed attempts for:', username);
+      return tooManyAttempts(res, attempt.lockedMs);
+    }
     const user = await prisma.user.findUnique({ where: { username: username.toLowerCase() } });
     console.log('[AUTH] User lookup complete for:', username, { found: !!user });
-    if (!user || !user.passwordHash) {
-      console.log('[AUTH] Login failed: user not found or missing passwordHash for:', username);
-      return res.status(401).json({ success: false, error: 'Invalid credentials' });
-    }
-    const ok = await verifyPassword(password, user.passwordHash);
+    const ok = await verifyPasswordTimingSafe(password, user?.passwordHash);
     console.log('[AUTH] Password verification result for', username, ok);
     if (!ok) {
-      console.log('[AUTH] Login failed: incorrect password for:', username);
+      console.log('[AUTH] Login failed: unknown user, no password or incorrect password for:', username);
+      loginFailed(attempt, user);
       return res.status(401).json({ success: false, error: 'Invalid credentials' });
     }
+    await loginAttemptPassed(attempt);
+    if (user.disabledAt) {
+      console.log('[AUTH] Login refused: account disabled for:', username);
+      return res.status(403).json({ success: false, error: 'Account disabled' });
+    }
+    if (isTwoFactorEnabled(user)) {
+      // Failures are only cleared once the second factor is right as well
+      console.log('[AUTH] Password accepted, two-factor code required for:', username);
+      return res.json(twoFactorChallenge(user));
+    }
+    await clearLoginFailures(username);
 
     const publicUser = { id: user.id, username: user.username, email: user.email, credits: user.credits, name: user.name };
-    const token = signToken({ uid: user.id });
-    res.cookie('auth_token', token, cookieOptions());
+    await startSession(req, res, user);
     console.log('[AUTH] Login successful for:', username, { userId: user.id });
     return res.json({ success: true, user: publicUser });
   } catch (err) {
@@ -95,28 +210,347 @@ router.post('/login', async (req, res, next) => {
   }
 });
 
-router.post('/logout', (req, res) => {
-  res.clearCookie('auth_token', { path: '/' });
-  return res.json({ success: true });
-});
+const secondFactorSchema = z.object({
+  code: z.string().trim().min(1).max(20).optional(),
+  recoveryCode: z.string().trim().min(1).max(40).optional()
+}).refine((body) => body.code || body.recoveryCode, { message: 'code or recoveryCode is required', path: ['code'] });
 
-router.get('/me', async (req, res, next) => {
+const loginTwoFactorSchema = z.object({ challengeToken: z.string().min(1) }).and(secondFactorSchema);
+
+// Second half of a 2FA login. Wrong codes count towards the same lockout as
+// wrong passwords.
+router.post('/login/2fa', async (req, res, next) => {
   try {
-    const token = req.cookies?.auth_token || (req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.slice(7) : null);
-    if (!token) return res.status(401).json({ success: false, error: 'Unauthorized' });
+    const { challengeToken, code, recoveryCode } = loginTwoFactorSchema.parse(req.body || {});
     let payload;
     try {
-      payload = verifyToken(token);
+      payload = verifyToken(challengeToken);
     } catch (e) {
-      return res.status(401).json({ success: false, error: 'Unauthorized' });
+      return res.status(401).json({ success: false, error: 'Invalid or expired challenge' });
     }
-    const user = await prisma.user.findUnique({
-      where: { id: payload.uid },
-      select: { id: true, username: true, email: true, credits: true, name: true }
-    });
+    if (payload.type !== '2fa') return res.status(401).json({ success: false, error: 'Invalid or expired challenge' });
+    const user = await prisma.user.findUnique({ where: { id: payload.uid } });
+    if (!user || !isTwoFactorEnabled(user)) return res.status(401).json({ success: false, error: 'Invalid or expired challenge' });
+    if (user.disabledAt) return res.status(403).json({ success: false, error: 'Account disabled' });
+
+    const attempt = await startLoginAttempt({ username: user.username, ip: req.ip });
+    if (attempt.lockedMs > 0) return tooManyAttempts(res, attempt.lockedMs);
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      console.log('[AUTH] Two-factor code rejected', { userId: user.id });
+      loginFailed(attempt, user);
+      return res.status(401).json({ success: false, error: 'Invalid code' });
+    }
+    await loginAttemptPassed(attempt);
+    await clearLoginFailures(user.username);
+
+    const publicUser = { id: user.id, username: user.username, email: user.email, credits: user.credits, name: user.name };
+    await startSession(req, res, user);
+    console.log('[AUTH] Login successful with two-factor code', { userId: user.id });
+    return res.json({ success: true, user: publicUser });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+// Revokes the current session; an expired access token still identifies it
+router.post('/logout', async (req, res, next) => {
+  try {
+    const token = readAccessToken(req);
+    let sid = null;
+    try {
+      sid = token ? verifyToken(token, { ignoreExpiration: true }).sid : null;
+    } catch (e) {
+      // invalid token: nothing to revoke
+    }
+    if (sid) await revokeSession(sid, 'logout');
+    clearAuthCookies(res);
+    return res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/logout-all', requireAuth, async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+    console.log('[AUTH] Logged out everywhere', { userId: req.user.id, revoked });
+    clearAuthCookies(res);
+    return res.json({ success: true, revoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const refreshSchema = z.object({ refreshToken: z.string().min(1).optional() });
+
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken: fromBody } = refreshSchema.parse(req.body || {});
+    const { session, refreshToken } = await rotateRefreshToken(fromBody || req.cookies?.refresh_token, req);
+    const user = await prisma.user.findUnique({ where: { id: session.userId }, select: { id: true, disabledAt: true } });
     if (!user) return res.status(401).json({ success: false, error: 'Unauthorized' });
-    return res.json({ success: true, user });
+    if (user.disabledAt) return res.status(403).json({ success: false, error: 'Account disabled' });
+    setAuthCookies(res, user, session, refreshToken);
+    // Body-based clients get their tokens back in the body
+    const tokens = fromBody ? { accessToken: signAccessToken(user.id, session.id), refreshToken } : {};
+    return res.json({ success: true, expiresIn: ACCESS_TOKEN_TTL_SECONDS, ...tokens });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    if (err.statusCode === 401) {
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, error: err.message });
+    }
+    next(err);
+  }
+});
+
+router.get('/sessions', requireAuth, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    return res.json({ success: true, sessions: sessions.map((s) => ({ ...s, current: s.id === req.sessionId })) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/sessions/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = z.coerce.number().int().positive().parse(req.params.id);
+    const revoked = await revokeSession(id, 'revoked_by_user', { userId: req.user.id });
+    if (!revoked) return res.status(404).json({ success: false, error: 'Session not found' });
+    if (id === req.sessionId) clearAuthCookies(res);
+    return res.json({ success: true });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+router.get('/api-keys', requireAuth, async (req, res, next) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+    return res.json({ success: true, apiKeys, scopes: API_KEY_SCOPES });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const createApiKeySchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1).optional()
+});
+
+// The key itself is only ever returned here
+router.post('/api-keys', requireAuth, async (req, res, next) => {
+  try {
+    const { name, scopes } = createApiKeySchema.parse(req.body || {});
+    const { apiKey, key } = await createApiKey(req.user.id, { name, scopes });
+    return res.status(201).json({ success: true, apiKey, key });
   } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+router.delete('/api-keys/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = z.coerce.number().int().positive().parse(req.params.id);
+    const revoked = await revokeApiKey(req.user.id, id);
+    if (!revoked) return res.status(404).json({ success: false, error: 'API key not found' });
+    return res.json({ success: true });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+router.get('/2fa', requireAuth, async (req, res, next) => {
+  try {
+    const enabled = isTwoFactorEnabled(req.user);
+    const recoveryCodesRemaining = enabled ? await countUnusedRecoveryCodes(req.user.id) : 0;
+    return res.json({ success: true, enabled, recoveryCodesRemaining });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const setupTwoFactorSchema = z.object({ password: z.string().min(1) });
+
+// Returns the secret and an otpauth:// URI (for a QR code); 2FA is enforced
+// only after POST /2fa/confirm. Needs the password, so a hijacked session
+// can't enroll its own authenticator.
+router.post('/2fa/setup', requireAuth, async (req, res, next) => {
+  try {
+    const { password } = setupTwoFactorSchema.parse(req.body || {});
+    if (!req.user.passwordHash) return res.status(400).json({ success: false, error: 'Two-factor authentication is only available for password accounts' });
+    if (!(await confirmIdentity(req, res, () => verifyPassword(password, req.user.passwordHash)))) return;
+    const { secret, otpauthUri } = await beginTwoFactorSetup(req.user);
+    return res.json({ success: true, secret, otpauthUri });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+const confirmTwoFactorSchema = z.object({ code: z.string().trim().min(1).max(20) });
+
+// Turning 2FA on or off signs out every other session
+router.post('/2fa/confirm', requireAuth, async (req, res, next) => {
+  try {
+    const { code } = confirmTwoFactorSchema.parse(req.body || {});
+    const recoveryCodes = await confirmTwoFactor(req.user, code);
+    await revokeAllSessions(req.user.id, '2fa_enabled', { exceptSessionId: req.sessionId });
+    return res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+const disableTwoFactorSchema = z.object({ password: z.string().min(1) }).and(secondFactorSchema);
+
+router.post('/2fa/disable', requireAuth, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = disableTwoFactorSchema.parse(req.body || {});
+    if (!isTwoFactorEnabled(req.user)) return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+    const verified = await confirmIdentity(
+      req,
+      res,
+      async () => (await verifyPassword(password, req.user.passwordHash)) && verifySecondFactor(req.user, { code, recoveryCode }),
+      'Invalid password or code'
+    );
+    if (!verified) return;
+    await disableTwoFactor(req.user.id);
+    await revokeAllSessions(req.user.id, '2fa_disabled', { exceptSessionId: req.sessionId });
+    return res.json({ success: true });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+router.get('/me', requireAuth, async (req, res, next) => {
+  try {
+    const { id, username, email, emailVerifiedAt, credits, name, role, preferredCurrency } = req.user;
+    // availableCredits excludes credits reserved by in-flight runs
+    return res.json({
+      success: true,
+      user: { id, username, email, emailVerified: !!emailVerifiedAt, twoFactorEnabled: isTwoFactorEnabled(req.user), credits, name, role, preferredCurrency, availableCredits: availableCredits(req.user) }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const updateMeSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  preferredCurrency: z.enum(CURRENCIES).nullable().optional()
+});
+
+router.patch('/me', requireAuth, async (req, res, next) => {
+  try {
+    const data = updateMeSchema.parse(req.body);
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data,
+      select: { id: true, username: true, email: true, credits: true, heldCredits: true, name: true, role: true, preferredCurrency: true }
+    });
+    const { heldCredits, ...publicUser } = user;
+    return res.json({ success: true, user: { ...publicUser, availableCredits: availableCredits(user) } });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+router.post('/verify-email/request', requireAuth, verificationLimiter, async (req, res, next) => {
+  try {
+    if (!req.user.email) return res.status(400).json({ success: false, error: 'No email address on this account' });
+    if (req.user.emailVerifiedAt) return res.json({ success: true, alreadyVerified: true });
+    await sendVerification(req.user);
+    console.log('[AUTH] Verification email sent', { userId: req.user.id });
+    return res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/verify-email/:token', async (req, res, next) => {
+  try {
+    const row = await consumeAuthToken(req.params.token, 'email_verification');
+    if (!row) return res.status(400).json({ success: false, error: 'Invalid or expired link' });
+    const user = await prisma.user.findUnique({ where: { id: row.userId }, select: { id: true, email: true } });
+    if (!user || user.email !== row.email) return res.status(400).json({ success: false, error: 'Email address has changed since this link was sent' });
+    await prisma.user.update({ where: { id: user.id }, data: { emailVerifiedAt: new Date() } });
+    console.log('[AUTH] Email verified', { userId: user.id });
+    return res.json({ success: true, email: user.email });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const forgotSchema = z.object({ email: z.string().trim().toLowerCase().pipe(z.string().email()) });
+
+// Always answers the same way so it can't be used to probe for accounts
+router.post('/password/forgot', passwordResetLimiter, async (req, res, next) => {
+  try {
+    const { email } = forgotSchema.parse(req.body);
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true, username: true, email: true, disabledAt: true } });
+    if (user && !user.disabledAt) {
+      // Not awaited: the token write and SMTP round trip only happen for
+      // known addresses and would show in the response time
+      sendPasswordReset(user, email).catch((e) => console.warn('[AUTH] Failed to send password reset email', { userId: user.id, error: e && e.message }));
+    }
+    return res.json({ success: true, message: 'If an account uses that email, a reset link is on its way' });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+const resetSchema = z.object({ token: z.string().min(1), password: z.string().min(8) });
+
+router.post('/password/reset', async (req, res, next) => {
+  try {
+    const { token, password } = resetSchema.parse(req.body);
+    const row = await consumeAuthToken(token, 'password_reset');
+    if (!row) return res.status(400).json({ success: false, error: 'Invalid or expired link' });
+    const user = await prisma.user.findUnique({ where: { id: row.userId }, select: { id: true, username: true, email: true } });
+    if (!user) return res.status(400).json({ success: false, error: 'Invalid or expired link' });
+    const passwordHash = await hashPassword(password);
+    // Receiving the link proves ownership of the address it was sent to
+    const verified = user.email === row.email ? { emailVerifiedAt: new Date() } : {};
+    await prisma.user.update({ where: { id: user.id }, data: { passwordHash, ...verified } });
+    // Whoever had the old password is signed out, and the owner isn't locked out
+    await revokeAllSessions(user.id, 'password_reset');
+    await clearLoginFailures(user.username);
+    console.log('[AUTH] Password reset', { userId: user.id });
+    return res.json({ success: true });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
     next(err);
   }
 });
@@ -155,15 +589,18 @@ router.post('/google', async (req, res, next) => {
         suffix += 1;
         candidate = `${base}${suffix}`.slice(0, 30);
       }
-      user = await prisma.user.create({ data: { username: candidate, email, name, googleId } });
+      // Google flags addresses it has already verified with email_verified
+      user = await prisma.user.create({ data: { username: candidate, email, name, googleId, emailVerifiedAt: email && payload.email_verified ? new Date() : null } });
     } else if (!user.googleId) {
       // link googleId to existing user if matched by email
       user = await prisma.user.update({ where: { id: user.id }, data: { googleId } });
     }
+    if (user.disabledAt) return res.status(403).json({ success: false, error: 'Account disabled' });
+    // An account that enrolled 2FA with its password needs the code here too
+    if (isTwoFactorEnabled(user)) return res.json(twoFactorChallenge(user));
 
     const publicUser = { id: user.id, username: user.username, email: user.email, credits: user.credits, name: user.name };
-    const token = signToken({ uid: user.id });
-    res.cookie('auth_token', token, cookieOptions());
+    await startSession(req, res, user);
     return res.json({ success: true, user: publicUser });
   } catch (err) {
     if (err instanceof z.ZodError) {
@@ -0,0 +1,66 @@
+import express from 'express';
+import { z } from 'zod';
+import { requireAuth } from '../middlewares/auth.js';
+import { LEDGER_TYPES, listLedger, getMonthlyStatement } from '../services/ledger.js';
+import { availableCredits } from '../services/creditHolds.js';
+import { toCsv } from '../utils/csv.js';
+
+const router = express.Router();
+
+const ledgerQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.coerce.number().int().positive().optional(),
+  type: z.enum(LEDGER_TYPES).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional()
+});
+
+// Credit history for the current user, newest first, with the payment or
+// solve each entry relates to.
+router.get('/ledger', requireAuth, async (req, res, next) => {
+  try {
+    const query = ledgerQuerySchema.parse(req.query);
+    const { entries, nextCursor } = await listLedger(req.user.id, query);
+    return res.json({ success: true, balance: req.user.credits, availableCredits: availableCredits(req.user), entries, nextCursor });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+const statementQuerySchema = z.object({
+  month: z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Expected YYYY-MM').default(currentMonth)
+});
+
+// Monthly statement as CSV (UTC months), opening and closing balances included
+router.get('/statement.csv', requireAuth, async (req, res, next) => {
+  try {
+    const { month } = statementQuerySchema.parse(req.query);
+    const statement = await getMonthlyStatement(req.user.id, month);
+
+    // Payment rows also carry what was paid, in the currency it was paid in
+    const rows = [['', 'opening_balance', '', statement.openingBalance, '', '', '', '', '']];
+    for (const e of statement.entries) {
+      const related = e.payment
+        ? `payment:${e.payment.razorpayOrderId}`
+        : e.solve ? `solve:${e.solve.id} (${e.solve.model})` : (e.relatedId || '');
+      const amount = e.payment ? (e.payment.amountPaise / 100).toFixed(2) : '';
+      rows.push([e.createdAt, e.type, e.delta, e.balance, e.reason, related, amount, e.payment?.currency || '', e.id]);
+    }
+    rows.push(['', 'closing_balance', '', statement.closingBalance, '', '', '', '', '']);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="credits-statement-${month}.csv"`);
+    return res.send(toCsv(['date', 'type', 'delta', 'balance', 'reason', 'related', 'amount', 'currency', 'entry_id'], rows));
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
+export default router;
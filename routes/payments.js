@@ -3,27 +3,64 @@ import { z } from 'zod';
 import prisma from '../lib/prismaClient.js';
 import { getRazorpay, verifyRazorpaySignature } from '../utils/razorpay.js';
 import { creditCredits } from '../services/credits.js';
-import { requireAuth } from '../middlewares/auth.js';
+import { CURRENCIES, CREDIT_PRICES, DEFAULT_CURRENCY, listPacks, quoteOrder, reservePromoRedemption } from '../services/pricing.js';
+import { requireAuth, requireAdmin } from '../middlewares/auth.js';
+import { requestPaymentRefund } from '../services/paymentRefunds.js';
 
 const router = express.Router();
 
-const createOrderSchema = z.object({ credits: z.number().int().min(1) });
+const createOrderSchema = z.object({
+  packId: z.number().int().positive().optional(),
+  credits: z.number().int().min(1).optional(),
+  promoCode: z.string().trim().min(1).max(40).optional(),
+  currency: z.enum(CURRENCIES).optional()
+}).refine((b) => !!b.packId !== !!b.credits, { message: 'Provide either packId or credits' });
+
+// Public: active credit packs for the pricing page, priced in ?currency=
+router.get('/packs', async (req, res, next) => {
+  try {
+    const { currency } = z.object({ currency: z.enum(CURRENCIES).default(DEFAULT_CURRENCY) }).parse(req.query);
+    const packs = await listPacks(currency);
+    return res.json({ success: true, currency, creditPrice: CREDIT_PRICES[currency], packs });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
 
 router.post('/create-order', requireAuth, async (req, res, next) => {
   try {
     console.log('[PAYMENTS] Create order attempt', { userId: req.user?.id, body: req.body });
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ success: false, error: 'Unauthorized' });
-    const { credits } = createOrderSchema.parse(req.body);
-    const amountPaise = credits * 5 * 100; // ₹5 per credit
+    const { packId, credits, promoCode, currency: requested } = createOrderSchema.parse(req.body);
+    const currency = requested || req.user.preferredCurrency || DEFAULT_CURRENCY;
+    const quote = await quoteOrder({ userId, packId, credits, promoCode, currency });
     const razorpay = getRazorpay();
     // include site id and structured receipt to link order to this site
     const siteId = process.env.SITE_ID || 'unknown_site';
     const receipt = `${siteId}:u${userId}:${Date.now()}`;
-    const order = await razorpay.orders.create({ amount: amountPaise, currency: 'INR', receipt, notes: { website_id: siteId } });
-    await prisma.payment.create({ data: { userId, razorpayOrderId: order.id, amountPaise, creditsPurchased: credits, status: 'created' } });
-    console.log('[PAYMENTS] Order created', { orderId: order.id, amountPaise, userId });
-    return res.json({ success: true, orderId: order.id, amount: amountPaise, currency: 'INR', razorpayKeyId: process.env.RAZORPAY_KEY_ID });
+    const order = await razorpay.orders.create({ amount: quote.amountPaise, currency: quote.currency, receipt, notes: { website_id: siteId } });
+    // An order that never gets its Payment row can't be paid for, so the
+    // promo is only reserved together with the row
+    await prisma.$transaction(async (tx) => {
+      if (quote.promoCodeId) await reservePromoRedemption(tx, quote.promoCodeId, userId);
+      await tx.payment.create({ data: { userId, razorpayOrderId: order.id, ...quote, status: 'created' } });
+    });
+    console.log('[PAYMENTS] Order created', { orderId: order.id, amount: quote.amountPaise, currency: quote.currency, userId, packId, promoCodeId: quote.promoCodeId });
+    return res.json({
+      success: true,
+      orderId: order.id,
+      amount: quote.amountPaise,
+      currency: quote.currency,
+      credits: quote.creditsPurchased,
+      bonusCredits: quote.bonusCredits,
+      discount: quote.discountPaise,
+      description: quote.description,
+      razorpayKeyId: process.env.RAZORPAY_KEY_ID
+    });
   } catch (err) {
     if (err instanceof z.ZodError) {
       return res.status(400).json({ success: false, error: 'Invalid input' });
@@ -68,6 +105,23 @@ router.post('/verify', requireAuth, async (req, res, next) => {
   }
 });
 
+const refundSchema = z.object({ reason: z.string().trim().max(500).optional() });
+
+// Admin only: full refund through Razorpay; purchased credits are clawed back
+router.post('/:id/refund', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const paymentId = z.coerce.number().int().positive().parse(req.params.id);
+    const { reason } = refundSchema.parse(req.body || {});
+    const result = await requestPaymentRefund(req.user.id, paymentId, { reason });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: err.issues });
+    }
+    next(err);
+  }
+});
+
 export default router;
 
 
@@ -1,6 +1,6 @@
 import express from 'express';
-import prisma from '../lib/prismaClient.js';
 import { verifyWebhookSignature } from '../utils/razorpay.js';
+import { processWebhookEvent, recordWebhookError, getWebhookEventStatus } from '../services/webhookEvents.js';
 
 const router = express.Router();
 
@@ -36,88 +36,32 @@ router.post('/', async (req, res) => {
 
   console.log('[WEBHOOK] Event ID:', eventId, 'Event Type:', payload.event);
 
-  // extract site id from notes or receipt
-  const siteId = payload?.payload?.payment?.entity?.notes?.website_id
-               || (payload?.payload?.order?.entity?.receipt || '').split(':')[0]
-               || null;
-
-  console.log('[WEBHOOK] Extracted siteId:', siteId, 'Local SITE_ID:', process.env.SITE_ID);
-
-  const event = payload.event;
+  const failed = async (e) => {
+    console.error('[WEBHOOK] Error processing webhook', e && e.message);
+    try { await recordWebhookError(eventId, payload); } catch (_) {}
+    return res.status(500).send('processing error');
+  };
 
-  // Use a transaction to create an idempotency marker and perform all state
-  // changes (payment update, credit ledger, user balance) atomically. This
-  // ensures exactly-once processing even under retries and concurrent workers.
   try {
-    await prisma.$transaction(async (tx) => {
-      // create idempotency marker - will fail if eventId already exists
-      await tx.webhookEvent.create({ data: { eventId, status: 'processing', payload: {} } });
-      console.log('[WEBHOOK] Created processing marker for', eventId);
-
-      if (siteId !== process.env.SITE_ID) {
-        // mark ignored and exit
-        await tx.webhookEvent.update({ where: { eventId }, data: { status: 'ignored', payload } });
-        console.log('[WEBHOOK] Ignoring event for other site:', siteId);
-        return;
-      }
-
-      // find local order within the transaction
-      const razorpayOrderId = payload?.payload?.order?.entity?.id || payload?.payload?.payment?.entity?.order_id;
-      console.log('[WEBHOOK] Looking up local order for razorpayOrderId:', razorpayOrderId);
-      const payment = await tx.payment.findUnique({ where: { razorpayOrderId } });
-      if (!payment) {
-        await tx.webhookEvent.update({ where: { eventId }, data: { status: 'no_local_order', payload } });
-        console.log('[WEBHOOK] No local order match for', { razorpayOrderId });
-        return;
-      }
-
-      console.log('[WEBHOOK] Local payment record found:', { id: payment.id, amountPaise: payment.amountPaise });
-
-      // verify amount
-      const amount = payload?.payload?.payment?.entity?.amount || payload?.payload?.order?.entity?.amount;
-      if (amount && amount !== payment.amountPaise) {
-        await tx.webhookEvent.update({ where: { eventId }, data: { status: 'amount_mismatch', payload } });
-        console.log('[WEBHOOK] Amount mismatch', { expected: payment.amountPaise, received: amount });
-        return;
-      }
-
-      // process the event depending on type
-      console.log('[WEBHOOK] Processing event type:', event);
-      if (event === 'payment.captured' || event === 'payment.authorized' || event === 'order.paid') {
-        console.log('[WEBHOOK] Marking payment as paid for payment id:', payment.id);
-        const razorpayPaymentId = payload?.payload?.payment?.entity?.id || null;
-
-        // Only credit if not already paid/credited. Use a ledger existence check
-        // to avoid duplicates in case payment.status may have been updated elsewhere.
-        const existingLedger = await tx.creditLedger.findFirst({ where: { relatedId: `razorpay:${razorpayPaymentId}` } });
-        if (!existingLedger) {
-          await tx.payment.update({ where: { id: payment.id }, data: { status: 'paid', razorpayPaymentId, razorpaySignature: signature } });
-          await tx.creditLedger.create({ data: { userId: payment.userId, delta: payment.creditsPurchased, type: 'purchase', reason: 'payment', relatedId: `razorpay:${razorpayPaymentId}` } });
-          await tx.user.update({ where: { id: payment.userId }, data: { credits: { increment: payment.creditsPurchased } } });
-          console.log('[WEBHOOK] Credited user for payment id:', payment.id, 'credits:', payment.creditsPurchased);
-        } else {
-          // Ensure payment status updated even if ledger exists
-          await tx.payment.update({ where: { id: payment.id }, data: { status: 'paid', razorpayPaymentId, razorpaySignature: signature } });
-          console.log('[WEBHOOK] Ledger already exists for razorpayPaymentId:', razorpayPaymentId);
-        }
-
-      } else if (event === 'payment.failed') {
-        console.log('[WEBHOOK] Marking payment as failed for payment id:', payment.id);
-        await tx.payment.update({ where: { id: payment.id }, data: { status: 'failed' } });
-      }
-
-      await tx.webhookEvent.update({ where: { eventId }, data: { status: 'processed', payload } });
-      console.log('[WEBHOOK] Transaction complete for eventId:', eventId);
-    });
+    await processWebhookEvent(payload, { signature });
   } catch (e) {
-    // If the error is a unique constraint on webhookEvent, treat as already-processed
     if (e && e.code === 'P2002') {
+      // Razorpay retries events we answered with a 500; run those again,
+      // anything else is already processing/processed
+      const previous = await getWebhookEventStatus(eventId).catch(() => null);
+      if (previous === 'error') {
+        try {
+          await processWebhookEvent(payload, { signature, replay: true });
+          console.log('[WEBHOOK] Retried previously failed event', eventId);
+          return res.status(200).send('ok');
+        } catch (retryErr) {
+          if (retryErr.statusCode !== 409) return failed(retryErr);
+        }
+      }
       console.log('[WEBHOOK] Event already processing/processed (unique constraint):', eventId);
       return res.status(200).send('ok');
     }
-    console.error('[WEBHOOK] Error processing webhook', e && e.message);
-    try { await prisma.webhookEvent.update({ where: { eventId }, data: { status: 'error', payload } }); } catch (_) {}
-    return res.status(500).send('processing error');
+    return failed(e);
   }
 
   console.log('[WEBHOOK] Completed processing for', eventId);
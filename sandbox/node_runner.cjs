@@ -0,0 +1,104 @@
+// Harness used by services/sandbox.js to run one generated JavaScript
+// solution against one test case. Invoked as `node node_runner.cjs` from a
+// throwaway directory containing solution.js and payload.json. In function
+// mode the result is printed as a single sentinel-prefixed JSON line; in
+// script mode the test input is fed on stdin and stdout is the result.
+const fs = require('fs');
+
+const SENTINEL = '__SANDBOX_RESULT__';
+const BLOCKED_MODULES = new Set(['net', 'tls', 'http', 'https', 'http2', 'dgram', 'dns', 'child_process', 'cluster', 'worker_threads']);
+
+// Network and native-binding escape hatches that bypass safeRequire. As with
+// the blocked modules, the network namespace is the real barrier.
+for (const name of ['fetch', 'WebSocket', 'EventSource', 'Request', 'Response', 'Headers']) delete globalThis[name];
+for (const name of ['binding', '_linkedBinding', 'dlopen']) delete process[name];
+
+function emit(payload) {
+  process.stdout.write(`${SENTINEL}${JSON.stringify(payload)}\n`);
+}
+
+function safeRequire(name) {
+  const bare = String(name).replace(/^node:/, '');
+  if (BLOCKED_MODULES.has(bare)) throw new Error(`Module "${bare}" is not available in the sandbox`);
+  return require(name);
+}
+
+// Names of top-level functions, in declaration order, so a LeetCode style
+// `var twoSum = function (nums, target) {}` can be located after evaluation.
+function topLevelFunctionNames(source) {
+  const names = [];
+  const re = /^(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)|^(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/gm;
+  let match;
+  while ((match = re.exec(source)) !== null) {
+    const name = match[1] || match[2];
+    if (!name.startsWith('_') && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+function paramCount(fn) {
+  return typeof fn === 'function' ? fn.length : 0;
+}
+
+function buildArgs(fn, value) {
+  const arity = paramCount(fn);
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const values = Object.values(value);
+    return arity === 1 && values.length !== 1 ? [value] : values;
+  }
+  if (Array.isArray(value) && arity !== 1) return value;
+  return [value];
+}
+
+function main() {
+  const payload = JSON.parse(fs.readFileSync('payload.json', 'utf8'));
+  const source = fs.readFileSync('solution.js', 'utf8');
+  const names = topLevelFunctionNames(source);
+  const exportsLine = `return { Solution: typeof Solution !== 'undefined' ? Solution : undefined, fns: { ${names.map((n) => `${JSON.stringify(n)}: typeof ${n} !== 'undefined' ? ${n} : undefined`).join(', ')} } };`;
+
+  const mod = { exports: {} };
+  // Output printed while loading is buffered; a script-style solution that
+  // prints later (e.g. from a stdin 'end' handler) writes straight through.
+  const captured = [];
+  let sink = (line) => captured.push(line);
+  const quietConsole = { ...console, log: (...args) => sink(args.join(' ')), info: () => {}, debug: () => {} };
+  const wrapper = new Function('exports', 'require', 'module', '__filename', '__dirname', 'console', `${source}\n;${exportsLine}`);
+  const loaded = wrapper(mod.exports, safeRequire, mod, 'solution.js', process.cwd(), quietConsole);
+
+  let target = null;
+  if (typeof loaded.Solution === 'function') {
+    const instance = new loaded.Solution();
+    const methods = Object.getOwnPropertyNames(loaded.Solution.prototype).filter((n) => n !== 'constructor' && !n.startsWith('_') && typeof instance[n] === 'function');
+    const method = methods.includes(payload.method) ? payload.method : methods[0];
+    if (method) target = instance[method].bind(instance);
+  }
+  if (!target) {
+    const exported = typeof mod.exports === 'function' ? [mod.exports] : Object.values(mod.exports).filter((v) => typeof v === 'function');
+    const fns = [...Object.entries(loaded.fns).filter(([, fn]) => typeof fn === 'function').map(([name, fn]) => ({ name, fn })), ...exported.map((fn) => ({ name: fn.name, fn }))];
+    const chosen = fns.find((f) => f.name === payload.method) || fns[0];
+    if (chosen && !(captured.length > 0)) target = chosen.fn;
+  }
+
+  if (!target) {
+    // Script-style solution: it already read stdin and printed its answer.
+    if (captured.length > 0) process.stdout.write(`${captured.join('\n')}\n`);
+    sink = (line) => process.stdout.write(`${line}\n`);
+    emit({ mode: 'script' });
+    return;
+  }
+
+  const result = target(...buildArgs(target, payload.value));
+  Promise.resolve(result).then((value) => emit({ mode: 'function', result: value === undefined ? null : value }), fail);
+}
+
+function fail(err) {
+  const message = err && err.message ? `${err.name || 'Error'}: ${err.message}` : String(err);
+  emit({ error: /heap out of memory/i.test(message) ? 'Memory limit exceeded' : message });
+  process.exitCode = 1;
+}
+
+try {
+  main();
+} catch (err) {
+  fail(err);
+}
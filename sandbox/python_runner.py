@@ -0,0 +1,109 @@
+"""Harness used by services/sandbox.js to run one generated Python solution
+against one test case. Invoked as:
+
+    python3 -I python_runner.py
+
+from a throwaway directory containing solution.py and payload.json, under
+the memory limit the sandbox applies with prlimit. In function mode the
+result is printed as a single sentinel-prefixed JSON line; in script mode
+the test input is fed on stdin and stdout is the result.
+"""
+import contextlib
+import inspect
+import io
+import json
+import sys
+
+SENTINEL = '__SANDBOX_RESULT__'
+
+# Network modules, including the raw _socket extension behind socket, are
+# made unimportable (a None entry in sys.modules raises ImportError). The
+# sandbox has no network namespace access anyway; this is the second layer.
+for _name in ('socket', '_socket', 'ssl', '_ssl', 'select', 'selectors', 'asyncio',
+              'http', 'urllib.request', 'ftplib', 'smtplib', 'telnetlib'):
+    sys.modules[_name] = None
+
+PRELUDE = (
+    'from typing import *\n'
+    'import collections, heapq, math, itertools, functools, bisect, re, string\n'
+    'from collections import *\n'
+)
+
+
+def emit(payload):
+    sys.__stdout__.write(SENTINEL + json.dumps(payload, default=repr) + '\n')
+    sys.__stdout__.flush()
+
+
+def find_target(ns, method):
+    cls = ns.get('Solution')
+    if inspect.isclass(cls):
+        instance = cls()
+        names = [n for n, v in vars(cls).items() if callable(v) and not n.startswith('_')]
+        if method in names:
+            return getattr(instance, method)
+        if names:
+            return getattr(instance, names[0])
+    functions = [v for v in ns.values()
+                 if inspect.isfunction(v) and v.__code__.co_filename == 'solution.py' and not v.__name__.startswith('_')]
+    if method:
+        functions = [f for f in functions if f.__name__ == method] or functions
+    return functions[0] if functions else None
+
+
+def build_args(target, value):
+    try:
+        params = [p for p in inspect.signature(target).parameters.values()
+                  if p.kind in (p.POSITIONAL_ONLY, p.POSITIONAL_OR_KEYWORD)]
+    except (TypeError, ValueError):
+        params = []
+    names = [p.name for p in params]
+    if isinstance(value, dict):
+        if value and all(k in names for k in value):
+            return [], value
+        values = list(value.values())
+        return (values, {}) if len(names) != 1 or len(values) == 1 else ([value], {})
+    if isinstance(value, list) and len(names) != 1:
+        return value, {}
+    return [value], {}
+
+
+def main():
+    with open('payload.json') as fh:
+        payload = json.load(fh)
+    with open('solution.py') as fh:
+        source = fh.read()
+
+    ns = {'__name__': 'solution'}
+    exec(PRELUDE, ns)
+    code = compile(source, 'solution.py', 'exec')
+
+    captured = io.StringIO()
+    with contextlib.redirect_stdout(captured):
+        exec(code, ns)
+    # A script that printed while loading has already consumed stdin and
+    # produced its answer; only look for a callable when it stayed quiet.
+    printed = captured.getvalue()
+    target = None if printed.strip() and 'Solution' not in ns else find_target(ns, payload.get('method'))
+
+    if target is None:
+        # Script-style solution: it already read stdin and printed its answer.
+        sys.__stdout__.write(printed)
+        emit({'mode': 'script'})
+        return
+
+    args, kwargs = build_args(target, payload.get('value'))
+    with contextlib.redirect_stdout(io.StringIO()):
+        result = target(*args, **kwargs)
+    emit({'mode': 'function', 'result': result})
+
+
+if __name__ == '__main__':
+    try:
+        main()
+    except MemoryError:
+        emit({'error': 'Memory limit exceeded'})
+        sys.exit(1)
+    except Exception as exc:  # surface the candidate's own error
+        emit({'error': '%s: %s' % (type(exc).__name__, exc)})
+        sys.exit(1)
@@ -0,0 +1,143 @@
+import prisma from '../lib/prismaClient.js';
+import { availableCredits } from './creditHolds.js';
+
+// Never expose password hashes or linked identities, even to admins
+export const ADMIN_USER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  name: true,
+  credits: true,
+  heldCredits: true,
+  role: true,
+  disabledAt: true,
+  disabledReason: true,
+  totpEnabledAt: true,
+  lastLowCreditEmailAt: true,
+  createdAt: true
+};
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Written inside the same transaction as the change it describes so the
+// audit trail can't miss (or invent) an action.
+export async function recordAdminAction(tx, { adminId, action, targetUserId = null, details }) {
+  return tx.adminAuditLog.create({ data: { adminId, action, targetUserId, details } });
+}
+
+// `q` matches a numeric id exactly, otherwise username/email substrings
+export async function searchUsers({ q, limit = 20, cursor } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const where = {};
+  if (q) {
+    where.OR = [
+      { username: { contains: q, mode: 'insensitive' } },
+      { email: { contains: q, mode: 'insensitive' } }
+    ];
+    if (/^\d+$/.test(q)) where.OR.push({ id: Number(q) });
+  }
+  const rows = await prisma.user.findMany({
+    where,
+    orderBy: { id: 'desc' },
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    select: ADMIN_USER_SELECT
+  });
+  const hasMore = rows.length > take;
+  const users = hasMore ? rows.slice(0, take) : rows;
+  return { users, nextCursor: hasMore ? users[users.length - 1].id : null };
+}
+
+export async function getUserForAdmin(userId) {
+  return prisma.user.findUnique({ where: { id: userId }, select: ADMIN_USER_SELECT });
+}
+
+// Manual credit change. A debit can't take the balance below what is held
+// for in-flight runs, so adjustments never push a user negative.
+export async function adjustCredits(adminId, userId, delta, reason) {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({ where: { id: userId }, select: { credits: true, heldCredits: true } });
+    if (!user) throw httpError('User not found', 404);
+    if (delta < 0 && availableCredits(user) < -delta) {
+      throw httpError('Adjustment would exceed the available balance', 400);
+    }
+    const updated = await tx.user.update({ where: { id: userId }, data: { credits: { increment: delta } }, select: ADMIN_USER_SELECT });
+    const entry = await tx.creditLedger.create({
+      data: { userId, delta, type: 'admin_adjustment', reason, relatedId: `admin:${adminId}` }
+    });
+    await recordAdminAction(tx, {
+      adminId,
+      action: 'credits.adjust',
+      targetUserId: userId,
+      details: { delta, reason, ledgerEntryId: entry.id, balanceBefore: user.credits, balanceAfter: updated.credits }
+    });
+    return { user: updated, entry };
+  });
+}
+
+export async function setUserDisabled(adminId, userId, { disabled, reason = null }) {
+  if (disabled && adminId === userId) throw httpError('Admins cannot disable their own account', 400);
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!existing) throw httpError('User not found', 404);
+    const user = await tx.user.update({
+      where: { id: userId },
+      data: disabled ? { disabledAt: new Date(), disabledReason: reason } : { disabledAt: null, disabledReason: null },
+      select: ADMIN_USER_SELECT
+    });
+    await recordAdminAction(tx, {
+      adminId,
+      action: disabled ? 'user.disable' : 'user.enable',
+      targetUserId: userId,
+      details: reason ? { reason } : undefined
+    });
+    return user;
+  });
+}
+
+export async function listAuditLog({ adminId, targetUserId, action, limit = 50, cursor } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 50, 1), 100);
+  const where = {};
+  if (adminId) where.adminId = adminId;
+  if (targetUserId) where.targetUserId = targetUserId;
+  if (action) where.action = action;
+  const rows = await prisma.adminAuditLog.findMany({
+    where,
+    orderBy: { id: 'desc' },
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    include: {
+      admin: { select: { id: true, username: true } },
+      targetUser: { select: { id: true, username: true } }
+    }
+  });
+  const hasMore = rows.length > take;
+  const entries = hasMore ? rows.slice(0, take) : rows;
+  return { entries, nextCursor: hasMore ? entries[entries.length - 1].id : null };
+}
+
+export async function listPromoCodes() {
+  return prisma.promoCode.findMany({ orderBy: { id: 'desc' } });
+}
+
+export async function createPromoCode(adminId, data) {
+  return prisma.$transaction(async (tx) => {
+    const promo = await tx.promoCode.create({ data });
+    await recordAdminAction(tx, { adminId, action: 'promo.create', details: { promoCodeId: promo.id, code: promo.code, type: promo.type, value: promo.value } });
+    return promo;
+  });
+}
+
+export async function setPromoCodeActive(adminId, promoCodeId, active) {
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.promoCode.findUnique({ where: { id: promoCodeId }, select: { id: true } });
+    if (!existing) throw httpError('Promo code not found', 404);
+    const promo = await tx.promoCode.update({ where: { id: promoCodeId }, data: { active } });
+    await recordAdminAction(tx, { adminId, action: active ? 'promo.activate' : 'promo.deactivate', details: { promoCodeId, code: promo.code } });
+    return promo;
+  });
+}
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import prisma from '../lib/prismaClient.js';
+
+// Personal API keys look like `ak_1a2b3c4d_<secret>`. The `ak_1a2b3c4d` part
+// is the prefix: stored in clear so keys can be told apart in listings and
+// in the ledger, where credits captured for a keyed run get ` key:<prefix>`
+// appended to the reason. The full key is returned once at creation and
+// only its SHA-256 is kept.
+
+export const API_KEY_SCOPES = ['solve', 'read:history'];
+export const MAX_ACTIVE_KEYS = Number(process.env.MAX_API_KEYS_PER_USER || 10);
+
+// lastUsedAt is only written when it is this stale, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const API_KEY_SELECT = { id: true, name: true, prefix: true, scopes: true, createdAt: true, lastUsedAt: true };
+
+export const ledgerReasonSuffix = (prefix) => (prefix ? ` key:${prefix}` : '');
+
+export async function createApiKey(userId, { name, scopes = API_KEY_SCOPES }) {
+  const active = await prisma.apiKey.count({ where: { userId, revokedAt: null } });
+  if (active >= MAX_ACTIVE_KEYS) throw httpError(`At most ${MAX_ACTIVE_KEYS} active API keys are allowed`, 400);
+  const prefix = `ak_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await prisma.apiKey.create({
+    data: { userId, name, prefix, keyHash: hashKey(key), scopes: [...new Set(scopes)] },
+    select: API_KEY_SELECT
+  });
+  console.log('[API_KEYS] Created API key', { userId, apiKeyId: apiKey.id, prefix });
+  return { apiKey, key };
+}
+
+// Active keys with the credits captured for runs made with each
+export async function listApiKeys(userId) {
+  const keys = await prisma.apiKey.findMany({ where: { userId, revokedAt: null }, orderBy: { createdAt: 'desc' }, select: API_KEY_SELECT });
+  return Promise.all(keys.map(async (k) => {
+    const usage = await prisma.creditLedger.aggregate({
+      where: { userId, type: 'debit', reason: { endsWith: ledgerReasonSuffix(k.prefix) } },
+      _sum: { delta: true },
+      _count: true
+    });
+    return { ...k, runs: usage._count, creditsUsed: -(usage._sum.delta || 0) };
+  }));
+}
+
+export async function revokeApiKey(userId, id) {
+  const { count } = await prisma.apiKey.updateMany({ where: { id, userId, revokedAt: null }, data: { revokedAt: new Date() } });
+  if (count) console.log('[API_KEYS] Revoked API key', { userId, apiKeyId: id });
+  return count > 0;
+}
+
+// Resolves to the key row (with its user) or null for unknown/revoked keys
+export async function authenticateApiKey(key, now = new Date()) {
+  if (typeof key !== 'string' || !key.startsWith('ak_') || key.length > 200) return null;
+  const apiKey = await prisma.apiKey.findUnique({ where: { keyHash: hashKey(key) }, include: { user: true } });
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    try {
+      await prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: now } });
+    } catch (e) {
+      console.warn('[API_KEYS] Failed to record key use', { apiKeyId: apiKey.id, error: e && e.message });
+    }
+  }
+  return apiKey;
+}
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import prisma from '../lib/prismaClient.js';
+
+// Tokens are 32 random bytes; the database only keeps an HMAC keyed with
+// JWT_SECRET, so a leaked table can't be replayed and a forged token can't
+// match. Consuming marks the row used, which makes every token single-use.
+
+const SECRET = process.env.JWT_SECRET || 'development_secret_change_me';
+
+export const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000,
+  password_reset: 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHmac('sha256', SECRET).update(token).digest('hex');
+
+// Issuing a token retires any earlier unused one for the same purpose, so
+// only the most recent email works.
+export async function issueAuthToken(userId, purpose, email) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await prisma.$transaction(async (tx) => {
+    await tx.authToken.updateMany({ where: { userId, purpose, usedAt: null }, data: { usedAt: new Date() } });
+    await tx.authToken.create({
+      data: { userId, purpose, email, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]) }
+    });
+  });
+  return token;
+}
+
+// Returns the token row if it was valid and is now used, otherwise null. The
+// conditional update means two concurrent requests can't both consume it.
+export async function consumeAuthToken(token, purpose) {
+  if (typeof token !== 'string' || token.length < 20 || token.length > 100) return null;
+  const row = await prisma.authToken.findUnique({ where: { tokenHash: hashToken(token) } });
+  const now = new Date();
+  if (!row || row.purpose !== purpose || row.usedAt || row.expiresAt <= now) return null;
+  const { count } = await prisma.authToken.updateMany({ where: { id: row.id, usedAt: null }, data: { usedAt: now } });
+  return count === 1 ? row : null;
+}
@@ -0,0 +1,122 @@
+import prisma from '../lib/prismaClient.js';
+
+// Reservations against a user's balance for in-flight runs. A hold is placed
+// before any agent runs and settled exactly once: captured (actual usage is
+// debited and written to the ledger, the remainder returned), released, or
+// expired by the cron in jobs/creditHoldExpiry.js. A capture that failed can
+// be deferred to that cron, which then captures instead of expiring.
+
+const HOLD_TTL_MS = Number(process.env.CREDIT_HOLD_TTL_MINUTES || 30) * 60 * 1000;
+
+export function availableCredits(user) {
+  return Math.max(0, (user?.credits ?? 0) - (user?.heldCredits ?? 0));
+}
+
+// Reserve `amount` credits. The conditional updateMany only succeeds if the
+// balance is unchanged since it was read (optimistic lock, retried), so two
+// concurrent requests can never both reserve the same credits.
+export async function placeHold(userId, amount, requestId, { ttlMs = HOLD_TTL_MS } = {}) {
+  for (let i = 0; i < 5; i += 1) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { credits: true, heldCredits: true } });
+    if (!user || availableCredits(user) < amount) {
+      const err = new Error('Insufficient credits');
+      err.statusCode = 402;
+      throw err;
+    }
+    const hold = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.user.updateMany({
+        where: { id: userId, credits: user.credits, heldCredits: user.heldCredits },
+        data: { heldCredits: { increment: amount } }
+      });
+      if (count !== 1) return null;
+      return tx.creditHold.create({ data: { userId, requestId, amount, expiresAt: new Date(Date.now() + ttlMs) } });
+    });
+    if (hold) return hold;
+  }
+  const err = new Error('Could not reserve credits, please retry');
+  err.statusCode = 409;
+  throw err;
+}
+
+// Settle an open hold, charging `charge` credits (clamped to the hold amount).
+// Returns { captured, released, status }; settling an already settled hold
+// is a no-op that reports the existing status with zero amounts.
+async function settleHold(holdId, charge, { reason, status }) {
+  if (!holdId) return { captured: 0, released: 0, status: null };
+  return prisma.$transaction(async (tx) => {
+    const hold = await tx.creditHold.findUnique({ where: { id: holdId } });
+    if (!hold || hold.status !== 'held') return { captured: 0, released: 0, status: hold?.status ?? null };
+    const captured = Math.min(Math.max(Math.round(charge) || 0, 0), hold.amount);
+    const finalStatus = status || (captured > 0 ? 'captured' : 'released');
+    const { count } = await tx.creditHold.updateMany({
+      where: { id: holdId, status: 'held' },
+      data: { status: finalStatus, capturedAmount: captured, resolvedAt: new Date() }
+    });
+    if (count !== 1) return { captured: 0, released: 0, status: 'settled' };
+    await tx.user.update({
+      where: { id: hold.userId },
+      data: { credits: { decrement: captured }, heldCredits: { decrement: hold.amount } }
+    });
+    if (captured > 0) {
+      await tx.creditLedger.create({ data: { userId: hold.userId, delta: -captured, type: 'debit', reason, relatedId: `hold:${hold.id}` } });
+    }
+    return { captured, released: hold.amount - captured, status: finalStatus };
+  });
+}
+
+export async function isHoldOpen(holdId) {
+  const hold = await prisma.creditHold.findUnique({ where: { id: holdId }, select: { status: true } });
+  return hold?.status === 'held';
+}
+
+export async function captureHold(holdId, amount, reason) {
+  return settleHold(holdId, amount, { reason });
+}
+
+export async function releaseHold(holdId) {
+  return settleHold(holdId, 0, {});
+}
+
+// Queued jobs can wait longer than the TTL; the worker pushes the expiry out
+// when it starts running one.
+export async function extendHold(holdId, { ttlMs = HOLD_TTL_MS } = {}) {
+  if (!holdId) return 0;
+  const { count } = await prisma.creditHold.updateMany({
+    where: { id: holdId, status: 'held' },
+    data: { expiresAt: new Date(Date.now() + ttlMs) }
+  });
+  return count;
+}
+
+// Park a charge on the hold for expireStaleHolds to capture, and make it due
+// on the next run. For a run that finished but whose capture failed.
+export async function deferCapture(holdId, amount, reason) {
+  const { count } = await prisma.creditHold.updateMany({
+    where: { id: holdId, status: 'held' },
+    data: { pendingCapture: amount, pendingReason: reason, expiresAt: new Date() }
+  });
+  return count === 1;
+}
+
+export async function expireStaleHolds(now = new Date()) {
+  const stale = await prisma.creditHold.findMany({
+    where: { status: 'held', expiresAt: { lt: now } },
+    select: { id: true, pendingCapture: true, pendingReason: true }
+  });
+  let expired = 0;
+  for (const { id, pendingCapture, pendingReason } of stale) {
+    try {
+      if (pendingCapture != null) {
+        const result = await settleHold(id, pendingCapture, { reason: pendingReason });
+        if (result.status) console.log('[CREDIT_HOLDS] Captured deferred charge', { holdId: id, captured: result.captured });
+        continue;
+      }
+      const result = await settleHold(id, 0, { status: 'expired' });
+      if (result.status === 'expired') expired += 1;
+    } catch (e) {
+      console.error('[CREDIT_HOLDS] Failed to expire hold', { holdId: id, error: e && e.message });
+    }
+  }
+  if (expired > 0) console.log('[CREDIT_HOLDS] Expired stale holds', { expired });
+  return expired;
+}
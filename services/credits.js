@@ -10,8 +10,91 @@ const MODEL_CREDIT_COST = {
   'claude-3.5-haiku': 3
 };
 
-export function getRequiredCredits(model) {
-  return MODEL_CREDIT_COST[model] ?? 1;
+// MODEL_CREDIT_COST is the price of an image upload, OCR pass included; text
+// submissions skip OCR and get OCR_CREDIT_COST off. No run costs less than
+// MIN_RUN_CREDITS, so this is intended: models priced at or below
+// MIN_RUN_CREDITS + OCR_CREDIT_COST (the 1-credit ones by default) cost the
+// same for text as for images.
+const OCR_CREDIT_COST = Number(process.env.OCR_CREDIT_COST ?? 1);
+const MIN_RUN_CREDITS = 1;
+
+export function getRequiredCredits(model, { ocr = true } = {}) {
+  const cost = MODEL_CREDIT_COST[model] ?? 1;
+  return ocr ? cost : Math.max(MIN_RUN_CREDITS, cost - OCR_CREDIT_COST);
+}
+
+// PRICING_MODE=tokens charges for the tokens a run actually consumed instead
+// of the flat MODEL_CREDIT_COST. Rates are credits per 1,000 tokens.
+const MODEL_TOKEN_RATES = {
+  'gpt-4': { prompt: 0.6, completion: 1.2 },
+  'gpt-5': { prompt: 0.5, completion: 1.2 },
+  'gpt-5-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-5-nano': { prompt: 0.03, completion: 0.12 },
+  'gemini-2.0-flash': { prompt: 0.03, completion: 0.12 },
+  'gemini-2.5-pro': { prompt: 0.4, completion: 1.0 },
+  'claude-3.5-sonnet': { prompt: 0.2, completion: 0.6 },
+  'claude-3.5-haiku': { prompt: 0.1, completion: 0.4 }
+};
+const DEFAULT_TOKEN_RATE = { prompt: 0.05, completion: 0.2 };
+
+// Typical tokens per agent call, used to estimate a run before it starts.
+// OCR is per image; generation runs three candidates.
+const TYPICAL_USAGE = {
+  ocr: { promptTokens: 1200, completionTokens: 600 },
+  codeGenerator: { promptTokens: 900, completionTokens: 800 },
+  testCaseGenerator: { promptTokens: 900, completionTokens: 900 },
+  solutionEvaluator: { promptTokens: 3500, completionTokens: 1200 }
+};
+const OCR_MODEL = process.env.OCR_MODEL || 'gpt-5-mini';
+
+// Token-mode holds cover the estimate with this much headroom; usage beyond
+// the hold is not charged.
+const TOKEN_HOLD_MULTIPLIER = Number(process.env.TOKEN_HOLD_MULTIPLIER || 1.5);
+
+export function getPricingMode() {
+  return process.env.PRICING_MODE === 'tokens' ? 'tokens' : 'flat';
+}
+
+// calls: [{ model, promptTokens, completionTokens }] as recorded by a usage meter
+export function creditsForUsage(calls) {
+  const cost = calls.reduce((sum, c) => {
+    const rate = MODEL_TOKEN_RATES[c.model] || DEFAULT_TOKEN_RATE;
+    return sum + ((c.promptTokens || 0) * rate.prompt + (c.completionTokens || 0) * rate.completion) / 1000;
+  }, 0);
+  return calls.length > 0 ? Math.max(1, Math.ceil(cost)) : 0;
+}
+
+function typicalCalls(model, images) {
+  return [
+    ...Array.from({ length: images }, () => ({ model: OCR_MODEL, ...TYPICAL_USAGE.ocr })),
+    ...[0, 1, 2].map(() => ({ model, ...TYPICAL_USAGE.codeGenerator })),
+    { model, ...TYPICAL_USAGE.testCaseGenerator },
+    { model, ...TYPICAL_USAGE.solutionEvaluator }
+  ];
+}
+
+// Predicted cost of a run with `images` screenshots (0 for a text problem)
+// and the amount that would be reserved for it.
+export function estimateRun(model, { images = 0, pricingMode = getPricingMode() } = {}) {
+  const calls = typicalCalls(model, images);
+  const estimatedTokens = calls.reduce((t, c) => ({
+    promptTokens: t.promptTokens + c.promptTokens,
+    completionTokens: t.completionTokens + c.completionTokens
+  }), { promptTokens: 0, completionTokens: 0 });
+  if (pricingMode === 'tokens') {
+    const estimatedCredits = creditsForUsage(calls);
+    return { pricingMode, estimatedCredits, reservedCredits: Math.ceil(estimatedCredits * TOKEN_HOLD_MULTIPLIER), estimatedTokens };
+  }
+  const flat = getRequiredCredits(model, { ocr: images > 0 });
+  return { pricingMode, estimatedCredits: flat, reservedCredits: flat, estimatedTokens };
+}
+
+// How much of a failed run's charge goes back to the user. OCR is the only
+// separately priced stage, so once it has succeeded its share is retained
+// and the rest refunded.
+export function refundableCredits(charged, { ocrCompleted = false } = {}) {
+  if (!(charged > 0)) return 0;
+  return ocrCompleted ? Math.max(0, charged - OCR_CREDIT_COST) : charged;
 }
 
 export async function creditCredits(userId, amount, reason, relatedId) {
@@ -0,0 +1,98 @@
+import prisma from '../lib/prismaClient.js';
+
+export const LEDGER_TYPES = ['purchase', 'debit', 'refund', 'admin_adjustment', 'purchase_refund'];
+
+const PAYMENT_PREFIX = 'razorpay:';
+const HOLD_PREFIX = 'hold:';
+const ADMIN_PREFIX = 'admin:';
+
+// relatedId is free-form: purchases credited by the webhook use
+// `razorpay:<paymentId>`, captures of a run's credits `hold:<holdId>` and
+// admin adjustments `admin:<adminId>` (not resolved here). Older debits carry
+// the run's requestId instead, which the client chose and may have reused, so
+// those are matched to a solve with that requestId.
+// Resolve payments and solves for a page of entries with one query per table.
+async function attachRelated(userId, entries) {
+  const paymentIds = [];
+  const holdIds = [];
+  const requestIds = [];
+  for (const e of entries) {
+    if (!e.relatedId) continue;
+    if (e.relatedId.startsWith(PAYMENT_PREFIX)) paymentIds.push(e.relatedId.slice(PAYMENT_PREFIX.length));
+    else if (e.relatedId.startsWith(HOLD_PREFIX)) holdIds.push(Number(e.relatedId.slice(HOLD_PREFIX.length)));
+    else if (!e.relatedId.startsWith(ADMIN_PREFIX)) requestIds.push(e.relatedId);
+  }
+
+  const [payments, solves] = await Promise.all([
+    paymentIds.length
+      ? prisma.payment.findMany({
+        where: { userId, razorpayPaymentId: { in: paymentIds } },
+        select: { id: true, razorpayOrderId: true, razorpayPaymentId: true, amountPaise: true, currency: true, creditsPurchased: true, status: true, createdAt: true }
+      })
+      : [],
+    holdIds.length || requestIds.length
+      ? prisma.solve.findMany({
+        where: { userId, OR: [{ holdId: { in: holdIds } }, { requestId: { in: requestIds } }] },
+        select: { id: true, requestId: true, holdId: true, model: true, status: true, createdAt: true }
+      })
+      : []
+  ]);
+
+  const paymentsById = new Map(payments.map((p) => [`${PAYMENT_PREFIX}${p.razorpayPaymentId}`, p]));
+  const solvesByHold = new Map(solves.filter((s) => s.holdId).map((s) => [`${HOLD_PREFIX}${s.holdId}`, s]));
+  const solvesByRequest = new Map(solves.map((s) => [s.requestId, s]));
+  const solveFor = (relatedId) => (relatedId.startsWith(HOLD_PREFIX) ? solvesByHold : solvesByRequest).get(relatedId);
+  return entries.map((e) => ({
+    ...e,
+    payment: (e.relatedId && paymentsById.get(e.relatedId)) || null,
+    solve: (e.relatedId && solveFor(e.relatedId)) || null
+  }));
+}
+
+function ledgerWhere(userId, { type, from, to } = {}) {
+  const where = { userId };
+  if (type) where.type = type;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lt = to;
+  }
+  return where;
+}
+
+// Newest first, keyset-paginated on id like listSolves. `from` is inclusive
+// and `to` exclusive.
+export async function listLedger(userId, { limit = 20, cursor, type, from, to } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const rows = await prisma.creditLedger.findMany({
+    where: ledgerWhere(userId, { type, from, to }),
+    orderBy: { id: 'desc' },
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+  });
+  const hasMore = rows.length > take;
+  const page = hasMore ? rows.slice(0, take) : rows;
+  const entries = await attachRelated(userId, page);
+  return { entries, nextCursor: hasMore ? page[page.length - 1].id : null };
+}
+
+// All entries of one UTC calendar month (`YYYY-MM`) in chronological order,
+// each with the running balance, plus the opening and closing balances.
+export async function getMonthlyStatement(userId, month) {
+  const [year, mon] = month.split('-').map(Number);
+  const from = new Date(Date.UTC(year, mon - 1, 1));
+  const to = new Date(Date.UTC(year, mon, 1));
+
+  const [before, rows] = await Promise.all([
+    prisma.creditLedger.aggregate({ where: { userId, createdAt: { lt: from } }, _sum: { delta: true } }),
+    prisma.creditLedger.findMany({ where: ledgerWhere(userId, { from, to }), orderBy: { id: 'asc' } })
+  ]);
+
+  const openingBalance = before?._sum?.delta ?? 0;
+  let balance = openingBalance;
+  const entries = (await attachRelated(userId, rows)).map((e) => {
+    balance += e.delta;
+    return { ...e, balance };
+  });
+  return { month, from, to, openingBalance, closingBalance: balance, entries };
+}
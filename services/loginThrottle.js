@@ -0,0 +1,130 @@
+import { ipKeyGenerator } from 'express-rate-limit';
+import prisma from '../lib/prismaClient.js';
+
+// Brute-force protection for password logins. Failures are counted per
+// username and per client IP (IPv6 by /56, as in the rate limiters). Past
+// `freeAttempts` each further failure locks the key for an exponentially
+// growing delay; at `lockoutAfter` it is locked for LOCKOUT_MS. Counts lapse
+// after FAILURE_WINDOW_MS without failures. Usernames are tracked whether or
+// not the account exists, so lock responses don't reveal which ones do.
+//
+// An attempt is counted before its credentials are checked and the lock it
+// would earn by failing is taken right away, so concurrent guesses can't all
+// get through while the first one is still being verified. Attempts that
+// turn out not to be failures are uncounted again.
+
+const env = (name, fallback) => Number(process.env[name] || fallback);
+
+const POLICIES = {
+  user: { freeAttempts: env('LOGIN_USER_FREE_ATTEMPTS', 3), lockoutAfter: env('LOGIN_USER_LOCKOUT_AFTER', 10) },
+  ip: { freeAttempts: env('LOGIN_IP_FREE_ATTEMPTS', 10), lockoutAfter: env('LOGIN_IP_LOCKOUT_AFTER', 50) }
+};
+const BACKOFF_BASE_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+export const LOCKOUT_MS = env('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000;
+const FAILURE_WINDOW_MS = env('LOGIN_FAILURE_WINDOW_MINUTES', 60) * 60 * 1000;
+
+function throttleKeys({ username, ip }) {
+  const keys = [{ key: `user:${String(username).trim().toLowerCase().slice(0, 100)}`, policy: POLICIES.user, scope: 'user' }];
+  if (ip) keys.push({ key: `ip:${ipKeyGenerator(ip)}`, policy: POLICIES.ip, scope: 'ip' });
+  return keys;
+}
+
+// How long a key stays locked after its `failures`-th failure
+export function lockDurationMs(failures, { freeAttempts, lockoutAfter }) {
+  if (failures >= lockoutAfter) return LOCKOUT_MS;
+  if (failures <= freeAttempts) return 0;
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failures - freeAttempts - 1), MAX_BACKOFF_MS);
+}
+
+// Undo the count (and any lock taken) of an attempt that wasn't a failure
+async function uncount(counted) {
+  for (const { key, lockedUntil } of counted) {
+    await prisma.loginThrottle.updateMany({
+      where: { key, ...(lockedUntil ? { lockedUntil } : {}) },
+      data: { failures: { decrement: 1 }, ...(lockedUntil ? { lockedUntil: null } : {}) }
+    });
+  }
+}
+
+// Count a login attempt for this username/IP before checking it. Each
+// attempt gets the next number in each key's count; past `freeAttempts` it
+// must also claim the key's next lock with a conditional update, which only
+// one of any concurrent attempts wins. Resolves to { lockedMs } with the
+// time left when refused (and nothing counted), otherwise to { lockedMs: 0 }
+// plus the handle loginAttemptFailed and loginAttemptPassed take.
+export async function startLoginAttempt(attempt, now = new Date()) {
+  const counted = [];
+  for (const { key, policy, scope } of throttleKeys(attempt)) {
+    // Forget failures that have lapsed, then count this attempt atomically
+    await prisma.loginThrottle.updateMany({
+      where: { key, lastFailureAt: { lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+      data: { failures: 0, lockedUntil: null }
+    });
+    const row = await prisma.loginThrottle.upsert({
+      where: { key },
+      create: { key, failures: 1, lastFailureAt: now },
+      update: { failures: { increment: 1 }, lastFailureAt: now }
+    });
+    let refused = row.lockedUntil > now;
+    let lockedUntil = null;
+    const ms = lockDurationMs(row.failures, policy);
+    if (!refused && ms > 0) {
+      const until = new Date(now.getTime() + ms);
+      const { count } = await prisma.loginThrottle.updateMany({
+        where: { key, OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }] },
+        data: { lockedUntil: until }
+      });
+      if (count === 1) lockedUntil = until;
+      else refused = true;
+    }
+    counted.push({ key, policy, scope, failures: row.failures, lockedUntil });
+    if (refused) {
+      await uncount(counted);
+      const current = await prisma.loginThrottle.findUnique({ where: { key }, select: { lockedUntil: true } });
+      return { lockedMs: Math.max((current?.lockedUntil ?? now) - now, 1) };
+    }
+  }
+  return { lockedMs: 0, counted };
+}
+
+// The attempt failed: its count and lock stand. `lockedOut` is true only on
+// the failure that takes the username to the lockout threshold, so the owner
+// is told once.
+export function loginAttemptFailed({ counted }) {
+  let lockedOut = false;
+  let lockedUntil = null;
+  for (const { key, policy, scope, failures, lockedUntil: until } of counted) {
+    if (!until) continue;
+    if (!lockedUntil || until > lockedUntil) lockedUntil = until;
+    if (failures === policy.lockoutAfter) {
+      console.warn('[AUTH] Login locked after repeated failures', { key, failures, lockedUntil: until });
+      if (scope === 'user') lockedOut = true;
+    }
+  }
+  return { lockedOut, lockedUntil };
+}
+
+// The credentials were right (though the login may still need a second
+// factor): the attempt doesn't count as a failure.
+export async function loginAttemptPassed({ counted }) {
+  await uncount(counted);
+}
+
+// A successful login (or password reset) clears the username's failures.
+// The IP count is left alone so one working account can't reset it.
+export async function clearLoginFailures(username) {
+  await prisma.loginThrottle.deleteMany({ where: { key: throttleKeys({ username })[0].key } });
+}
+
+// Drop counts that have lapsed and aren't holding a lock; startLoginAttempt
+// would reset them anyway. Rows are made for every username tried, so
+// without this the table only grows.
+export async function pruneLoginThrottles({ now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - FAILURE_WINDOW_MS);
+  const { count } = await prisma.loginThrottle.deleteMany({
+    where: { lastFailureAt: { lt: cutoff }, OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }] }
+  });
+  if (count > 0) console.log('[AUTH] Pruned lapsed login throttles', { count, cutoff });
+  return count;
+}
@@ -0,0 +1,93 @@
+import prisma from '../lib/prismaClient.js';
+import { getRazorpay } from '../utils/razorpay.js';
+import { creditPaidPayment } from './payments.js';
+import { releasePromoRedemption } from './pricing.js';
+
+// Catches payments whose webhook never arrived: /payments/verify stored a
+// valid razorpayPaymentId but the row is still `created`. Each one is looked
+// up on Razorpay and settled with the same crediting logic as the webhook.
+// Promo orders that were never paid for are expired so their reserved
+// redemption goes back to the code.
+
+const RECONCILE_AFTER_MS = Number(process.env.PAYMENT_RECONCILE_AFTER_MINUTES || 30) * 60 * 1000;
+const PROMO_ORDER_TTL_MS = Number(process.env.PROMO_ORDER_TTL_MINUTES || 60) * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Razorpay payment statuses that mean the money was taken (matches the
+// payment.authorized / payment.captured webhook handling)
+const PAID_STATUSES = new Set(['authorized', 'captured']);
+
+async function reconcileOne(razorpay, payment) {
+  const remote = await razorpay.payments.fetch(payment.razorpayPaymentId);
+  if (remote.order_id !== payment.razorpayOrderId || remote.amount !== payment.amountPaise || (remote.currency && remote.currency !== payment.currency)) {
+    console.warn('[RECONCILE] Razorpay payment does not match local order', {
+      paymentId: payment.id, orderId: payment.razorpayOrderId, remoteOrderId: remote.order_id,
+      amount: remote.amount, expected: payment.amountPaise, currency: remote.currency, expectedCurrency: payment.currency
+    });
+    return 'mismatched';
+  }
+  if (PAID_STATUSES.has(remote.status)) {
+    const { credited } = await prisma.$transaction(async (tx) => {
+      // the webhook may have landed since the batch was read
+      const current = await tx.payment.findUnique({ where: { id: payment.id } });
+      if (current.status !== 'created') return { credited: 0 };
+      return creditPaidPayment(tx, current, { razorpayPaymentId: payment.razorpayPaymentId });
+    });
+    return credited > 0 ? 'credited' : 'alreadySettled';
+  }
+  if (remote.status === 'failed') {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.payment.updateMany({ where: { id: payment.id, status: 'created' }, data: { status: 'failed' } });
+      if (count === 1) await releasePromoRedemption(tx, payment);
+    });
+    return 'failed';
+  }
+  return 'pending';
+}
+
+export async function reconcilePayments({ now = new Date(), olderThanMs = RECONCILE_AFTER_MS } = {}) {
+  const stuck = await prisma.payment.findMany({
+    where: { status: 'created', razorpayPaymentId: { not: null }, createdAt: { lt: new Date(now.getTime() - olderThanMs) } },
+    orderBy: { id: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  const report = { checked: stuck.length, credited: 0, alreadySettled: 0, failed: 0, pending: 0, mismatched: 0, errors: 0, creditedPaymentIds: [] };
+  if (stuck.length === 0) return report;
+
+  const razorpay = getRazorpay();
+  for (const payment of stuck) {
+    try {
+      const outcome = await reconcileOne(razorpay, payment);
+      report[outcome] += 1;
+      if (outcome === 'credited') report.creditedPaymentIds.push(payment.id);
+    } catch (e) {
+      report.errors += 1;
+      console.error('[RECONCILE] Failed to reconcile payment', { paymentId: payment.id, error: e?.error?.description || e?.message });
+    }
+  }
+  console.log('[RECONCILE] Summary', report);
+  return report;
+}
+
+// Promo orders nobody started paying for within PROMO_ORDER_TTL_MINUTES are
+// marked failed and their redemption released. Should one be paid after
+// all, creditPaidPayment takes the redemption again.
+export async function expireAbandonedPromoOrders({ now = new Date(), olderThanMs = PROMO_ORDER_TTL_MS } = {}) {
+  const abandoned = await prisma.payment.findMany({
+    where: { status: 'created', razorpayPaymentId: null, promoCodeId: { not: null }, createdAt: { lt: new Date(now.getTime() - olderThanMs) } },
+    orderBy: { id: 'asc' },
+    take: BATCH_SIZE
+  });
+  let expired = 0;
+  for (const payment of abandoned) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.payment.updateMany({ where: { id: payment.id, status: 'created', razorpayPaymentId: null }, data: { status: 'failed' } });
+      if (count === 0) return;
+      await releasePromoRedemption(tx, payment);
+      expired += 1;
+    });
+  }
+  if (expired > 0) console.log('[RECONCILE] Expired abandoned promo orders', { expired });
+  return expired;
+}
@@ -0,0 +1,113 @@
+import prisma from '../lib/prismaClient.js';
+import { getRazorpay } from '../utils/razorpay.js';
+import { recordAdminAction } from './admin.js';
+
+// Refunds of credit purchases. Razorpay is asked for the refund first; the
+// purchased credits are clawed back when the refund is created (from the
+// admin endpoint or the refund.* webhooks, whichever lands first) and given
+// back if Razorpay later reports the refund as failed. Credits may already
+// have been spent, so a clawback is allowed to take the balance negative;
+// availableCredits() clamps at zero, which blocks new runs until the user
+// tops up or an admin adjusts the balance.
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const clawbackKey = (refundId) => `payment-refund:${refundId}`;
+const reversalKey = (refundId) => `payment-refund-failed:${refundId}`;
+
+// Partial refunds (e.g. issued from the Razorpay dashboard) claw back a
+// proportional share of the credits, rounded up.
+function creditsForRefund(payment, amount) {
+  if (!amount || amount >= payment.amountPaise) return payment.creditsPurchased;
+  return Math.min(payment.creditsPurchased, Math.ceil((payment.creditsPurchased * amount) / payment.amountPaise));
+}
+
+export async function applyPaymentRefund(tx, payment, { refundId, amount, status = 'pending' }) {
+  // refund.created can arrive after refund.processed; keep the later state
+  const alreadyProcessed = payment.razorpayRefundId === refundId && payment.refundStatus === 'processed';
+  if (!alreadyProcessed) {
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: { status: 'refunded', razorpayRefundId: refundId, refundStatus: status, refundedAt: status === 'processed' ? new Date() : undefined }
+    });
+  }
+
+  const relatedId = `razorpay:${payment.razorpayPaymentId}`;
+  const [purchase, existing] = await Promise.all([
+    tx.creditLedger.findFirst({ where: { relatedId, type: 'purchase' } }),
+    tx.creditLedger.findFirst({ where: { idempotencyKey: clawbackKey(refundId) } })
+  ]);
+  // Never credited (or already clawed back for this refund): nothing to take
+  if (!purchase || existing) return { clawedBack: 0 };
+
+  const credits = creditsForRefund(payment, amount);
+  await tx.creditLedger.create({
+    data: { userId: payment.userId, delta: -credits, type: 'purchase_refund', reason: `payment refunded (${refundId})`, relatedId, idempotencyKey: clawbackKey(refundId) }
+  });
+  const user = await tx.user.update({ where: { id: payment.userId }, data: { credits: { decrement: credits } }, select: { credits: true } });
+  if (user?.credits < 0) {
+    console.warn('[REFUNDS] Clawback left a negative balance', { userId: payment.userId, paymentId: payment.id, balance: user.credits });
+  }
+  console.log('[REFUNDS] Clawed back credits', { userId: payment.userId, paymentId: payment.id, refundId, credits });
+  return { clawedBack: credits };
+}
+
+export async function reversePaymentRefund(tx, payment, { refundId }) {
+  // A late failure for an older refund must not overwrite a newer one
+  if (!payment.razorpayRefundId || payment.razorpayRefundId === refundId) {
+    await tx.payment.update({ where: { id: payment.id }, data: { status: 'paid', razorpayRefundId: refundId, refundStatus: 'failed', refundedAt: null } });
+  }
+
+  const [clawback, reversed] = await Promise.all([
+    tx.creditLedger.findFirst({ where: { idempotencyKey: clawbackKey(refundId) } }),
+    tx.creditLedger.findFirst({ where: { idempotencyKey: reversalKey(refundId) } })
+  ]);
+  if (!clawback || reversed) return { restored: 0 };
+
+  const credits = -clawback.delta;
+  await tx.creditLedger.create({
+    data: { userId: payment.userId, delta: credits, type: 'purchase_refund', reason: `refund failed (${refundId})`, relatedId: clawback.relatedId, idempotencyKey: reversalKey(refundId) }
+  });
+  await tx.user.update({ where: { id: payment.userId }, data: { credits: { increment: credits } } });
+  console.log('[REFUNDS] Restored credits after failed refund', { userId: payment.userId, paymentId: payment.id, refundId, credits });
+  return { restored: credits };
+}
+
+// Full refund of a paid order, triggered by an admin
+export async function requestPaymentRefund(adminId, paymentId, { reason = null } = {}) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw httpError('Payment not found', 404);
+  if (payment.status !== 'paid' || !payment.razorpayPaymentId) throw httpError('Only paid payments can be refunded', 409);
+  if (payment.refundStatus === 'pending' || payment.refundStatus === 'processed') throw httpError('Payment already refunded', 409);
+
+  let refund;
+  try {
+    refund = await getRazorpay().payments.refund(payment.razorpayPaymentId, {
+      amount: payment.amountPaise,
+      notes: { website_id: process.env.SITE_ID || 'unknown_site', payment_id: String(payment.id), ...(reason ? { reason } : {}) }
+    });
+  } catch (e) {
+    console.error('[REFUNDS] Razorpay refund failed', { paymentId: payment.id, error: e?.error?.description || e?.message });
+    throw httpError(e?.error?.description || 'Refund request failed', 502);
+  }
+
+  const status = refund.status === 'processed' ? 'processed' : refund.status === 'failed' ? 'failed' : 'pending';
+  const clawedBack = await prisma.$transaction(async (tx) => {
+    let credits = 0;
+    if (status === 'failed') await reversePaymentRefund(tx, payment, { refundId: refund.id });
+    else ({ clawedBack: credits } = await applyPaymentRefund(tx, payment, { refundId: refund.id, amount: refund.amount, status }));
+    await recordAdminAction(tx, {
+      adminId,
+      action: 'payment.refund',
+      targetUserId: payment.userId,
+      details: { paymentId: payment.id, refundId: refund.id, status, amountPaise: refund.amount ?? payment.amountPaise, clawedBack: credits, ...(reason ? { reason } : {}) }
+    });
+    return credits;
+  });
+  console.log('[REFUNDS] Refund requested', { adminId, paymentId: payment.id, refundId: refund.id, status });
+  return { refundId: refund.id, status, clawedBack };
+}
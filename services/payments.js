@@ -0,0 +1,28 @@
+// Crediting for a paid order, shared by the webhook and the reconciliation
+// job. Runs inside the caller's transaction; the ledger entry keyed on the
+// Razorpay payment id is the idempotency check, so a payment is credited at
+// most once however many times (and by whichever path) it is reported paid.
+export async function creditPaidPayment(tx, payment, { razorpayPaymentId, signature } = {}) {
+  const data = { status: 'paid', razorpayPaymentId, ...(signature !== undefined ? { razorpaySignature: signature } : {}) };
+  const existingLedger = await tx.creditLedger.findFirst({ where: { relatedId: `razorpay:${razorpayPaymentId}` } });
+  if (!existingLedger) {
+    await tx.payment.update({ where: { id: payment.id }, data });
+    const reason = payment.description ? `payment: ${payment.description}` : 'payment';
+    await tx.creditLedger.create({ data: { userId: payment.userId, delta: payment.creditsPurchased, type: 'purchase', reason, relatedId: `razorpay:${razorpayPaymentId}` } });
+    await tx.user.update({ where: { id: payment.userId }, data: { credits: { increment: payment.creditsPurchased } } });
+    // The promo redemption was reserved with the order, unless the order
+    // failed (or expired) first and gave it back; the money is in either way
+    if (payment.promoCodeId && payment.status === 'failed') {
+      await tx.promoCode.update({ where: { id: payment.promoCodeId }, data: { redemptions: { increment: 1 } } });
+    }
+    console.log('[PAYMENTS] Credited user for payment id:', payment.id, 'credits:', payment.creditsPurchased);
+    return { credited: payment.creditsPurchased };
+  }
+  // Ensure payment status updated even if ledger exists, unless it has
+  // since been refunded
+  if (payment.status !== 'refunded') {
+    await tx.payment.update({ where: { id: payment.id }, data });
+  }
+  console.log('[PAYMENTS] Ledger already exists for razorpayPaymentId:', razorpayPaymentId);
+  return { credited: 0 };
+}
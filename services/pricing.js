@@ -0,0 +1,137 @@
+import prisma from '../lib/prismaClient.js';
+
+// All amounts are in the currency's minor unit (paise, cents).
+export const CURRENCIES = ['INR', 'USD', 'EUR'];
+export const DEFAULT_CURRENCY = 'INR';
+// List price per credit for custom amounts; packs carry their own
+// (discounted) price per currency
+export const CREDIT_PRICES = { INR: 500, USD: 6, EUR: 6 };
+// Razorpay's minimum order amounts
+const MIN_ORDER = { INR: 100, USD: 50, EUR: 50 };
+
+export const formatAmount = (amount, currency) => `${(amount / 100).toFixed(2)} ${currency}`;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+export const normalizePromoCode = (code) => code.trim().toUpperCase();
+
+// INR prices live on the pack itself, others in CreditPackPrice. Null when
+// the pack isn't sold in `currency`.
+function packPrice(pack, currency) {
+  if (currency === 'INR') return pack.pricePaise;
+  return pack.prices?.find((p) => p.currency === currency)?.amount ?? null;
+}
+
+// Packs on sale in `currency`
+export async function listPacks(currency = DEFAULT_CURRENCY) {
+  const packs = await prisma.creditPack.findMany({
+    where: { active: true },
+    orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+    include: { prices: { where: { currency } } }
+  });
+  return packs.flatMap((p) => {
+    const price = packPrice(p, currency);
+    if (price == null) return [];
+    const listPrice = p.credits * CREDIT_PRICES[currency];
+    return [{
+      id: p.id,
+      name: p.name,
+      credits: p.credits,
+      currency,
+      price,
+      perCreditPrice: Math.round(price / p.credits),
+      savingsPercent: listPrice > price ? Math.round(((listPrice - price) / listPrice) * 100) : 0
+    }];
+  });
+}
+
+// Validate a code for this user. Redemptions are reserved when an order is
+// created (see reservePromoRedemption), so open orders count toward both
+// limits alongside paid ones.
+export async function findRedeemablePromo(code, userId, now = new Date()) {
+  const promo = await prisma.promoCode.findUnique({ where: { code: normalizePromoCode(code) } });
+  if (!promo || !promo.active) throw httpError('Invalid promo code', 400);
+  if (promo.expiresAt && promo.expiresAt <= now) throw httpError('Promo code has expired', 400);
+  if (promo.maxRedemptions != null && promo.redemptions >= promo.maxRedemptions) throw httpError('Promo code is no longer available', 400);
+  if (promo.maxPerUser != null) {
+    const used = await countPromoUses(prisma, promo.id, userId);
+    if (used >= promo.maxPerUser) throw httpError('Promo code already used', 400);
+  }
+  return promo;
+}
+
+const countPromoUses = (db, promoCodeId, userId) => db.payment.count({ where: { userId, promoCodeId, status: { in: ['created', 'paid', 'refunded'] } } });
+
+// Take one redemption of the promo for an order about to be created, inside
+// the transaction that creates its Payment. The conditional increment is
+// what enforces maxRedemptions under concurrency; findRedeemablePromo's
+// checks only give an early, friendlier error.
+export async function reservePromoRedemption(tx, promoCodeId, userId) {
+  const promo = await tx.promoCode.findUnique({ where: { id: promoCodeId } });
+  if (!promo) throw httpError('Invalid promo code', 400);
+  if (promo.maxPerUser != null && (await countPromoUses(tx, promoCodeId, userId)) >= promo.maxPerUser) {
+    throw httpError('Promo code already used', 400);
+  }
+  const capped = promo.maxRedemptions != null ? { redemptions: { lt: promo.maxRedemptions } } : {};
+  const { count } = await tx.promoCode.updateMany({ where: { id: promoCodeId, ...capped }, data: { redemptions: { increment: 1 } } });
+  if (count === 0) throw httpError('Promo code is no longer available', 400);
+}
+
+// Give back the redemption of an order that failed or was abandoned. Callers
+// only do so on the order's transition out of `created`, so it happens once.
+export async function releasePromoRedemption(tx, payment) {
+  if (!payment.promoCodeId) return;
+  await tx.promoCode.updateMany({ where: { id: payment.promoCodeId, redemptions: { gt: 0 } }, data: { redemptions: { decrement: 1 } } });
+}
+
+// Price an order from either a pack or a custom credit amount in
+// `currency`, with an optional promo applied. Returns the fields stored on
+// the Payment row.
+export async function quoteOrder({ userId, packId, credits, promoCode, currency = DEFAULT_CURRENCY }) {
+  let baseCredits;
+  let amountPaise;
+  let label;
+  if (packId) {
+    const pack = await prisma.creditPack.findUnique({ where: { id: packId }, include: { prices: { where: { currency } } } });
+    if (!pack || !pack.active) throw httpError('Credit pack not found', 404);
+    amountPaise = packPrice(pack, currency);
+    if (amountPaise == null) throw httpError(`Credit pack not available in ${currency}`, 400);
+    baseCredits = pack.credits;
+    label = `${pack.name} pack (${pack.credits} credits)`;
+  } else {
+    baseCredits = credits;
+    amountPaise = credits * CREDIT_PRICES[currency];
+    label = `${credits} credits`;
+  }
+
+  let discountPaise = 0;
+  let bonusCredits = 0;
+  let promo = null;
+  if (promoCode) {
+    promo = await findRedeemablePromo(promoCode, userId);
+    if (promo.type === 'percent_off') {
+      discountPaise = Math.min(Math.floor((amountPaise * promo.value) / 100), amountPaise - MIN_ORDER[currency]);
+      label += `, promo ${promo.code} -${promo.value}%`;
+    } else {
+      bonusCredits = promo.value;
+      label += `, promo ${promo.code} +${promo.value} bonus credits`;
+    }
+  }
+
+  if (amountPaise < MIN_ORDER[currency]) throw httpError(`Minimum order is ${formatAmount(MIN_ORDER[currency], currency)}`, 400);
+
+  return {
+    amountPaise: amountPaise - Math.max(discountPaise, 0),
+    currency,
+    creditsPurchased: baseCredits + bonusCredits,
+    packId: packId || null,
+    promoCodeId: promo?.id ?? null,
+    discountPaise: Math.max(discountPaise, 0),
+    bonusCredits,
+    description: label
+  };
+}
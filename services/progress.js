@@ -0,0 +1,42 @@
+// In-memory registry of SSE clients connected to GET /api/progress.
+// client shape: { id, res, subscriptions: Set<requestId>, userId }
+// Events carry a run's output, so they only go to clients that are signed in
+// as the run's owner (`ownerId`) and subscribed to its requestId. requestIds
+// are chosen by clients and can collide across users.
+const clients = new Map();
+
+export function addProgressClient(client) {
+  clients.set(client.id, client);
+}
+
+export function removeProgressClient(clientId) {
+  clients.delete(clientId);
+}
+
+function isSubscribed(client, requestId, ownerId) {
+  return !!requestId && ownerId != null && client.userId === ownerId && !!client.subscriptions && client.subscriptions.has(requestId);
+}
+
+// Send a progress update to the owner's clients subscribed to requestId
+export function sendProgressUpdate(update, requestId, ownerId) {
+  const data = `data: ${JSON.stringify(update)}\n\n`;
+  clients.forEach(client => {
+    if (isSubscribed(client, requestId, ownerId)) client.res.write(data);
+  });
+}
+
+// Send a named SSE event (`event: <name>`). Clients only receive these via
+// addEventListener(name), so plain `onmessage` consumers are unaffected.
+export function sendProgressEvent(event, payload, requestId, ownerId) {
+  const data = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  clients.forEach(client => {
+    if (isSubscribed(client, requestId, ownerId)) client.res.write(data);
+  });
+}
+
+export function hasProgressSubscribers(requestId, ownerId) {
+  for (const client of clients.values()) {
+    if (isSubscribed(client, requestId, ownerId)) return true;
+  }
+  return false;
+}
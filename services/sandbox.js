@@ -0,0 +1,342 @@
+import { spawn, spawnSync } from 'child_process';
+import { accessSync, constants as fsConstants } from 'fs';
+import { copyFile, mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import { delimiter, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { extractCodeBlock } from '../utils/codeBlocks.js';
+
+// Executes generated solutions against generated test cases in short-lived,
+// resource-limited child processes. Each test case runs in its own process
+// from a throwaway directory with an empty environment, a wall-clock timeout
+// (the whole process group is killed), address-space and process-count caps,
+// and inside fresh user, network, mount and PID namespaces (`unshare`): no
+// network interface, the app directory hidden under an empty tmpfs, and a
+// private /proc that shows nothing of the API server. Once the tmpfs is
+// mounted the runner moves into a nested user namespace, where it is an
+// unmapped uid with no capabilities and the mounts it inherits are locked,
+// so it can't take the tmpfs down again. Hosts that can't set this up don't
+// execute candidates at all. The runners in ../sandbox also remove network
+// APIs in-process, but that is only a second layer against the network:
+// `os`, `fs` and subprocesses stay available inside the sandbox.
+
+const RUNNER_DIR = join(dirname(fileURLToPath(import.meta.url)), '../sandbox');
+const APP_DIR = join(RUNNER_DIR, '..');
+const SENTINEL = '__SANDBOX_RESULT__';
+const TIME_LIMIT_MS = Number(process.env.SANDBOX_TIME_LIMIT_MS || 5000);
+const MEMORY_LIMIT_MB = Number(process.env.SANDBOX_MEMORY_LIMIT_MB || 256);
+const MAX_TESTS = Number(process.env.SANDBOX_MAX_TESTS || 20);
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+// How much of a failing case's output is returned (it reaches the client)
+const ACTUAL_SNIPPET_CHARS = 200;
+// Node reserves most of a gigabyte of address space before running any code
+const NODE_RESERVED_MB = 1024;
+// RLIMIT_NPROC counts every process and thread of the host user, so this is
+// a ceiling against fork bombs rather than a per-run allowance
+const MAX_PROCESSES = Number(process.env.SANDBOX_MAX_PROCESSES || 256);
+
+const RUNTIMES = {
+  python: {
+    file: 'solution.py',
+    runner: 'python_runner.py',
+    addressSpaceMb: MEMORY_LIMIT_MB,
+    command: () => [pythonExecutable(), ['-I', 'python_runner.py']]
+  },
+  javascript: {
+    file: 'solution.js',
+    runner: 'node_runner.cjs',
+    // --max-old-space-size only bounds the V8 heap; the address-space cap
+    // also covers Buffers and other memory outside it
+    addressSpaceMb: MEMORY_LIMIT_MB + NODE_RESERVED_MB,
+    command: (dir) => [process.execPath, [`--max-old-space-size=${MEMORY_LIMIT_MB}`, ...nodePermissionFlags(dir), 'node_runner.cjs']]
+  }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(RUNTIMES);
+
+export function isSandboxEnabled() {
+  return process.env.SANDBOX_ENABLED !== 'false';
+}
+
+// Restrict the child to reading its own directory when the running Node
+// supports the permission model (flag name changed between releases).
+function nodePermissionFlags(dir) {
+  const flags = process.allowedNodeEnvironmentFlags;
+  if (flags.has('--permission')) return ['--permission', `--allow-fs-read=${dir}`];
+  if (flags.has('--experimental-permission')) return ['--experimental-permission', `--allow-fs-read=${dir}`];
+  return [];
+}
+
+// The child gets no PATH, so every binary is resolved up front
+function resolveBinary(name) {
+  for (const dir of (process.env.PATH || '').split(delimiter)) {
+    if (!dir) continue;
+    try {
+      accessSync(join(dir, name), fsConstants.X_OK);
+      return join(dir, name);
+    } catch (_) {}
+  }
+  return null;
+}
+
+// Version managers (pyenv, asdf) install shell shims that need the parent's
+// environment; ask the interpreter for its real path once.
+let pythonPath;
+function pythonExecutable() {
+  if (pythonPath === undefined) {
+    const run = spawnSync(process.env.SANDBOX_PYTHON || 'python3', ['-I', '-c', 'import sys; print(sys.executable)'], { timeout: 5000, encoding: 'utf8' });
+    pythonPath = run.status === 0 ? run.stdout.trim() : null;
+  }
+  return pythonPath;
+}
+
+// Mount an empty tmpfs over the app directory, then exec the rest of the
+// prefix (which drops privileges and applies the limits) and the runner.
+// Arguments: mount binary, directory, command...
+const ISOLATE_SCRIPT = 'm=$1; d=$2; shift 2; "$m" -t tmpfs tmpfs "$d" && exec "$@"';
+
+let isolation;
+// Returns the command prefix that isolates a runner, or null when this host
+// can't provide it (checked once by actually running it). It ends in
+// prlimit, so runProcess appends the runtime's address-space cap.
+function isolationPrefix() {
+  if (isolation !== undefined) return isolation;
+  const bins = { unshare: resolveBinary('unshare'), sh: resolveBinary('sh'), mount: resolveBinary('mount'), prlimit: resolveBinary('prlimit') };
+  isolation = null;
+  if (Object.values(bins).every(Boolean)) {
+    const prefix = [
+      bins.unshare, '--user', '--map-root-user', '--net', '--mount', '--pid', '--fork', '--mount-proc', '--kill-child',
+      bins.sh, '-c', ISOLATE_SCRIPT, 'sandbox', bins.mount, APP_DIR,
+      bins.unshare, '--user', '--mount',
+      bins.prlimit, `--nproc=${MAX_PROCESSES}`
+    ];
+    try {
+      const probe = spawnSync(prefix[0], [...prefix.slice(1), `--as=${NODE_RESERVED_MB * 1024 * 1024}`, bins.sh, '-c', 'exit 0'], { timeout: 5000, stdio: 'ignore', env: {} });
+      if (probe.status === 0) isolation = prefix;
+    } catch (_) {}
+  }
+  if (!isolation) console.error('[SANDBOX] Namespace isolation unavailable (needs unshare, mount and prlimit with unprivileged user namespaces); candidates will not be executed', { binaries: bins });
+  return isolation;
+}
+
+function runProcess(command, args, { cwd, stdin, timeoutMs, addressSpaceMb }) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const [bin, ...binArgs] = [...isolationPrefix(), `--as=${addressSpaceMb * 1024 * 1024}`, command, ...args];
+    // Own process group so a timeout takes down everything the run started
+    const child = spawn(bin, binArgs, {
+      cwd,
+      env: {},
+      detached: true,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let outputExceeded = false;
+
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (_) {
+        child.kill('SIGKILL');
+      }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, timeoutMs);
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (stdout.length > MAX_OUTPUT_BYTES) {
+        outputExceeded = true;
+        killGroup();
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      if (stderr.length < MAX_OUTPUT_BYTES) stderr += chunk;
+    });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr: err.message, code: null, timedOut, outputExceeded, timeMs: Date.now() - started });
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr, code, timedOut, outputExceeded, timeMs: Date.now() - started });
+    });
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin || '');
+  });
+}
+
+// Convert a generated test value into structured data. Accepts JSON, Python
+// style literals and the common `nums = [1,2], target = 3` notation; anything
+// else is returned unchanged.
+export function parseTestValue(raw) {
+  if (typeof raw !== 'string') return raw;
+  const text = raw.trim();
+  const literal = parseLiteral(text);
+  if (literal.ok) return literal.value;
+  const parts = text.split(/,\s*(?=[A-Za-z_]\w*\s*=(?!=))/);
+  if (parts.length > 0 && parts.every((p) => /^[A-Za-z_]\w*\s*=(?!=)/.test(p.trim()))) {
+    const named = {};
+    for (const part of parts) {
+      const [, name, value] = part.trim().match(/^([A-Za-z_]\w*)\s*=\s*([\s\S]*)$/);
+      const parsed = parseLiteral(value.trim());
+      named[name] = parsed.ok ? parsed.value : value.trim();
+    }
+    return named;
+  }
+  return raw;
+}
+
+function parseLiteral(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (_) {}
+  const pythonish = text
+    .replace(/\bTrue\b/g, 'true')
+    .replace(/\bFalse\b/g, 'false')
+    .replace(/\bNone\b/g, 'null')
+    .replace(/'([^'\\]*)'/g, '"$1"')
+    .replace(/\(([^()]*)\)/g, '[$1]');
+  try {
+    return { ok: true, value: JSON.parse(pythonish) };
+  } catch (_) {
+    return { ok: false };
+  }
+}
+
+function valuesEqual(actual, expected) {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected));
+  }
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.length === expected.length && actual.every((v, i) => valuesEqual(v, expected[i]));
+  }
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every((k) => valuesEqual(actual[k], expected[k]));
+  }
+  return actual === expected;
+}
+
+export function outputMatches(actual, expectedRaw, mode = 'function') {
+  const expected = parseTestValue(expectedRaw);
+  if (mode === 'script') {
+    const out = String(actual ?? '').trim();
+    return out === String(expectedRaw ?? '').trim() || valuesEqual(parseTestValue(out), expected);
+  }
+  if (valuesEqual(actual, expected)) return true;
+  return typeof actual === 'string' && typeof expectedRaw === 'string' && actual.trim() === expectedRaw.trim();
+}
+
+function parseRunnerOutput(stdout) {
+  const lines = stdout.split('\n');
+  let result = null;
+  const rest = [];
+  for (const line of lines) {
+    if (line.startsWith(SENTINEL)) {
+      try { result = JSON.parse(line.slice(SENTINEL.length)); } catch (_) {}
+    } else {
+      rest.push(line);
+    }
+  }
+  return { result, output: rest.join('\n') };
+}
+
+function truncate(value, max = 500) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (text === undefined) return null;
+  return text.length > max ? `${text.slice(0, max)}...` : text;
+}
+
+async function runTestCase(runtime, dir, testCase, method) {
+  const value = parseTestValue(testCase.input);
+  await writeFile(join(dir, 'payload.json'), JSON.stringify({ value, method }));
+  const stdin = typeof testCase.input === 'string' ? testCase.input : JSON.stringify(testCase.input ?? '');
+  const [command, args] = runtime.command(dir);
+  const run = await runProcess(command, args, { cwd: dir, stdin, timeoutMs: TIME_LIMIT_MS, addressSpaceMb: runtime.addressSpaceMb });
+  const base = { expected: testCase.expected, timeMs: run.timeMs };
+
+  if (run.timedOut) return { ...base, status: 'timeout', error: `Exceeded ${TIME_LIMIT_MS}ms time limit` };
+  if (run.outputExceeded) return { ...base, status: 'error', error: 'Output limit exceeded' };
+
+  const { result, output } = parseRunnerOutput(run.stdout);
+  if (!result) return { ...base, status: 'error', error: truncate(run.stderr.trim() || `Process exited with code ${run.code}`) };
+  if (result.error) return { ...base, status: 'error', error: truncate(result.error) };
+
+  const actual = result.mode === 'script' ? output.trim() : result.result;
+  const passed = outputMatches(actual, testCase.expected, result.mode);
+  return { ...base, status: passed ? 'passed' : 'failed', actual: truncate(actual, ACTUAL_SNIPPET_CHARS) };
+}
+
+// Run one candidate (a markdown model response) against every verifiable
+// test case. Test cases without an expected value are skipped.
+export async function runCandidate(solutionText, testCases, { method } = {}) {
+  const block = extractCodeBlock(solutionText);
+  if (!block) return { language: null, status: 'no_code', passed: 0, total: 0, results: [] };
+  const runtime = RUNTIMES[block.language];
+  if (!runtime) return { language: block.language, status: 'unsupported', passed: 0, total: 0, results: [] };
+  // Fail closed: without isolation untrusted code would run as the API host
+  if (!isolationPrefix() || (block.language === 'python' && !pythonExecutable())) {
+    return { language: block.language, status: 'unavailable', passed: 0, total: 0, results: [] };
+  }
+
+  const cases = (Array.isArray(testCases) ? testCases : []).slice(0, MAX_TESTS);
+  const dir = await mkdtemp(join(os.tmpdir(), 'solve-sandbox-'));
+  try {
+    await writeFile(join(dir, runtime.file), block.code);
+    await copyFile(join(RUNNER_DIR, runtime.runner), join(dir, runtime.runner));
+    const results = [];
+    let timedOut = false;
+    for (let i = 0; i < cases.length; i += 1) {
+      const testCase = cases[i] || {};
+      if (testCase.expected === undefined || testCase.expected === null || testCase.expected === '') {
+        results.push({ index: i, status: 'skipped' });
+        continue;
+      }
+      // One hung test is enough to disqualify a candidate; don't spend the
+      // full time limit again on every remaining case.
+      if (timedOut) {
+        results.push({ index: i, status: 'failed', expected: testCase.expected, error: 'Not run after an earlier timeout' });
+        continue;
+      }
+      const result = await runTestCase(runtime, dir, testCase, method);
+      timedOut = result.status === 'timeout';
+      results.push({ index: i, ...result });
+    }
+    const verifiable = results.filter((r) => r.status !== 'skipped');
+    return {
+      language: block.language,
+      status: 'ran',
+      passed: verifiable.filter((r) => r.status === 'passed').length,
+      total: verifiable.length,
+      results
+    };
+  } finally {
+    await rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Build the candidate x test case pass/fail matrix. Candidates run one after
+// another to keep the load on the API host bounded. `leaders` holds the
+// indices of the candidates with the most passing tests (empty when nothing
+// could be executed or nothing passed).
+export async function runTestMatrix(solutions, testCases, opts = {}) {
+  const candidates = [];
+  for (let i = 0; i < solutions.length; i += 1) {
+    try {
+      candidates.push({ index: i, ...(await runCandidate(solutions[i], testCases, opts)) });
+    } catch (e) {
+      console.error('[SANDBOX] Candidate execution failed', { index: i, error: e && e.message });
+      candidates.push({ index: i, language: null, status: 'error', passed: 0, total: 0, results: [], error: e && e.message });
+    }
+  }
+  const maxPassed = Math.max(0, ...candidates.map((c) => c.passed));
+  const leaders = maxPassed > 0 ? candidates.filter((c) => c.passed === maxPassed).map((c) => c.index) : [];
+  return { candidates, maxPassed, leaders };
+}
@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import prisma from '../lib/prismaClient.js';
+
+// Server-side sessions behind short-lived access tokens. Refresh tokens are
+// random, stored as SHA-256 hashes and rotated on every use; a token that has
+// already been rotated coming back means it was copied, so the session is
+// revoked and both holders have to sign in again.
+
+export const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function clientMeta(req) {
+  return { userAgent: req.get?.('user-agent')?.slice(0, 255) || null, ip: req.ip || null };
+}
+
+export async function createSession(userId, req) {
+  const refreshToken = newToken();
+  const session = await prisma.$transaction(async (tx) => {
+    const created = await tx.session.create({ data: { userId, ...clientMeta(req), expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS) } });
+    await tx.refreshToken.create({ data: { sessionId: created.id, tokenHash: hashToken(refreshToken) } });
+    return created;
+  });
+  return { session, refreshToken };
+}
+
+export async function isSessionActive(sessionId, now = new Date()) {
+  const session = await prisma.session.findUnique({ where: { id: sessionId }, select: { revokedAt: true, expiresAt: true } });
+  return !!session && !session.revokedAt && session.expiresAt > now;
+}
+
+export async function revokeSession(sessionId, reason, { userId } = {}) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null, ...(userId ? { userId } : {}) },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count > 0;
+}
+
+export async function revokeAllSessions(userId, reason, { exceptSessionId } = {}) {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null, ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}) },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count;
+}
+
+// Exchange a refresh token for a new one. Resolves to { session, refreshToken }.
+export async function rotateRefreshToken(token, req) {
+  if (typeof token !== 'string' || !token) throw httpError('Unauthorized', 401);
+  const now = new Date();
+  const stored = await prisma.refreshToken.findUnique({ where: { tokenHash: hashToken(token) }, include: { session: true } });
+  if (!stored) throw httpError('Unauthorized', 401);
+  const { session } = stored;
+  if (session.revokedAt || session.expiresAt <= now) throw httpError('Session expired', 401);
+
+  if (stored.usedAt) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    console.warn('[AUTH] Refresh token reuse detected; session revoked', { userId: session.userId, sessionId: session.id });
+    throw httpError('Session revoked', 401);
+  }
+
+  const refreshToken = newToken();
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Conditional so two requests racing with the same token can't both win
+    const { count } = await tx.refreshToken.updateMany({ where: { id: stored.id, usedAt: null }, data: { usedAt: now } });
+    if (count !== 1) return null;
+    await tx.refreshToken.create({ data: { sessionId: session.id, tokenHash: hashToken(refreshToken) } });
+    return tx.session.update({
+      where: { id: session.id },
+      data: { ...clientMeta(req), lastUsedAt: now, expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS) }
+    });
+  });
+  if (!rotated) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    console.warn('[AUTH] Concurrent refresh token use; session revoked', { userId: session.userId, sessionId: session.id });
+    throw httpError('Session revoked', 401);
+  }
+  return { session: rotated, refreshToken };
+}
+
+export async function listSessions(userId, now = new Date()) {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: now } },
+    orderBy: { lastUsedAt: 'desc' },
+    select: { id: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true, expiresAt: true }
+  });
+}
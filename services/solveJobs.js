@@ -0,0 +1,94 @@
+import { EventEmitter } from 'events';
+import prisma from '../lib/prismaClient.js';
+import { isHoldOpen, releaseHold } from './creditHolds.js';
+import { updateSolve } from './solves.js';
+
+// Jobs interrupted more than this many times are failed and refunded instead
+// of being queued again.
+const MAX_ATTEMPTS = Number(process.env.SOLVE_JOB_MAX_ATTEMPTS || 2);
+
+// Emits 'enqueued' so an idle in-process worker can pick up new work without
+// waiting for its next poll.
+export const solveJobEvents = new EventEmitter();
+
+const PUBLIC_SELECT = {
+  id: true,
+  requestId: true,
+  solveId: true,
+  model: true,
+  status: true,
+  result: true,
+  error: true,
+  attempts: true,
+  createdAt: true,
+  startedAt: true,
+  completedAt: true
+};
+
+// `creditsCharged` is the amount reserved by `holdId`; the pipeline settles it.
+export async function enqueueSolveJob({ userId, requestId, model, solveId, creditsCharged, holdId = null, input }) {
+  const job = await prisma.solveJob.create({
+    data: { userId, requestId, model, solveId, creditsCharged, holdId, input, status: 'queued' },
+    select: PUBLIC_SELECT
+  });
+  solveJobEvents.emit('enqueued', job.id);
+  return job;
+}
+
+// Claim the oldest queued job. The conditional updateMany acts as an
+// optimistic lock so two workers never run the same job.
+export async function claimNextSolveJob() {
+  for (let i = 0; i < 3; i += 1) {
+    const next = await prisma.solveJob.findFirst({ where: { status: 'queued' }, orderBy: { createdAt: 'asc' }, select: { id: true } });
+    if (!next) return null;
+    const now = new Date();
+    const { count } = await prisma.solveJob.updateMany({
+      where: { id: next.id, status: 'queued' },
+      data: { status: 'running', lockedAt: now, startedAt: now, attempts: { increment: 1 } }
+    });
+    if (count === 1) return prisma.solveJob.findUnique({ where: { id: next.id } });
+  }
+  return null;
+}
+
+export async function completeSolveJob(jobId, result) {
+  return prisma.solveJob.update({ where: { id: jobId }, data: { status: 'completed', result, input: null, completedAt: new Date() } });
+}
+
+export async function failSolveJob(jobId, error) {
+  return prisma.solveJob.update({ where: { id: jobId }, data: { status: 'failed', error, input: null, completedAt: new Date() } });
+}
+
+export async function getSolveJob(userId, jobId) {
+  return prisma.solveJob.findFirst({ where: { id: jobId, userId }, select: PUBLIC_SELECT });
+}
+
+// Called on boot: any job still marked running was interrupted by a restart
+// (the worker is in-process, so nothing else can be running it). Requeue it
+// while it has attempts left, otherwise fail it and release its credit hold.
+export async function recoverInterruptedSolveJobs() {
+  const stuck = await prisma.solveJob.findMany({ where: { status: 'running' } });
+  const summary = { requeued: 0, refunded: 0 };
+  for (const job of stuck) {
+    try {
+      // A settled hold means the pipeline already finished before the job row
+      // was updated; never run (or release) such a job again.
+      const alreadySettled = !(await isHoldOpen(job.holdId));
+      if (!alreadySettled && job.attempts < MAX_ATTEMPTS) {
+        await prisma.solveJob.update({ where: { id: job.id }, data: { status: 'queued', lockedAt: null } });
+        summary.requeued += 1;
+        continue;
+      }
+      let refunded = 0;
+      if (!alreadySettled) ({ released: refunded } = await releaseHold(job.holdId));
+      const error = 'Job interrupted by a server restart';
+      await failSolveJob(job.id, error);
+      await updateSolve(job.solveId, { status: 'failed', error, ...(refunded ? { creditsRefunded: refunded } : {}), completedAt: new Date() });
+      summary.refunded += 1;
+    } catch (e) {
+      console.error('[SOLVE_JOBS] Failed to recover job', { jobId: job.id, error: e && e.message });
+    }
+  }
+  if (stuck.length > 0) console.log('[SOLVE_JOBS] Recovered interrupted jobs', summary);
+  return summary;
+}
@@ -0,0 +1,158 @@
+import { processImages } from '../agents/ocrProcessor.js';
+import { processImage } from '../agents/codeGenerator.js';
+import { generateTestCases } from '../agents/testCaseGenerator.js';
+import { evaluateSolutions } from '../agents/solutionEvaluator.js';
+import { creditsForUsage, refundableCredits } from './credits.js';
+import { captureHold, deferCapture } from './creditHolds.js';
+import { ledgerReasonSuffix } from './apiKeys.js';
+import { updateSolve } from './solves.js';
+import { createUsageMeter, saveUsageRecord } from './usage.js';
+import { DEFAULT_LANGUAGE } from '../agents/languages.js';
+import { hasProgressSubscribers, sendProgressEvent, sendProgressUpdate } from './progress.js';
+
+// Runs OCR, candidate generation, test case generation and evaluation for a
+// request whose credits have already been reserved. Shared by the synchronous
+// upload and solve handlers and the background solve worker. When a text
+// `problemStatement` is given OCR is skipped, but `imageProcessed` is still
+// sent (with `ocrSkipped: true`) so clients see the same sequence of steps.
+//
+// `problem` is the structured extraction (from OCR, or edited by the client);
+// its examples seed the test cases and it is returned alongside the markdown.
+//
+// Credits were reserved by `holdId` (`creditsReserved`). On success the hold
+// is captured; on failure only the consumed part is captured (see
+// refundableCredits) and the rest released, the Solve row is marked failed
+// and the original error is rethrown with `creditsCharged` and
+// `creditsRefunded` attached.
+//
+// Every agent call's token usage is metered and saved as a UsageRecord. With
+// `pricingMode: 'tokens'` (fixed when the hold was placed) the capture is the
+// cost of the tokens actually used, on success or failure, capped at the hold.
+//
+// While someone is subscribed to the requestId on /api/progress, the final
+// evaluation (and, with `streamCandidates`, each candidate generation) is
+// streamed as `event: token` messages tagged with the stage.
+//
+// `language` and `starterCode` are passed to every generating agent.
+//
+// `apiKeyPrefix` identifies the API key the run was requested with, if any;
+// it is appended to the ledger reason of the capture.
+export async function runSolvePipeline({ userId, requestId, model, additionalInstructions = '', imagesData, holdId, creditsReserved = 0, pricingMode = 'flat', solveId = null, streamCandidates = false, language = DEFAULT_LANGUAGE, starterCode, problemStatement: providedStatement, problem: providedProblem = null, apiKeyPrefix = null }) {
+  const startedAt = Date.now();
+  const timings = {};
+  const tokenStream = (stage, extra = {}) => (hasProgressSubscribers(requestId, userId)
+    ? (token) => sendProgressEvent('token', { requestId, stage, ...extra, token }, requestId, userId)
+    : undefined);
+  let ocrCompleted = false;
+  const meter = createUsageMeter();
+
+  const captureReason = `model:${model}${ledgerReasonSuffix(apiKeyPrefix)}`;
+  const holdCharge = (succeeded) => {
+    if (pricingMode === 'tokens') return creditsForUsage(meter.calls);
+    return succeeded ? creditsReserved : creditsReserved - refundableCredits(creditsReserved, { ocrCompleted });
+  };
+
+  // Returns { creditsCharged, creditsRefunded } for the response and Solve row
+  const settleCredits = async (succeeded) => {
+    const { captured, released } = await captureHold(holdId, holdCharge(succeeded), captureReason);
+    return { creditsCharged: captured, creditsRefunded: released };
+  };
+
+  try {
+    let stageStart = Date.now();
+    let problemStatement = providedStatement;
+    let problem = providedProblem;
+    if (problemStatement) {
+      console.log(`[PIPELINE] [${requestId}] Text problem statement provided, skipping OCR`);
+      await updateSolve(solveId, { problemStatement, problem: problem ?? undefined, timings });
+      sendProgressUpdate({ imageProcessed: true, ocrSkipped: true }, requestId, userId);
+    } else {
+      console.log(`[PIPELINE] [${requestId}] Starting OCR processing...`);
+      console.log(`[PIPELINE] [${requestId}] Sending ${imagesData.length} images to OCR processor`);
+      ({ problem, problemStatement } = await processImages(imagesData, { meter }));
+      ocrCompleted = true;
+      timings.ocrMs = Date.now() - stageStart;
+      console.log(`[PIPELINE] [${requestId}] OCR processing completed, problem statement length:`, problemStatement?.length || 0, { structured: !!problem });
+      await updateSolve(solveId, { problemStatement, problem: problem ?? undefined, timings });
+      sendProgressUpdate({ imageProcessed: true }, requestId, userId);
+    }
+    console.log(`[PIPELINE] [${requestId}] Starting parallel generation of solutions and test cases...`);
+    console.log(`[PIPELINE] [${requestId}] Generating solutions with model: ${model}`);
+
+    // Start both code generation and test case generation in parallel
+    stageStart = Date.now();
+    const solutionPromises = [0, 1, 2].map((candidate) => processImage(problemStatement, model, additionalInstructions, {
+      onToken: streamCandidates ? tokenStream('generation', { candidate }) : undefined,
+      language,
+      starterCode,
+      meter
+    }));
+
+    const testCasesPromise = generateTestCases(problemStatement, model, additionalInstructions, { language, starterCode, examples: problem?.examples, meter });
+
+    // Wait for code generation to complete first
+    const [solution1, solution2, solution3] = await Promise.all(solutionPromises);
+    timings.generationMs = Date.now() - stageStart;
+    console.log(`[PIPELINE] [${requestId}] Received ${[solution1, solution2, solution3].filter(Boolean).length} solutions`);
+    await updateSolve(solveId, { solutions: [solution1, solution2, solution3], timings });
+    sendProgressUpdate({ codeGenerated: true }, requestId, userId);
+
+    // Then wait for test case generation to complete
+    const { testCases, degraded: testCasesDegraded } = await testCasesPromise;
+    timings.testCasesMs = Date.now() - stageStart;
+    console.log(`[PIPELINE] [${requestId}] Received test cases: ${Array.isArray(testCases) ? testCases.length : 'unknown'}`, { degraded: testCasesDegraded });
+    await updateSolve(solveId, { testCases, timings });
+    sendProgressUpdate({ testCasesGenerated: true }, requestId, userId);
+
+    console.log(`[PIPELINE] [${requestId}] Solutions and test cases generated, evaluating solutions with model: ${model}...`);
+    stageStart = Date.now();
+    const bestSolution = await evaluateSolutions(
+      [solution1, solution2, solution3],
+      testCases,
+      model,
+      { onToken: tokenStream('evaluation'), language, starterCode, meter }
+    );
+    timings.evaluationMs = Date.now() - stageStart;
+    timings.totalMs = Date.now() - startedAt;
+    console.log(`[PIPELINE] [${requestId}] Solution evaluation completed`);
+    let credits = { creditsCharged: creditsReserved, creditsRefunded: 0 };
+    try {
+      credits = await settleCredits(true);
+    } catch (captureError) {
+      // The answer is delivered regardless. Left alone the hold would expire
+      // and be released, making the run free, so the charge is handed to the
+      // expiry job to capture instead.
+      console.error(`[PIPELINE] [${requestId}] Capturing credits failed, deferring to the hold expiry job:`, captureError.message);
+      await deferCapture(holdId, holdCharge(true), captureReason)
+        .catch((e) => console.error(`[PIPELINE] [${requestId}] Deferring the capture failed:`, e.message));
+    }
+    await updateSolve(solveId, { evaluation: bestSolution, status: 'completed', completedAt: new Date(), timings, ...credits });
+    await saveUsageRecord({ userId, requestId, solveId, meter, pricingMode, creditsCharged: credits.creditsCharged });
+    sendProgressUpdate({ solutionSelected: true }, requestId, userId);
+
+    // Notify only subscribers for this requestId that the job is complete
+    sendProgressUpdate({ event: 'completed', requestId, timestamp: new Date().toISOString() }, requestId, userId);
+
+    return { solution: bestSolution, testCases, testCasesDegraded, problemStatement, problem, ...credits, pricingMode, usage: meter.totals() };
+  } catch (processingError) {
+    console.error(`[PIPELINE] [${requestId}] Error during processing:`, {
+      error: processingError.message,
+      stack: processingError.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    let credits = { creditsCharged: 0, creditsRefunded: 0 };
+    try {
+      credits = await settleCredits(false);
+    } catch (refundError) {
+      console.error(`[PIPELINE] [${requestId}] Refund failed:`, refundError.message);
+    }
+    timings.totalMs = Date.now() - startedAt;
+    await updateSolve(solveId, { status: 'failed', error: processingError.message, ...credits, completedAt: new Date(), timings });
+    await saveUsageRecord({ userId, requestId, solveId, meter, pricingMode, creditsCharged: credits.creditsCharged });
+    processingError.creditsCharged = credits.creditsCharged;
+    processingError.creditsRefunded = credits.creditsRefunded;
+    processingError.usage = meter.totals();
+    throw processingError;
+  }
+}
@@ -0,0 +1,71 @@
+import prisma from '../lib/prismaClient.js';
+
+const SUMMARY_SELECT = {
+  id: true,
+  requestId: true,
+  model: true,
+  language: true,
+  status: true,
+  creditsCharged: true,
+  creditsRefunded: true,
+  error: true,
+  startedAt: true,
+  completedAt: true,
+  createdAt: true
+};
+
+// Solve persistence is best-effort: a database hiccup must never fail a run
+// the user has already paid for, so errors are logged and swallowed and the
+// pipeline carries on with a null solve id.
+export async function createSolve({ userId, requestId, model, language, creditsCharged = 0, holdId = null }) {
+  try {
+    return await prisma.solve.create({ data: { userId, requestId, model, language, creditsCharged, holdId, status: 'processing', timings: {} } });
+  } catch (e) {
+    console.warn('[SOLVES] Failed to create solve', { userId, requestId, error: e && e.message });
+    return null;
+  }
+}
+
+export async function updateSolve(solveId, data) {
+  if (!solveId) return null;
+  try {
+    return await prisma.solve.update({ where: { id: solveId }, data });
+  } catch (e) {
+    console.warn('[SOLVES] Failed to update solve', { solveId, error: e && e.message });
+    return null;
+  }
+}
+
+export async function listSolves(userId, { limit = 20, cursor } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const rows = await prisma.solve.findMany({
+    where: { userId },
+    orderBy: { id: 'desc' },
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    select: { ...SUMMARY_SELECT, problemStatement: true }
+  });
+  const hasMore = rows.length > take;
+  const page = hasMore ? rows.slice(0, take) : rows;
+  const solves = page.map(({ problemStatement, ...rest }) => ({
+    ...rest,
+    problemPreview: problemStatement ? problemStatement.slice(0, 200) : null
+  }));
+  return { solves, nextCursor: hasMore ? page[page.length - 1].id : null };
+}
+
+export async function getSolve(userId, solveId) {
+  return prisma.solve.findFirst({ where: { id: solveId, userId } });
+}
+
+export async function deleteSolve(userId, solveId) {
+  const { count } = await prisma.solve.deleteMany({ where: { id: solveId, userId } });
+  return count > 0;
+}
+
+// requestIds are client-chosen; a progress subscription may only name one
+// that is unused or already belongs to the subscriber.
+export async function isRequestIdTakenByOtherUser(userId, requestId) {
+  const other = await prisma.solve.findFirst({ where: { requestId, userId: { not: userId } }, select: { id: true } });
+  return !!other;
+}
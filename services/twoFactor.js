@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import prisma from '../lib/prismaClient.js';
+import { generateTotpSecret, otpauthUri, verifyTotp } from '../utils/totp.js';
+
+// Optional TOTP 2FA for password accounts. The shared secret has to be
+// recoverable to check codes, so it is AES-256-GCM encrypted with a key
+// derived from TOTP_ENCRYPTION_KEY (JWT_SECRET if unset). Recovery codes are
+// single-use and, like auth tokens, only kept as HMACs.
+
+const SECRET = process.env.JWT_SECRET || 'development_secret_change_me';
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || SECRET).digest();
+const ISSUER = process.env.TOTP_ISSUER || 'Solver';
+export const RECOVERY_CODE_COUNT = 10;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), data].map((p) => (typeof p === 'string' ? p : p.toString('base64url'))).join(':');
+}
+
+function decryptSecret(stored) {
+  const [, iv, tag, data] = stored.split(':').map((p, i) => (i === 0 ? p : Buffer.from(p, 'base64url')));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+// Case, spaces and dashes are ignored when a code is typed back
+const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+const hashRecoveryCode = (code) => crypto.createHmac('sha256', SECRET).update(normalizeRecoveryCode(code)).digest('hex');
+
+function newRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+export const isTwoFactorEnabled = (user) => !!(user?.totpEnabledAt && user.totpSecret);
+
+// Starts (or restarts) enrollment. The secret is saved but not enforced until
+// confirmTwoFactor sees a valid code from it.
+export async function beginTwoFactorSetup(user) {
+  if (!user.passwordHash) throw httpError('Two-factor authentication is only available for password accounts', 400);
+  if (isTwoFactorEnabled(user)) throw httpError('Two-factor authentication is already enabled', 409);
+  const secret = generateTotpSecret();
+  await prisma.user.update({ where: { id: user.id }, data: { totpSecret: encryptSecret(secret), totpEnabledAt: null, totpLastStep: null } });
+  return { secret, otpauthUri: otpauthUri({ secret, account: user.email || user.username, issuer: ISSUER }) };
+}
+
+// Enables 2FA and resolves to the recovery codes, which are never shown again
+export async function confirmTwoFactor(user, code) {
+  if (!user.totpSecret || isTwoFactorEnabled(user)) throw httpError('Start two-factor setup first', 400);
+  const step = verifyTotp(decryptSecret(user.totpSecret), code);
+  if (step === null) throw httpError('Invalid code', 400);
+  const recoveryCodes = newRecoveryCodes();
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { id: user.id }, data: { totpEnabledAt: new Date(), totpLastStep: step } });
+    await tx.recoveryCode.deleteMany({ where: { userId: user.id } });
+    await tx.recoveryCode.createMany({ data: recoveryCodes.map((c) => ({ userId: user.id, codeHash: hashRecoveryCode(c) })) });
+  });
+  console.log('[AUTH] Two-factor authentication enabled', { userId: user.id });
+  return recoveryCodes;
+}
+
+// Checks a TOTP `code` or a `recoveryCode`. Both are single-use: a TOTP step
+// is only accepted once (and never one older than the last accepted), and a
+// recovery code is marked used. The conditional updates settle races.
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!isTwoFactorEnabled(user)) return false;
+  if (recoveryCode) {
+    const row = await prisma.recoveryCode.findUnique({ where: { codeHash: hashRecoveryCode(recoveryCode) } });
+    if (!row || row.userId !== user.id || row.usedAt) return false;
+    const { count } = await prisma.recoveryCode.updateMany({ where: { id: row.id, usedAt: null }, data: { usedAt: new Date() } });
+    if (count === 1) console.log('[AUTH] Recovery code used', { userId: user.id });
+    return count === 1;
+  }
+  const step = verifyTotp(decryptSecret(user.totpSecret), code);
+  if (step === null) return false;
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }] },
+    data: { totpLastStep: step }
+  });
+  return count === 1;
+}
+
+export async function disableTwoFactor(userId) {
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { id: userId }, data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null } });
+    await tx.recoveryCode.deleteMany({ where: { userId } });
+  });
+  console.log('[AUTH] Two-factor authentication disabled', { userId });
+}
+
+export async function countUnusedRecoveryCodes(userId) {
+  return prisma.recoveryCode.count({ where: { userId, usedAt: null } });
+}
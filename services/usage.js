@@ -0,0 +1,34 @@
+import prisma from '../lib/prismaClient.js';
+
+// Collects the token usage of every agent call in one run. Pass it to the
+// agents as `meter`; invokeModel records into it.
+export function createUsageMeter() {
+  const calls = [];
+  return {
+    calls,
+    record({ agent, model, provider, promptTokens = 0, completionTokens = 0 }) {
+      calls.push({ agent: agent || null, model, provider, promptTokens, completionTokens });
+    },
+    totals() {
+      return calls.reduce((t, c) => ({
+        calls: t.calls + 1,
+        promptTokens: t.promptTokens + c.promptTokens,
+        completionTokens: t.completionTokens + c.completionTokens
+      }), { calls: 0, promptTokens: 0, completionTokens: 0 });
+    }
+  };
+}
+
+// Persist the aggregated usage of a run. Best-effort like solve persistence:
+// a failure here must not fail a run the user has paid for.
+export async function saveUsageRecord({ userId, requestId, solveId = null, meter, pricingMode, creditsCharged }) {
+  const { promptTokens, completionTokens } = meter.totals();
+  try {
+    return await prisma.usageRecord.create({
+      data: { userId, requestId, solveId, pricingMode, promptTokens, completionTokens, creditsCharged, calls: meter.calls }
+    });
+  } catch (e) {
+    console.warn('[USAGE] Failed to save usage record', { userId, requestId, error: e && e.message });
+    return null;
+  }
+}
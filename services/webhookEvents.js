@@ -0,0 +1,183 @@
+import prisma from '../lib/prismaClient.js';
+import { recordAdminAction } from './admin.js';
+import { applyPaymentRefund, reversePaymentRefund } from './paymentRefunds.js';
+import { creditPaidPayment } from './payments.js';
+import { releasePromoRedemption } from './pricing.js';
+
+// Outcomes an admin (or a Razorpay retry) may run again. `processed` and
+// `ignored` are final; `processing` means another worker holds the event.
+export const REPLAYABLE_STATUSES = ['error', 'no_local_order', 'amount_mismatch'];
+
+const RETENTION_DAYS = Number(process.env.WEBHOOK_EVENT_RETENTION_DAYS || 90);
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Apply a verified Razorpay event. The idempotency marker and all state
+// changes (payment update, credit ledger, user balance) share one
+// transaction, which ensures exactly-once processing even under retries and
+// concurrent workers. A new event creates the marker (P2002 if it already
+// exists); a replay instead claims an existing row whose last outcome is
+// replayable, so two replays (or a replay racing a retry) can't both run.
+// `onApplied(tx, status)` runs last in the same transaction. Resolves to the
+// stored outcome status.
+export async function processWebhookEvent(payload, { signature, replay = false, onApplied } = {}) {
+  const eventId = payload.id;
+  // extract site id from notes or receipt
+  const siteId = payload?.payload?.payment?.entity?.notes?.website_id
+               || (payload?.payload?.order?.entity?.receipt || '').split(':')[0]
+               || null;
+
+  console.log('[WEBHOOK] Extracted siteId:', siteId, 'Local SITE_ID:', process.env.SITE_ID);
+
+  const event = payload.event;
+
+  const apply = async (tx) => {
+    if (replay) {
+      const { count } = await tx.webhookEvent.updateMany({ where: { eventId, status: { in: REPLAYABLE_STATUSES } }, data: { status: 'processing' } });
+      if (count !== 1) throw httpError('Event is not replayable', 409);
+      console.log('[WEBHOOK] Claimed event for replay', eventId);
+    } else {
+      // create idempotency marker - will fail if eventId already exists
+      await tx.webhookEvent.create({ data: { eventId, status: 'processing', payload: {} } });
+      console.log('[WEBHOOK] Created processing marker for', eventId);
+    }
+
+    if (siteId !== process.env.SITE_ID) {
+      // mark ignored and exit
+      await tx.webhookEvent.update({ where: { eventId }, data: { status: 'ignored', payload } });
+      console.log('[WEBHOOK] Ignoring event for other site:', siteId);
+      return 'ignored';
+    }
+
+    // find local order within the transaction
+    const razorpayOrderId = payload?.payload?.order?.entity?.id || payload?.payload?.payment?.entity?.order_id;
+    console.log('[WEBHOOK] Looking up local order for razorpayOrderId:', razorpayOrderId);
+    const payment = await tx.payment.findUnique({ where: { razorpayOrderId } });
+    if (!payment) {
+      await tx.webhookEvent.update({ where: { eventId }, data: { status: 'no_local_order', payload } });
+      console.log('[WEBHOOK] No local order match for', { razorpayOrderId });
+      return 'no_local_order';
+    }
+
+    console.log('[WEBHOOK] Local payment record found:', { id: payment.id, amountPaise: payment.amountPaise });
+
+    // verify amount
+    const amount = payload?.payload?.payment?.entity?.amount || payload?.payload?.order?.entity?.amount;
+    const currency = payload?.payload?.payment?.entity?.currency || payload?.payload?.order?.entity?.currency;
+    if ((amount && amount !== payment.amountPaise) || (currency && payment.currency && currency !== payment.currency)) {
+      await tx.webhookEvent.update({ where: { eventId }, data: { status: 'amount_mismatch', payload } });
+      console.log('[WEBHOOK] Amount mismatch', { expected: payment.amountPaise, received: amount, expectedCurrency: payment.currency, receivedCurrency: currency });
+      return 'amount_mismatch';
+    }
+
+    // process the event depending on type
+    console.log('[WEBHOOK] Processing event type:', event);
+    if (event === 'payment.captured' || event === 'payment.authorized' || event === 'order.paid') {
+      console.log('[WEBHOOK] Marking payment as paid for payment id:', payment.id);
+      const razorpayPaymentId = payload?.payload?.payment?.entity?.id || null;
+      await creditPaidPayment(tx, payment, { razorpayPaymentId, signature });
+    } else if (event === 'payment.failed') {
+      console.log('[WEBHOOK] Marking payment as failed for payment id:', payment.id);
+      await tx.payment.update({ where: { id: payment.id }, data: { status: 'failed' } });
+      if (payment.status === 'created') await releasePromoRedemption(tx, payment);
+    } else if (event === 'refund.created' || event === 'refund.processed') {
+      const refund = payload?.payload?.refund?.entity || {};
+      console.log('[WEBHOOK] Applying refund for payment id:', payment.id, 'refund:', refund.id);
+      await applyPaymentRefund(tx, payment, { refundId: refund.id, amount: refund.amount, status: event === 'refund.processed' ? 'processed' : 'pending' });
+    } else if (event === 'refund.failed') {
+      const refund = payload?.payload?.refund?.entity || {};
+      console.log('[WEBHOOK] Refund failed for payment id:', payment.id, 'refund:', refund.id);
+      await reversePaymentRefund(tx, payment, { refundId: refund.id });
+    }
+
+    await tx.webhookEvent.update({ where: { eventId }, data: { status: 'processed', payload } });
+    console.log('[WEBHOOK] Transaction complete for eventId:', eventId);
+    return 'processed';
+  };
+
+  return prisma.$transaction(async (tx) => {
+    const status = await apply(tx);
+    if (onApplied) await onApplied(tx, status);
+    return status;
+  });
+}
+
+// Failures roll the marker back with the rest of the transaction; record the
+// event separately so it can be inspected and replayed.
+export async function recordWebhookError(eventId, payload) {
+  await prisma.webhookEvent.upsert({
+    where: { eventId },
+    create: { eventId, status: 'error', payload },
+    update: { status: 'error', payload }
+  });
+}
+
+export async function getWebhookEventStatus(eventId) {
+  const row = await prisma.webhookEvent.findUnique({ where: { eventId }, select: { status: true } });
+  return row?.status ?? null;
+}
+
+export async function listWebhookEvents({ status, event, from, to, limit = 50, cursor } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 50, 1), 100);
+  const where = {};
+  if (status) where.status = status;
+  if (event) where.payload = { path: ['event'], equals: event };
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lt = to;
+  }
+  const rows = await prisma.webhookEvent.findMany({
+    where,
+    orderBy: { id: 'desc' },
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+  });
+  const hasMore = rows.length > take;
+  const page = hasMore ? rows.slice(0, take) : rows;
+  // Payloads can be large; the list carries a summary and the detail
+  // endpoint the full body
+  const events = page.map(({ payload, ...rest }) => ({
+    ...rest,
+    event: payload?.event ?? null,
+    paymentId: payload?.payload?.payment?.entity?.id ?? null,
+    orderId: payload?.payload?.order?.entity?.id || payload?.payload?.payment?.entity?.order_id || null
+  }));
+  return { events, nextCursor: hasMore ? page[page.length - 1].id : null };
+}
+
+export async function getWebhookEvent(id) {
+  return prisma.webhookEvent.findUnique({ where: { id } });
+}
+
+// The admin's audit entry is written in the replay's transaction, so a
+// replay is never applied without one (or recorded without being applied).
+export async function replayWebhookEvent(id, adminId) {
+  const row = await prisma.webhookEvent.findUnique({ where: { id } });
+  if (!row) throw httpError('Webhook event not found', 404);
+  if (!REPLAYABLE_STATUSES.includes(row.status)) throw httpError(`Events with status ${row.status} cannot be replayed`, 409);
+  if (!row.payload?.id) throw httpError('Stored payload is empty; nothing to replay', 409);
+  try {
+    return await processWebhookEvent(row.payload, {
+      replay: true,
+      onApplied: (tx, status) => recordAdminAction(tx, { adminId, action: 'webhook.replay', details: { webhookEventId: id, status } })
+    });
+  } catch (e) {
+    if (!e.statusCode) await recordWebhookError(row.eventId, row.payload).catch(() => {});
+    throw e;
+  }
+}
+
+// Only final, successful outcomes are pruned; failures stay until someone
+// looks at them. A Razorpay retry of a pruned event is still safe because
+// crediting and clawbacks are idempotent on the ledger.
+export async function pruneWebhookEvents({ now = new Date(), retentionDays = RETENTION_DAYS } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.webhookEvent.deleteMany({ where: { status: { in: ['processed', 'ignored'] }, createdAt: { lt: cutoff } } });
+  if (count > 0) console.log('[WEBHOOK] Pruned old webhook events', { count, cutoff });
+  return count;
+}
@@ -0,0 +1,85 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+
+const ADMIN = { id: 1, username: 'root', role: 'admin', credits: 0, heldCredits: 0, disabledAt: null };
+const MEMBER = { id: 7, username: 'alice', role: 'user', credits: 40, heldCredits: 10, disabledAt: null };
+
+let users;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  users = { 1: { ...ADMIN }, 7: { ...MEMBER } };
+  prisma.user = {
+    findUnique: jest.fn(async ({ where }) => (users[where.id] ? { ...users[where.id] } : null)),
+    findMany: jest.fn().mockResolvedValue([]),
+    update: jest.fn(async ({ where, data }) => {
+      const user = users[where.id];
+      if (data.credits?.increment) user.credits += data.credits.increment;
+      if ('disabledAt' in data) Object.assign(user, { disabledAt: data.disabledAt, disabledReason: data.disabledReason });
+      return { ...user };
+    })
+  };
+  prisma.creditLedger = { create: jest.fn(async ({ data }) => ({ id: 55, ...data })) };
+  prisma.adminAuditLog = { create: jest.fn(async ({ data }) => ({ id: 3, ...data })) };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+test('rejects non-admins', async () => {
+  const res = await request(app).get('/admin/users?q=ali').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(403);
+  expect(prisma.user.findMany).not.toHaveBeenCalled();
+});
+
+test('searches users by username, email or id', async () => {
+  prisma.user.findMany.mockResolvedValue([{ ...MEMBER }]);
+
+  const res = await request(app).get('/admin/users?q=7').set('Cookie', authCookie(1));
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.users[0]).toEqual(expect.objectContaining({ id: 7, availableCredits: 30 }));
+  const { where, select } = prisma.user.findMany.mock.calls[0][0];
+  expect(where.OR).toEqual(expect.arrayContaining([{ id: 7 }, { username: { contains: '7', mode: 'insensitive' } }]));
+  expect(select.passwordHash).toBeUndefined();
+});
+
+test('adjusts credits with a ledger entry and an audit record', async () => {
+  const res = await request(app).post('/admin/users/7/credits').set('Cookie', authCookie(1)).send({ delta: -5, reason: 'Duplicate purchase' });
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.user.credits).toBe(35);
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({
+    data: { userId: 7, delta: -5, type: 'admin_adjustment', reason: 'Duplicate purchase', relatedId: 'admin:1' }
+  });
+  expect(prisma.adminAuditLog.create).toHaveBeenCalledWith({
+    data: expect.objectContaining({ adminId: 1, action: 'credits.adjust', targetUserId: 7, details: expect.objectContaining({ delta: -5, ledgerEntryId: 55 }) })
+  });
+});
+
+test('requires a reason and refuses to debit held credits', async () => {
+  const noReason = await request(app).post('/admin/users/7/credits').set('Cookie', authCookie(1)).send({ delta: 5 });
+  expect(noReason.statusCode).toBe(400);
+
+  const tooMuch = await request(app).post('/admin/users/7/credits').set('Cookie', authCookie(1)).send({ delta: -35, reason: 'Chargeback' });
+  expect(tooMuch.statusCode).toBe(400);
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+});
+
+test('a disabled account is locked out until re-enabled', async () => {
+  const disabled = await request(app).post('/admin/users/7/disable').set('Cookie', authCookie(1)).send({ reason: 'Abuse report' });
+  expect(disabled.statusCode).toBe(200);
+  expect(prisma.adminAuditLog.create).toHaveBeenCalledWith({ data: expect.objectContaining({ action: 'user.disable', targetUserId: 7 }) });
+
+  const me = await request(app).get('/credits/ledger').set('Cookie', authCookie(7));
+  expect(me.statusCode).toBe(403);
+
+  const self = await request(app).post('/admin/users/1/disable').set('Cookie', authCookie(1)).send({ reason: 'Oops' });
+  expect(self.statusCode).toBe(400);
+
+  await request(app).post('/admin/users/7/enable').set('Cookie', authCookie(1)).expect(200);
+  expect(users[7].disabledAt).toBeNull();
+});
@@ -0,0 +1,107 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+
+let keys;
+const user = { id: 7, username: 'alice', credits: 50, heldCredits: 0, disabledAt: null };
+
+async function createKey(body) {
+  const res = await request(app).post('/auth/api-keys').set('Cookie', authCookie(7)).send(body);
+  expect(res.statusCode).toBe(201);
+  return res.body.key;
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  keys = [];
+  prisma.user = { findUnique: jest.fn().mockResolvedValue(user) };
+  prisma.apiKey = {
+    count: jest.fn(async ({ where }) => keys.filter((k) => k.userId === where.userId && !k.revokedAt).length),
+    create: jest.fn(async ({ data }) => {
+      const row = { id: keys.length + 1, createdAt: new Date(), lastUsedAt: null, revokedAt: null, ...data };
+      keys.push(row);
+      const { keyHash, userId, revokedAt, ...visible } = row;
+      return visible;
+    }),
+    findMany: jest.fn(async ({ where }) => keys.filter((k) => k.userId === where.userId && !k.revokedAt)
+      .map(({ id, name, prefix, scopes, createdAt, lastUsedAt }) => ({ id, name, prefix, scopes, createdAt, lastUsedAt }))),
+    findUnique: jest.fn(async ({ where }) => {
+      const row = keys.find((k) => k.keyHash === where.keyHash);
+      return row ? { ...row, user } : null;
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(keys.find((k) => k.id === where.id), data)),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const hits = keys.filter((k) => k.id === where.id && k.userId === where.userId && !k.revokedAt);
+      hits.forEach((k) => Object.assign(k, data));
+      return { count: hits.length };
+    })
+  };
+  prisma.creditLedger = { aggregate: jest.fn().mockResolvedValue({ _sum: { delta: -19 }, _count: 2 }) };
+  prisma.solve = { findMany: jest.fn().mockResolvedValue([]) };
+});
+
+test('creates a key that is shown once and stored hashed', async () => {
+  const res = await request(app).post('/auth/api-keys').set('Cookie', authCookie(7)).send({ name: 'vim plugin', scopes: ['solve'] });
+
+  expect(res.statusCode).toBe(201);
+  const { key, apiKey } = res.body;
+  expect(key).toMatch(/^ak_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+  expect(apiKey).toEqual(expect.objectContaining({ name: 'vim plugin', prefix: key.slice(0, 11), scopes: ['solve'] }));
+  expect(apiKey.keyHash).toBeUndefined();
+  expect(keys[0].keyHash).toMatch(/^[0-9a-f]{64}$/);
+  expect(keys[0].keyHash).not.toContain(key.slice(12));
+
+  const list = await request(app).get('/auth/api-keys').set('Cookie', authCookie(7));
+  expect(list.body.apiKeys).toEqual([expect.objectContaining({ prefix: apiKey.prefix, runs: 2, creditsUsed: 19 })]);
+  expect(JSON.stringify(list.body)).not.toContain(key);
+  expect(prisma.creditLedger.aggregate).toHaveBeenCalledWith(expect.objectContaining({
+    where: { userId: 7, type: 'debit', reason: { endsWith: ` key:${apiKey.prefix}` } }
+  }));
+
+  const bad = await request(app).post('/auth/api-keys').set('Cookie', authCookie(7)).send({ name: 'x', scopes: ['admin'] });
+  expect(bad.statusCode).toBe(400);
+});
+
+test('accepts X-API-Key only on routes within the key scopes', async () => {
+  const key = await createKey({ name: 'history only', scopes: ['read:history'] });
+
+  const history = await request(app).get('/api/solves').set('X-API-Key', key);
+  expect(history.statusCode).toBe(200);
+  expect(prisma.solve.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: expect.objectContaining({ userId: 7 }) }));
+  expect(keys[0].lastUsedAt).toBeInstanceOf(Date);
+
+  const estimate = await request(app).get('/api/estimate?model=gpt-5').set('X-API-Key', key);
+  expect(estimate.statusCode).toBe(403);
+
+  // account management never takes a key
+  expect((await request(app).get('/auth/me').set('X-API-Key', key)).statusCode).toBe(401);
+  expect((await request(app).post('/auth/api-keys').set('X-API-Key', key).send({ name: 'more' })).statusCode).toBe(401);
+
+  const unknown = await request(app).get('/api/solves').set('X-API-Key', 'ak_00000000_nope');
+  expect(unknown.statusCode).toBe(401);
+  expect(unknown.body.error).toBe('Invalid API key');
+});
+
+test('browsers may send X-API-Key cross-origin', async () => {
+  const preflight = await request(app)
+    .options('/api/solves')
+    .set('Origin', 'http://localhost:5173')
+    .set('Access-Control-Request-Method', 'GET')
+    .set('Access-Control-Request-Headers', 'x-api-key');
+
+  expect(preflight.statusCode).toBe(200);
+  expect(preflight.headers['access-control-allow-headers']).toContain('X-API-Key');
+});
+
+test('revoked keys stop working', async () => {
+  const key = await createKey({ name: 'ci' });
+  await request(app).get('/api/estimate?model=gpt-5').set('X-API-Key', key).expect(200);
+
+  await request(app).delete('/auth/api-keys/1').set('Cookie', authCookie(7)).expect(200);
+
+  expect((await request(app).get('/api/estimate?model=gpt-5').set('X-API-Key', key)).statusCode).toBe(401);
+  expect((await request(app).delete('/auth/api-keys/1').set('Cookie', authCookie(7))).statusCode).toBe(404);
+});
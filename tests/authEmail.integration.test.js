@@ -0,0 +1,120 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+import { getTransporter } from '../utils/email.js';
+import { verifyPassword } from '../utils/password.js';
+
+let users;
+let tokens;
+let sendMail;
+
+// Let mail sent in the background after a response go out
+const flushMail = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+// Pull the token out of the last link mailed to `to`
+function mailedToken(to) {
+  const mail = sendMail.mock.calls.map(([m]) => m).filter((m) => m.to === to).pop();
+  return mail && mail.text.match(/(?:verify-email\/|token=)([A-Za-z0-9_-]+)/)[1];
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  // SMTP is not configured in tests, so this is the no-op transporter
+  sendMail = jest.spyOn(getTransporter(), 'sendMail').mockResolvedValue({ accepted: [] });
+  users = {
+    7: { id: 7, username: 'alice', email: 'alice@example.com', emailVerifiedAt: null, passwordHash: 'old', disabledAt: null }
+  };
+  tokens = [];
+  const findUser = async ({ where }) => (where.id ? users[where.id] : Object.values(users).find((u) => u.email === where.email)) || null;
+  prisma.user = {
+    findUnique: jest.fn(findUser),
+    update: jest.fn(async ({ where, data }) => Object.assign(users[where.id], data))
+  };
+  prisma.authToken = {
+    create: jest.fn(async ({ data }) => tokens.push({ id: tokens.length + 1, usedAt: null, ...data })),
+    findUnique: jest.fn(async ({ where }) => tokens.find((t) => t.tokenHash === where.tokenHash) || null),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const hits = tokens.filter((t) => (where.id ? t.id === where.id : t.userId === where.userId && t.purpose === where.purpose) && t.usedAt === null);
+      hits.forEach((t) => Object.assign(t, data));
+      return { count: hits.length };
+    })
+  };
+  prisma.session = sessionMock({ updateMany: jest.fn().mockResolvedValue({ count: 2 }) });
+  prisma.loginThrottle = { deleteMany: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+test('verifies an email through a single-use link', async () => {
+  const sent = await request(app).post('/auth/verify-email/request').set('Cookie', authCookie(7));
+  expect(sent.statusCode).toBe(200);
+  const token = mailedToken('alice@example.com');
+  expect(tokens[0]).toEqual(expect.objectContaining({ purpose: 'email_verification', email: 'alice@example.com' }));
+  // only a hash of the token is stored
+  expect(tokens[0].tokenHash).not.toContain(token);
+
+  const verified = await request(app).get(`/auth/verify-email/${token}`);
+  expect(verified.statusCode).toBe(200);
+  expect(users[7].emailVerifiedAt).toBeInstanceOf(Date);
+
+  const reused = await request(app).get(`/auth/verify-email/${token}`);
+  expect(reused.statusCode).toBe(400);
+});
+
+test('rejects expired tokens and tokens for a changed address', async () => {
+  await request(app).post('/auth/verify-email/request').set('Cookie', authCookie(7)).expect(200);
+  const token = mailedToken('alice@example.com');
+  users[7].email = 'new@example.com';
+  expect((await request(app).get(`/auth/verify-email/${token}`)).statusCode).toBe(400);
+
+  users[7].email = 'alice@example.com';
+  await request(app).post('/auth/verify-email/request').set('Cookie', authCookie(7)).expect(200);
+  tokens[tokens.length - 1].expiresAt = new Date(Date.now() - 1000);
+  expect((await request(app).get(`/auth/verify-email/${mailedToken('alice@example.com')}`)).statusCode).toBe(400);
+  expect(users[7].emailVerifiedAt).toBeNull();
+});
+
+test('resets a password with the mailed token', async () => {
+  const forgot = await request(app).post('/auth/password/forgot').send({ email: 'Alice@Example.com' });
+  expect(forgot.statusCode).toBe(200);
+  await flushMail();
+  const token = mailedToken('alice@example.com');
+
+  const short = await request(app).post('/auth/password/reset').send({ token, password: 'short' });
+  expect(short.statusCode).toBe(400);
+
+  const reset = await request(app).post('/auth/password/reset').send({ token, password: 'a-new-password' });
+  expect(reset.statusCode).toBe(200);
+  expect(await verifyPassword('a-new-password', users[7].passwordHash)).toBe(true);
+  expect(users[7].emailVerifiedAt).toBeInstanceOf(Date);
+  expect(prisma.session.updateMany).toHaveBeenCalledWith({ where: { userId: 7, revokedAt: null }, data: expect.objectContaining({ revokedReason: 'password_reset' }) });
+  expect(prisma.loginThrottle.deleteMany).toHaveBeenCalledWith({ where: { key: 'user:alice' } });
+
+  const again = await request(app).post('/auth/password/reset').send({ token, password: 'another-password' });
+  expect(again.statusCode).toBe(400);
+});
+
+test('forgot password does not reveal unknown addresses and is rate limited per email', async () => {
+  const unknown = await request(app).post('/auth/password/forgot').send({ email: 'nobody@example.com' });
+  expect(unknown.statusCode).toBe(200);
+  expect(unknown.body.message).toMatch(/If an account uses that email/);
+  expect(sendMail).not.toHaveBeenCalled();
+
+  const statuses = [];
+  for (let i = 0; i < 3; i += 1) {
+    statuses.push((await request(app).post('/auth/password/forgot').send({ email: 'nobody@example.com' })).statusCode);
+  }
+  expect(statuses).toEqual([200, 200, 429]);
+  // a different address is unaffected
+  expect((await request(app).post('/auth/password/forgot').send({ email: 'other@example.com' })).statusCode).toBe(200);
+});
+
+test('forgot password answers known addresses without waiting for the mail', async () => {
+  sendMail.mockReturnValue(new Promise(() => {}));
+
+  const known = await request(app).post('/auth/password/forgot').send({ email: 'alice@example.com' });
+
+  expect(known.statusCode).toBe(200);
+  expect(known.body.message).toMatch(/If an account uses that email/);
+});
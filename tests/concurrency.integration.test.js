@@ -1,10 +1,10 @@
 import request from 'supertest';
 import crypto from 'crypto';
 import { jest } from '@jest/globals';
-import jwt from 'jsonwebtoken';
 
 let app;
 import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
 jest.mock('../lib/prismaClient.js');
 
 const PREV_ENV = {};
@@ -32,6 +32,7 @@ beforeEach(async () => {
   prisma.webhookEvent = { create: jest.fn(), update: jest.fn() };
   prisma.creditLedger = { findFirst: jest.fn(), create: jest.fn() };
   prisma.user = { update: jest.fn(), findUnique: jest.fn() };
+  prisma.session = sessionMock();
 
   // Mock $transaction to provide tx object using our mocked methods
   prisma.$TransactionMock = async (cb) => {
@@ -114,8 +115,7 @@ test('verify + webhook results in a single credit ledger', async () => {
   // Perform verify (which no longer credits) and webhook in parallel
   // create a JWT for user id 21 and set cookie so requireAuth passes
   prisma.user.findUnique.mockResolvedValue({ id: 21, credits: 44 });
-  const token = jwt.sign({ uid: 21 }, process.env.JWT_SECRET || 'development_secret_change_me', { expiresIn: '7d' });
-  const verifyReq = request(app).post('/payments/verify').send(verifyBody).set('Content-Type', 'application/json').set('Cookie', `auth_token=${token}`);
+  const verifyReq = request(app).post('/payments/verify').send(verifyBody).set('Content-Type', 'application/json').set('Cookie', authCookie(21));
   const webhookReq = request(app).post('/payments/razorpay-webhook').set('x-razorpay-signature', sig).set('Content-Type', 'application/json').send(raw);
 
   const [resVerify, resWebhook] = await Promise.all([verifyReq, webhookReq]);
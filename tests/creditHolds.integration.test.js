@@ -0,0 +1,94 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+import { expireStaleHolds } from '../services/creditHolds.js';
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  prisma.user = { findUnique: jest.fn(), update: jest.fn().mockResolvedValue({}) };
+  prisma.creditLedger = { create: jest.fn() };
+  prisma.creditHold = { findMany: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb({ user: prisma.user, creditLedger: prisma.creditLedger, creditHold: prisma.creditHold }));
+});
+
+test('/auth/me reports credits and availableCredits', async () => {
+  prisma.user.findUnique.mockResolvedValue({ id: 7, username: 'ada', email: null, credits: 40, heldCredits: 15, name: null });
+
+  const res = await request(app).get('/auth/me').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.user).toEqual({ id: 7, username: 'ada', email: null, credits: 40, availableCredits: 25, name: null, emailVerified: false, twoFactorEnabled: false });
+});
+
+test('expires stale holds and returns their credits', async () => {
+  prisma.creditHold.findMany.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+  prisma.creditHold.findUnique
+    .mockResolvedValueOnce({ id: 1, userId: 7, requestId: 'r1', amount: 10, status: 'held' })
+    // captured by its pipeline between the scan and the expiry
+    .mockResolvedValueOnce({ id: 2, userId: 8, requestId: 'r2', amount: 5, status: 'captured' });
+  prisma.creditHold.updateMany.mockResolvedValue({ count: 1 });
+
+  const expired = await expireStaleHolds(new Date('2025-10-19T12:00:00Z'));
+
+  expect(expired).toBe(1);
+  expect(prisma.creditHold.findMany).toHaveBeenCalledWith({ where: { status: 'held', expiresAt: { lt: new Date('2025-10-19T12:00:00Z') } }, select: { id: true, pendingCapture: true, pendingReason: true } });
+  expect(prisma.creditHold.updateMany).toHaveBeenCalledTimes(1);
+  expect(prisma.creditHold.updateMany).toHaveBeenCalledWith({ where: { id: 1, status: 'held' }, data: expect.objectContaining({ status: 'expired' }) });
+  expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 7 }, data: { credits: { decrement: 0 }, heldCredits: { decrement: 10 } } });
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+});
+
+test('captures a deferred charge instead of expiring the hold', async () => {
+  prisma.creditHold.findMany.mockResolvedValue([{ id: 3, pendingCapture: 8, pendingReason: 'model:gpt-5' }]);
+  prisma.creditHold.findUnique.mockResolvedValue({ id: 3, userId: 7, requestId: 'r3', amount: 10, status: 'held' });
+  prisma.creditHold.updateMany.mockResolvedValue({ count: 1 });
+
+  expect(await expireStaleHolds(new Date('2025-10-19T12:00:00Z'))).toBe(0);
+
+  expect(prisma.creditHold.updateMany).toHaveBeenCalledWith({ where: { id: 3, status: 'held' }, data: expect.objectContaining({ status: 'captured', capturedAmount: 8 }) });
+  expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 7 }, data: { credits: { decrement: 8 }, heldCredits: { decrement: 10 } } });
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({ data: expect.objectContaining({ delta: -8, reason: 'model:gpt-5' }) });
+});
+
+test('estimates a run from model and image count', async () => {
+  prisma.user.findUnique.mockResolvedValue({ id: 7, credits: 12, heldCredits: 4 });
+
+  const flat = await request(app).get('/api/estimate?model=gpt-5&images=2').set('Cookie', authCookie(7));
+  const text = await request(app).get('/api/estimate?model=gpt-5&images=0').set('Cookie', authCookie(7));
+
+  expect(flat.statusCode).toBe(200);
+  expect(flat.body).toEqual(expect.objectContaining({ pricingMode: 'flat', estimatedCredits: 10, reservedCredits: 10, availableCredits: 8, sufficient: false }));
+  expect(text.body.estimatedCredits).toBe(9);
+  expect(flat.body.estimatedTokens.promptTokens).toBeGreaterThan(text.body.estimatedTokens.promptTokens);
+
+  // the one-credit minimum leaves no text discount on one-credit models
+  const nanoText = await request(app).get('/api/estimate?model=gpt-5-nano&images=0').set('Cookie', authCookie(7));
+  const nanoImage = await request(app).get('/api/estimate?model=gpt-5-nano&images=1').set('Cookie', authCookie(7));
+  expect([nanoText.body.estimatedCredits, nanoImage.body.estimatedCredits]).toEqual([1, 1]);
+});
+
+test('token pricing estimates grow with the number of images', async () => {
+  prisma.user.findUnique.mockResolvedValue({ id: 7, credits: 100, heldCredits: 0 });
+  process.env.PRICING_MODE = 'tokens';
+  try {
+    const one = await request(app).get('/api/estimate?model=gpt-5&images=1').set('Cookie', authCookie(7));
+    const three = await request(app).get('/api/estimate?model=gpt-5&images=3').set('Cookie', authCookie(7));
+
+    expect(one.body.pricingMode).toBe('tokens');
+    expect(three.body.estimatedCredits).toBeGreaterThan(one.body.estimatedCredits);
+    expect(one.body.reservedCredits).toBeGreaterThanOrEqual(one.body.estimatedCredits);
+  } finally {
+    delete process.env.PRICING_MODE;
+  }
+});
+
+test('rejects estimates for unknown models', async () => {
+  prisma.user.findUnique.mockResolvedValue({ id: 7, credits: 100, heldCredits: 0 });
+
+  const res = await request(app).get('/api/estimate?model=gpt-17').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(400);
+});
@@ -0,0 +1,92 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 7, credits: 40 }) };
+  prisma.creditLedger = { findMany: jest.fn(), aggregate: jest.fn() };
+  prisma.payment = { findMany: jest.fn().mockResolvedValue([]) };
+  prisma.solve = { findMany: jest.fn().mockResolvedValue([]) };
+});
+
+test('lists ledger entries joined to their payment or solve', async () => {
+  prisma.creditLedger.findMany.mockResolvedValue([
+    { id: 9, userId: 7, delta: -10, type: 'debit', reason: 'model:gpt-5', relatedId: 'req-1', createdAt: new Date('2025-10-02T10:00:00Z') },
+    { id: 8, userId: 7, delta: 50, type: 'purchase', reason: 'payment', relatedId: 'razorpay:pay_1', createdAt: new Date('2025-10-01T10:00:00Z') },
+    { id: 7, userId: 7, delta: 3, type: 'purchase', reason: 'payment', relatedId: null, createdAt: new Date('2025-09-01T10:00:00Z') }
+  ]);
+  prisma.payment.findMany.mockResolvedValue([{ id: 2, razorpayOrderId: 'order_1', razorpayPaymentId: 'pay_1', amountPaise: 25000, creditsPurchased: 50, status: 'paid' }]);
+  prisma.solve.findMany.mockResolvedValue([{ id: 31, requestId: 'req-1', model: 'gpt-5', status: 'completed' }]);
+
+  const res = await request(app).get('/credits/ledger?limit=2&type=purchase&from=2025-09-01').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.balance).toBe(40);
+  expect(res.body.entries).toHaveLength(2);
+  expect(res.body.entries[0].solve).toEqual(expect.objectContaining({ id: 31 }));
+  expect(res.body.entries[1].payment).toEqual(expect.objectContaining({ razorpayOrderId: 'order_1' }));
+  expect(res.body.nextCursor).toBe(8);
+  expect(prisma.creditLedger.findMany).toHaveBeenCalledWith(expect.objectContaining({
+    where: { userId: 7, type: 'purchase', createdAt: { gte: new Date('2025-09-01') } },
+    take: 3
+  }));
+  expect(prisma.payment.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 7, razorpayPaymentId: { in: ['pay_1'] } } }));
+});
+
+test('matches run debits to their solve by hold even when requestIds repeat', async () => {
+  prisma.creditLedger.findMany.mockResolvedValue([
+    { id: 11, userId: 7, delta: -3, type: 'debit', reason: 'model:gpt-5-mini', relatedId: 'hold:21', createdAt: new Date('2025-10-03T10:00:00Z') },
+    { id: 10, userId: 7, delta: -10, type: 'debit', reason: 'model:gpt-5', relatedId: 'hold:20', createdAt: new Date('2025-10-02T10:00:00Z') }
+  ]);
+  prisma.solve.findMany.mockResolvedValue([
+    { id: 41, requestId: 'same', holdId: 21, model: 'gpt-5-mini', status: 'completed' },
+    { id: 40, requestId: 'same', holdId: 20, model: 'gpt-5', status: 'completed' }
+  ]);
+
+  const res = await request(app).get('/credits/ledger').set('Cookie', authCookie(7));
+
+  expect(res.body.entries.map((e) => e.solve.id)).toEqual([41, 40]);
+  expect(prisma.solve.findMany).toHaveBeenCalledWith(expect.objectContaining({
+    where: { userId: 7, OR: [{ holdId: { in: [21, 20] } }, { requestId: { in: [] } }] }
+  }));
+});
+
+test('rejects unknown ledger types', async () => {
+  const res = await request(app).get('/credits/ledger?type=gift').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(400);
+  expect(prisma.creditLedger.findMany).not.toHaveBeenCalled();
+});
+
+test('exports a monthly statement with running balances', async () => {
+  prisma.creditLedger.aggregate.mockResolvedValue({ _sum: { delta: 5 } });
+  prisma.creditLedger.findMany.mockResolvedValue([
+    { id: 8, userId: 7, delta: 50, type: 'purchase', reason: 'payment', relatedId: 'razorpay:pay_1', createdAt: new Date('2025-10-01T10:00:00Z') },
+    { id: 9, userId: 7, delta: -10, type: 'debit', reason: 'model:gpt-5, retry', relatedId: 'req-1', createdAt: new Date('2025-10-02T10:00:00Z') }
+  ]);
+  prisma.payment.findMany.mockResolvedValue([{ id: 2, razorpayOrderId: 'order_1', razorpayPaymentId: 'pay_1', amountPaise: 540, currency: 'USD', creditsPurchased: 50, status: 'paid' }]);
+
+  const res = await request(app).get('/credits/statement.csv?month=2025-10').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(200);
+  expect(res.headers['content-type']).toMatch(/text\/csv/);
+  expect(res.headers['content-disposition']).toContain('credits-statement-2025-10.csv');
+  expect(res.text.trim().split('\r\n')).toEqual([
+    'date,type,delta,balance,reason,related,amount,currency,entry_id',
+    ',opening_balance,,5,,,,,',
+    '2025-10-01T10:00:00.000Z,purchase,50,55,payment,payment:order_1,5.40,USD,8',
+    '2025-10-02T10:00:00.000Z,debit,-10,45,"model:gpt-5, retry",req-1,,,9',
+    ',closing_balance,,45,,,,,'
+  ]);
+  expect(prisma.creditLedger.aggregate).toHaveBeenCalledWith({ where: { userId: 7, createdAt: { lt: new Date('2025-10-01T00:00:00Z') } }, _sum: { delta: true } });
+});
+
+test('rejects a malformed statement month', async () => {
+  const res = await request(app).get('/credits/statement.csv?month=2025-13').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(400);
+});
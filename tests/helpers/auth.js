@@ -0,0 +1,13 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+// Cookie for an access token bound to session 1; pair it with sessionMock()
+export function authCookie(uid) {
+  const token = jwt.sign({ uid, sid: 1, type: 'access' }, process.env.JWT_SECRET || 'development_secret_change_me', { expiresIn: '15m' });
+  return `auth_token=${token}`;
+}
+
+// prisma.session stand-in whose sessions are all active
+export function sessionMock(extra = {}) {
+  return { findUnique: jest.fn().mockResolvedValue({ revokedAt: null, expiresAt: new Date(Date.now() + 60 * 60 * 1000) }), ...extra };
+}
@@ -0,0 +1,52 @@
+import { jest } from '@jest/globals';
+import { resolveModel, isKnownModel, invokeModel } from '../lib/llm/index.js';
+import { createAnthropicAdapter } from '../lib/llm/anthropic.js';
+import { createGoogleAdapter } from '../lib/llm/google.js';
+
+const PNG = 'data:image/png;base64,aGVsbG8=';
+const messages = [
+  { role: 'system', content: 'be terse' },
+  { role: 'user', content: [{ type: 'text', text: 'read this' }, { type: 'image_url', image_url: { url: PNG } }] }
+];
+
+afterEach(() => {
+  delete global.fetch;
+  delete process.env.LOCAL_LLM_BASE_URL;
+});
+
+test('resolves priced models to their providers', () => {
+  expect(resolveModel('claude-3.5-sonnet')).toEqual(expect.objectContaining({ provider: 'anthropic' }));
+  expect(resolveModel('gemini-2.5-pro')).toEqual(expect.objectContaining({ provider: 'google' }));
+  expect(isKnownModel('gpt-5')).toBe(true);
+  expect(isKnownModel('gpt-17')).toBe(false);
+});
+
+test('local models are only known when an endpoint is configured', () => {
+  expect(isKnownModel('local:llama3')).toBe(false);
+  process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+  expect(resolveModel('local:llama3')).toEqual({ id: 'local:llama3', provider: 'local', apiModel: 'llama3' });
+});
+
+test('invokeModel rejects unknown models with a 400', async () => {
+  await expect(invokeModel('nope', messages)).rejects.toMatchObject({ statusCode: 400 });
+});
+
+test('anthropic adapter lifts the system prompt and inlines images', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ content: [{ type: 'text', text: 'done' }], usage: { input_tokens: 12, output_tokens: 3 } })
+  });
+
+  const result = await createAnthropicAdapter({ apiKey: 'k' }).invoke(messages, { model: 'claude-x' });
+
+  const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(body.system).toBe('be terse');
+  expect(body.messages[0].content[1]).toEqual({ type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'aGVsbG8=' } });
+  expect(result).toEqual({ content: 'done', usage: { promptTokens: 12, completionTokens: 3 } });
+});
+
+test('google adapter surfaces provider errors', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 429, json: async () => ({ error: { message: 'quota' } }) });
+
+  await expect(createGoogleAdapter({ apiKey: 'k' }).invoke(messages, { model: 'gemini-x' })).rejects.toThrow('google request failed (429): quota');
+});
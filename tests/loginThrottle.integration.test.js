@@ -0,0 +1,157 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { getTransporter } from '../utils/email.js';
+import { hashPassword } from '../utils/password.js';
+import { lockDurationMs, LOCKOUT_MS, pruneLoginThrottles } from '../services/loginThrottle.js';
+
+let passwordHash;
+let throttles;
+let sendMail;
+
+const login = (username, password, ip = '203.0.113.5') => request(app)
+  .post('/auth/login')
+  .set('X-Forwarded-For', ip)
+  .send({ username, password });
+
+async function failTimes(n, username, ip) {
+  const statuses = [];
+  for (let i = 0; i < n; i += 1) statuses.push((await login(username, 'wrong-password', ip)).statusCode);
+  return statuses;
+}
+
+// Pretend every lock has run out
+function expireLocks() {
+  Object.values(throttles).forEach((t) => { t.lockedUntil = new Date(Date.now() - 1); });
+}
+
+beforeAll(async () => {
+  // As in production, so X-Forwarded-For sets req.ip
+  app.set('trust proxy', 1);
+  passwordHash = await hashPassword('correct-horse');
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  sendMail = jest.spyOn(getTransporter(), 'sendMail').mockResolvedValue({ accepted: [] });
+  throttles = {};
+  const users = { alice: { id: 7, username: 'alice', email: 'alice@example.com', passwordHash, credits: 0, heldCredits: 0, disabledAt: null } };
+  prisma.user = { findUnique: jest.fn(async ({ where }) => users[where.username] || null) };
+  prisma.loginThrottle = {
+    updateMany: jest.fn(async ({ where, data }) => {
+      const t = throttles[where.key];
+      if (!t
+        || (where.lastFailureAt && !(t.lastFailureAt < where.lastFailureAt.lt))
+        || (where.OR && t.lockedUntil && t.lockedUntil > where.OR[1].lockedUntil.lte)
+        || ('lockedUntil' in where && +t.lockedUntil !== +where.lockedUntil)) return { count: 0 };
+      Object.assign(t, data, data.failures?.decrement ? { failures: t.failures - data.failures.decrement } : {});
+      return { count: 1 };
+    }),
+    upsert: jest.fn(async ({ where, create, update }) => {
+      const t = throttles[where.key];
+      if (!t) return { ...(throttles[where.key] = { lockedUntil: null, ...create }) };
+      return { ...Object.assign(t, { failures: t.failures + update.failures.increment, lastFailureAt: update.lastFailureAt }) };
+    }),
+    findUnique: jest.fn(async ({ where }) => throttles[where.key] || null),
+    deleteMany: jest.fn(async ({ where }) => {
+      delete throttles[where.key];
+      return { count: 1 };
+    })
+  };
+  prisma.session = { create: jest.fn(async ({ data }) => ({ id: 1, ...data })) };
+  prisma.refreshToken = { create: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+test('backs off exponentially before locking out', () => {
+  const policy = { freeAttempts: 3, lockoutAfter: 10 };
+  expect([1, 3, 4, 5, 6, 9].map((n) => lockDurationMs(n, policy))).toEqual([0, 0, 1000, 2000, 4000, 32000]);
+  expect(lockDurationMs(10, policy)).toBe(LOCKOUT_MS);
+  expect(lockDurationMs(30, { freeAttempts: 3, lockoutAfter: 50 })).toBe(5 * 60 * 1000);
+});
+
+test('locks a username after repeated failures and notifies the owner once', async () => {
+  expect(await failTimes(4, 'alice')).toEqual([401, 401, 401, 401]);
+  const backoff = await login('alice', 'correct-horse');
+  expect(backoff.statusCode).toBe(429);
+  expect(Number(backoff.headers['retry-after'])).toBe(1);
+
+  for (let i = 0; i < 6; i += 1) {
+    expireLocks();
+    await failTimes(1, 'Alice');
+  }
+  expect(throttles['user:alice']).toEqual(expect.objectContaining({ failures: 10 }));
+  expect(throttles['user:alice'].lockedUntil - Date.now()).toBeGreaterThan(LOCKOUT_MS - 5000);
+  // the right password doesn't get through the lock either
+  const locked = await login('alice', 'correct-horse', '198.51.100.9');
+  expect(locked.statusCode).toBe(429);
+  expect(locked.body.retryAfterSeconds).toBeGreaterThan(60);
+  expect(sendMail).toHaveBeenCalledTimes(1);
+  expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'alice@example.com', subject: 'Sign-in temporarily locked' }));
+
+  expireLocks();
+  await failTimes(1, 'alice');
+  expect(sendMail).toHaveBeenCalledTimes(1);
+});
+
+test('unknown usernames are throttled the same way without any email', async () => {
+  expect(await failTimes(4, 'nobody')).toEqual([401, 401, 401, 401]);
+  expect((await login('nobody', 'wrong-password')).statusCode).toBe(429);
+  for (let i = 0; i < 6; i += 1) {
+    expireLocks();
+    await failTimes(1, 'nobody');
+  }
+  expect(throttles['user:nobody'].failures).toBe(10);
+  expect(sendMail).not.toHaveBeenCalled();
+});
+
+test('concurrent guesses cannot slip past the lock the first one takes', async () => {
+  await failTimes(3, 'alice');
+
+  const statuses = await Promise.all(Array.from({ length: 5 }, () => login('alice', 'wrong-password')));
+
+  expect(statuses.map((r) => r.statusCode).sort()).toEqual([401, 429, 429, 429, 429]);
+  expect(throttles['user:alice'].failures).toBe(4);
+  expect(throttles['ip:203.0.113.5'].failures).toBe(4);
+});
+
+test('tracks failures per IP across usernames', async () => {
+  for (let i = 0; i < 11; i += 1) await failTimes(1, `user${i}`, '192.0.2.1');
+
+  expect((await login('alice', 'correct-horse', '192.0.2.1')).statusCode).toBe(429);
+  expect((await login('alice', 'correct-horse', '192.0.2.2')).statusCode).toBe(200);
+});
+
+test('a successful login clears the username failures', async () => {
+  await failTimes(3, 'alice');
+  expect((await login('alice', 'correct-horse')).statusCode).toBe(200);
+  expect(throttles['user:alice']).toBeUndefined();
+  expect(throttles['ip:203.0.113.5'].failures).toBe(3);
+});
+
+test('unknown usernames take about as long as wrong passwords', async () => {
+  const time = async (username) => {
+    const started = process.hrtime.bigint();
+    await login(username, 'wrong-password');
+    return Number(process.hrtime.bigint() - started) / 1e6;
+  };
+  await time('nobody'); // warm up the placeholder hash
+  const median = (xs) => xs.sort((a, b) => a - b)[1];
+  const known = median([await time('alice'), await time('alice'), await time('alice')]);
+  const unknown = median([await time('nobody'), await time('nobody'), await time('nobody')]);
+
+  expect(unknown).toBeGreaterThan(known * 0.5);
+});
+
+test('prunes lapsed counts that hold no lock', async () => {
+  prisma.loginThrottle.deleteMany = jest.fn().mockResolvedValue({ count: 2 });
+
+  expect(await pruneLoginThrottles({ now: new Date('2025-10-19T12:00:00Z') })).toBe(2);
+  expect(prisma.loginThrottle.deleteMany).toHaveBeenCalledWith({
+    where: {
+      lastFailureAt: { lt: new Date('2025-10-19T11:00:00Z') },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: new Date('2025-10-19T12:00:00Z') } }]
+    }
+  });
+});
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import prisma from '../lib/prismaClient.js';
+import { setRazorpayClient } from '../utils/razorpay.js';
+import { expireAbandonedPromoOrders, reconcilePayments } from '../services/paymentReconciliation.js';
+
+const NOW = new Date('2025-10-19T12:00:00Z');
+const stuck = (id, extra = {}) => ({
+  id, userId: 7, razorpayOrderId: `order_${id}`, razorpayPaymentId: `pay_${id}`, amountPaise: 5000, creditsPurchased: 10, status: 'created', ...extra
+});
+
+let remote;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  remote = {
+    pay_1: { id: 'pay_1', order_id: 'order_1', amount: 5000, status: 'captured' },
+    pay_2: { id: 'pay_2', order_id: 'order_2', amount: 5000, status: 'failed' },
+    pay_3: { id: 'pay_3', order_id: 'order_3', amount: 5000, status: 'created' },
+    pay_4: { id: 'pay_4', order_id: 'order_4', amount: 9900, status: 'captured' }
+  };
+  setRazorpayClient({
+    payments: {
+      fetch: jest.fn(async (id) => {
+        if (!remote[id]) throw { statusCode: 400, error: { description: 'The id provided does not exist' } };
+        return remote[id];
+      })
+    }
+  });
+  const rows = [stuck(1), stuck(2), stuck(3), stuck(4), stuck(5)];
+  prisma.payment = {
+    findMany: jest.fn().mockResolvedValue(rows),
+    findUnique: jest.fn(async ({ where }) => rows.find((p) => p.id === where.id)),
+    update: jest.fn(),
+    updateMany: jest.fn().mockResolvedValue({ count: 1 })
+  };
+  prisma.promoCode = { updateMany: jest.fn().mockResolvedValue({ count: 1 }) };
+  prisma.creditLedger = { findFirst: jest.fn().mockResolvedValue(null), create: jest.fn() };
+  prisma.user = { update: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+afterEach(() => {
+  setRazorpayClient(null);
+});
+
+test('credits captured payments and reports every outcome', async () => {
+  const report = await reconcilePayments({ now: NOW, olderThanMs: 30 * 60 * 1000 });
+
+  expect(prisma.payment.findMany).toHaveBeenCalledWith(expect.objectContaining({
+    where: { status: 'created', razorpayPaymentId: { not: null }, createdAt: { lt: new Date('2025-10-19T11:30:00Z') } }
+  }));
+  expect(report).toEqual({
+    checked: 5, credited: 1, alreadySettled: 0, failed: 1, pending: 1, mismatched: 1, errors: 1, creditedPaymentIds: [1]
+  });
+  expect(prisma.creditLedger.create).toHaveBeenCalledTimes(1);
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({
+    data: { userId: 7, delta: 10, type: 'purchase', reason: 'payment', relatedId: 'razorpay:pay_1' }
+  });
+  expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 7 }, data: { credits: { increment: 10 } } });
+  expect(prisma.payment.updateMany).toHaveBeenCalledWith({ where: { id: 2, status: 'created' }, data: { status: 'failed' } });
+});
+
+test('does not credit twice when the ledger entry already exists', async () => {
+  prisma.payment.findMany.mockResolvedValue([stuck(1)]);
+  prisma.creditLedger.findFirst.mockResolvedValue({ id: 3, relatedId: 'razorpay:pay_1' });
+
+  const report = await reconcilePayments({ now: NOW });
+
+  expect(report.alreadySettled).toBe(1);
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+  expect(prisma.user.update).not.toHaveBeenCalled();
+  expect(prisma.payment.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { status: 'paid', razorpayPaymentId: 'pay_1' } });
+});
+
+test('releases the promo redemption of a failed or abandoned order', async () => {
+  prisma.payment.findMany.mockResolvedValue([stuck(2, { promoCodeId: 5 })]);
+  await reconcilePayments({ now: NOW, olderThanMs: 0 });
+  expect(prisma.promoCode.updateMany).toHaveBeenCalledWith({ where: { id: 5, redemptions: { gt: 0 } }, data: { redemptions: { decrement: 1 } } });
+
+  prisma.promoCode.updateMany.mockClear();
+  prisma.payment.findMany.mockResolvedValue([stuck(6, { razorpayPaymentId: null, promoCodeId: 5 }), stuck(7, { razorpayPaymentId: null, promoCodeId: 5 })]);
+  // order 7 was paid for in the meantime
+  prisma.payment.updateMany.mockImplementation(async ({ where }) => ({ count: where.id === 6 ? 1 : 0 }));
+
+  expect(await expireAbandonedPromoOrders({ now: NOW, olderThanMs: 60 * 60 * 1000 })).toBe(1);
+  expect(prisma.payment.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+    where: { status: 'created', razorpayPaymentId: null, promoCodeId: { not: null }, createdAt: { lt: new Date('2025-10-19T11:00:00Z') } }
+  }));
+  expect(prisma.payment.updateMany).toHaveBeenCalledWith({ where: { id: 6, status: 'created', razorpayPaymentId: null }, data: { status: 'failed' } });
+  expect(prisma.promoCode.updateMany).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,405 @@
+import http from 'http';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+import { mockLLM } from '../lib/llm/mock.js';
+import { signShortLivedToken } from '../utils/jwt.js';
+
+// End-to-end runs of POST /api/upload against the scripted mock provider
+// (LLM_PROVIDER=mock, fixtures in lib/llm/fixtures). Sandbox execution is
+// covered by sandbox.test.js; it is disabled here so every evaluation goes
+// through the scripted evaluator response.
+
+const fixture = (name) => readFileSync(new URL(`../lib/llm/fixtures/${name}`, import.meta.url), 'utf8');
+const PNG = Buffer.from('fake-png');
+const PREV_ENV = {};
+
+function upload(target, fields = {}) {
+  const req = request(target).post('/api/upload').set('Cookie', authCookie(7));
+  for (const [k, v] of Object.entries({ model: 'gpt-5', ...fields })) req.field(k, v);
+  return req.attach('images', PNG, { filename: 'problem.png', contentType: 'image/png' });
+}
+
+beforeAll(() => {
+  PREV_ENV.LLM_PROVIDER = process.env.LLM_PROVIDER;
+  PREV_ENV.SANDBOX_ENABLED = process.env.SANDBOX_ENABLED;
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.SANDBOX_ENABLED = 'false';
+});
+
+afterAll(() => {
+  process.env.LLM_PROVIDER = PREV_ENV.LLM_PROVIDER;
+  process.env.SANDBOX_ENABLED = PREV_ENV.SANDBOX_ENABLED;
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  mockLLM.reset();
+  const holds = [];
+  prisma.user = {
+    findUnique: jest.fn().mockResolvedValue({ id: 7, credits: 50, heldCredits: 0 }),
+    update: jest.fn().mockResolvedValue({}),
+    updateMany: jest.fn().mockResolvedValue({ count: 1 })
+  };
+  prisma.creditLedger = { create: jest.fn().mockResolvedValue({}), findFirst: jest.fn().mockResolvedValue(null) };
+  prisma.creditHold = {
+    create: jest.fn(async ({ data }) => {
+      const hold = { id: holds.length + 1, status: 'held', ...data };
+      holds.push(hold);
+      return hold;
+    }),
+    findUnique: jest.fn(async ({ where }) => holds.find((h) => h.id === where.id) || null),
+    updateMany: jest.fn().mockResolvedValue({ count: 1 })
+  };
+  prisma.solve = { create: jest.fn().mockResolvedValue({ id: 31 }), update: jest.fn().mockResolvedValue({}), findFirst: jest.fn().mockResolvedValue(null) };
+  prisma.usageRecord = { create: jest.fn().mockResolvedValue({}) };
+  prisma.$transaction = jest.fn(async (cb) => cb({ user: prisma.user, creditLedger: prisma.creditLedger, creditHold: prisma.creditHold }));
+});
+
+test('runs the full pipeline and returns the scripted results', async () => {
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.problem).toEqual(expect.objectContaining({ title: 'Two Sum', functionSignature: expect.stringContaining('twoSum') }));
+  expect(res.body.problem.examples).toHaveLength(2);
+  expect(res.body.problemStatement).toMatch(/^# Two Sum\n/);
+  expect(res.body.problemStatement).toContain('- Input: `nums = [2,7,11,15], target = 9`');
+  // Extracted examples lead, the generator's copies of them are dropped
+  expect(res.body.testCases.map((tc) => tc.description)).toEqual([
+    'Example 1 from the problem statement',
+    'Example 2 from the problem statement',
+    'Duplicate values',
+    'Negative numbers'
+  ]);
+  expect(res.body.testCases[0]).toEqual(expect.objectContaining({ input: 'nums = [2,7,11,15], target = 9', expected: '[0,1]' }));
+  expect(res.body.testCasesDegraded).toBe(false);
+  expect(res.body.solution).toEqual(expect.objectContaining({ bestSolution: fixture('evaluation.md'), selectedBy: 'llm' }));
+  expect(res.body.solveId).toBe(31);
+  expect(res.body).toEqual(expect.objectContaining({ creditsCharged: 10, creditsRefunded: 0 }));
+  expect(mockLLM.calls.map((c) => c.agent).sort()).toEqual(['codeGenerator', 'codeGenerator', 'codeGenerator', 'ocr', 'solutionEvaluator', 'testCaseGenerator']);
+  expect(prisma.creditHold.create).toHaveBeenCalledWith({ data: expect.objectContaining({ userId: 7, amount: 10 }) });
+  expect(prisma.solve.create).toHaveBeenCalledWith({ data: expect.objectContaining({ holdId: 1 }) });
+  expect(prisma.creditLedger.create).toHaveBeenCalledTimes(1);
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({ data: expect.objectContaining({ userId: 7, delta: -10, type: 'debit', relatedId: 'hold:1' }) });
+  expect(prisma.creditHold.updateMany).toHaveBeenCalledWith({ where: { id: 1, status: 'held' }, data: expect.objectContaining({ status: 'captured', capturedAmount: 10 }) });
+  expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 7 }, data: { credits: { decrement: 10 }, heldCredits: { decrement: 10 } } });
+  expect(prisma.solve.update).toHaveBeenLastCalledWith({ where: { id: 31 }, data: expect.objectContaining({ status: 'completed', creditsCharged: 10 }) });
+  expect(res.body.usage).toEqual({ calls: 6, promptTokens: expect.any(Number), completionTokens: expect.any(Number) });
+  expect(prisma.usageRecord.create).toHaveBeenCalledWith({ data: expect.objectContaining({
+    userId: 7, solveId: 31, pricingMode: 'flat', creditsCharged: 10, promptTokens: res.body.usage.promptTokens,
+    calls: expect.arrayContaining([expect.objectContaining({ agent: 'ocr', model: 'gpt-5-mini' })])
+  }) });
+});
+
+test('charges actual token usage in token pricing mode', async () => {
+  process.env.PRICING_MODE = 'tokens';
+  try {
+    const res = await upload(app);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.pricingMode).toBe('tokens');
+    const { data: record } = prisma.usageRecord.create.mock.calls[0][0];
+    expect(record.pricingMode).toBe('tokens');
+    expect(res.body.creditsCharged).toBe(record.creditsCharged);
+    expect(res.body.creditsCharged).toBeGreaterThan(0);
+    expect(res.body.creditsCharged + res.body.creditsRefunded).toBe(res.body.creditsReserved);
+    expect(prisma.creditLedger.create).toHaveBeenCalledWith({ data: expect.objectContaining({ delta: -res.body.creditsCharged, type: 'debit' }) });
+  } finally {
+    delete process.env.PRICING_MODE;
+  }
+});
+
+test('falls back to the raw OCR text when the response is not structured', async () => {
+  mockLLM.script('ocr', fixture('ocr.md'));
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.problem).toBeNull();
+  expect(res.body.problemStatement).toBe(fixture('ocr.md'));
+  expect(res.body.testCases).toEqual(JSON.parse(fixture('testCases.json')));
+});
+
+test('flags degraded test cases when the generator never returns valid JSON', async () => {
+  mockLLM.script('testCaseGenerator', 'Sorry, here are some ideas: try empty arrays.');
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.testCasesDegraded).toBe(true);
+  expect(res.body.testCases.map((tc) => tc.description)).toEqual(['Example 1 from the problem statement', 'Example 2 from the problem statement']);
+});
+
+test('answers 402 without calling any agent when credits are insufficient', async () => {
+  prisma.user.findUnique.mockResolvedValue({ id: 7, credits: 2, heldCredits: 0 });
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(402);
+  expect(mockLLM.calls).toHaveLength(0);
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+});
+
+test('counts credits held by in-flight runs as unavailable', async () => {
+  prisma.user.findUnique.mockResolvedValue({ id: 7, credits: 15, heldCredits: 10 });
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(402);
+  expect(prisma.creditHold.create).not.toHaveBeenCalled();
+});
+
+test('retries the reservation when the balance changed underneath it', async () => {
+  prisma.user.updateMany.mockResolvedValueOnce({ count: 0 }).mockResolvedValue({ count: 1 });
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(200);
+  expect(prisma.user.updateMany).toHaveBeenCalledTimes(2);
+  expect(prisma.user.updateMany).toHaveBeenCalledWith({ where: { id: 7, credits: 50, heldCredits: 0 }, data: { heldCredits: { increment: 10 } } });
+  expect(prisma.creditHold.create).toHaveBeenCalledTimes(1);
+});
+
+test('hands the charge to the hold expiry job when capturing fails', async () => {
+  prisma.creditHold.findUnique.mockRejectedValue(new Error('connection reset'));
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.solution.bestSolution).toBe(fixture('evaluation.md'));
+  expect(prisma.creditHold.updateMany).toHaveBeenCalledWith({
+    where: { id: 1, status: 'held' },
+    data: { pendingCapture: 10, pendingReason: 'model:gpt-5', expiresAt: expect.any(Date) }
+  });
+});
+
+test('captures only the OCR share when a later agent fails', async () => {
+  mockLLM.script('codeGenerator', new Error('provider exploded'));
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(500);
+  expect(res.body.details).toMatch(/provider exploded/);
+  expect(res.body).toEqual(expect.objectContaining({ creditsReserved: 10, creditsCharged: 1, creditsRefunded: 9 }));
+  expect(prisma.creditLedger.create).toHaveBeenCalledTimes(1);
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({ data: expect.objectContaining({ delta: -1, type: 'debit' }) });
+  expect(prisma.solve.update).toHaveBeenLastCalledWith({ where: { id: 31 }, data: expect.objectContaining({ status: 'failed', creditsCharged: 1, creditsRefunded: 9 }) });
+});
+
+test('releases the whole hold when OCR fails', async () => {
+  mockLLM.script('ocr', new Error('vision model down'));
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(500);
+  expect(res.body).toEqual(expect.objectContaining({ creditsCharged: 0, creditsRefunded: 10 }));
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+  expect(prisma.creditHold.updateMany).toHaveBeenCalledWith({ where: { id: 1, status: 'held' }, data: expect.objectContaining({ status: 'released', capturedAmount: 0 }) });
+  expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 7 }, data: { credits: { decrement: 0 }, heldCredits: { decrement: 10 } } });
+});
+
+test('never settles a hold that has already expired', async () => {
+  prisma.creditHold.findUnique.mockResolvedValue({ id: 1, userId: 7, amount: 10, status: 'expired' });
+  mockLLM.script('ocr', new Error('vision model down'));
+
+  const res = await upload(app);
+
+  expect(res.statusCode).toBe(500);
+  expect(res.body.creditsRefunded).toBe(0);
+  expect(prisma.creditHold.updateMany).not.toHaveBeenCalled();
+  expect(prisma.user.update).not.toHaveBeenCalled();
+});
+
+test('threads language and starter code into every generating agent', async () => {
+  const prompts = {};
+  for (const agent of ['codeGenerator', 'testCaseGenerator', 'solutionEvaluator']) {
+    mockLLM.script(agent, (messages) => {
+      prompts[agent] = JSON.stringify(messages);
+      return agent === 'testCaseGenerator' ? fixture('testCases.json') : fixture(agent === 'codeGenerator' ? 'solution.md' : 'evaluation.md');
+    });
+  }
+  const starterCode = 'class Solution {\n    public int[] twoSum(int[] nums, int target) {\n    }\n}';
+
+  const res = await upload(app, { language: 'java', starterCode });
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body).toEqual(expect.objectContaining({ language: 'java', starterCode }));
+  for (const prompt of Object.values(prompts)) expect(prompt).toMatch(/Java/);
+  expect(prompts.codeGenerator).toContain('twoSum(int[] nums, int target)');
+  expect(prisma.solve.create).toHaveBeenCalledWith({ data: expect.objectContaining({ language: 'java' }) });
+});
+
+test('rejects an unsupported language before debiting', async () => {
+  const res = await upload(app, { language: 'cobol' });
+
+  expect(res.statusCode).toBe(400);
+  expect(mockLLM.calls).toHaveLength(0);
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+});
+
+test('solves a text problem without OCR at the lower price', async () => {
+  const res = await request(app)
+    .post('/api/solve')
+    .set('Cookie', authCookie(7))
+    .send({ problemStatement: fixture('ocr.md'), model: 'gpt-5', language: 'python' });
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.problemStatement).toBe(fixture('ocr.md').trim());
+  expect(res.body.solution).toEqual(expect.objectContaining({ bestSolution: fixture('evaluation.md') }));
+  expect(mockLLM.calls.map((c) => c.agent)).not.toContain('ocr');
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({ data: expect.objectContaining({ delta: -9, type: 'debit' }) });
+  expect(prisma.solve.update).toHaveBeenLastCalledWith({ where: { id: 31 }, data: expect.objectContaining({ status: 'completed' }) });
+});
+
+test('names the API key a run was made with in the ledger reason', async () => {
+  const user = { id: 7, credits: 50, heldCredits: 0 };
+  prisma.apiKey = {
+    findUnique: jest.fn().mockResolvedValue({ id: 3, userId: 7, prefix: 'ak_0badcafe', scopes: ['solve'], revokedAt: null, lastUsedAt: new Date(), user }),
+    update: jest.fn()
+  };
+
+  const res = await request(app)
+    .post('/api/solve')
+    .set('X-API-Key', 'ak_0badcafe_secret')
+    .send({ problemStatement: fixture('ocr.md'), model: 'gpt-5' });
+
+  expect(res.statusCode).toBe(200);
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({ data: expect.objectContaining({ delta: -9, reason: 'model:gpt-5 key:ak_0badcafe' }) });
+});
+
+test('accepts an edited structured problem on the text endpoint', async () => {
+  const problem = { ...JSON.parse(fixture('ocr.json')), title: 'Two Sum (edited)' };
+
+  const res = await request(app).post('/api/solve').set('Cookie', authCookie(7)).send({ problem, model: 'gpt-5' });
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.problem.title).toBe('Two Sum (edited)');
+  expect(res.body.problemStatement).toMatch(/^# Two Sum \(edited\)/);
+  expect(res.body.testCases[0].description).toBe('Example 1 from the problem statement');
+});
+
+test('rejects a text solve without a problem statement', async () => {
+  const res = await request(app).post('/api/solve').set('Cookie', authCookie(7)).send({ model: 'gpt-5' });
+
+  expect(res.statusCode).toBe(400);
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+});
+
+// Open an SSE subscription for requestId on a live server; frames are
+// collected as { event, data } with event 'message' for unnamed frames.
+function subscribe(port, requestId, uid = 7) {
+  const frames = [];
+  const token = signShortLivedToken({ uid, type: 'sse' }, 300);
+  return new Promise((resolve, reject) => {
+    const req = http.get(`http://127.0.0.1:${port}/api/progress?requestId=${requestId}&token=${token}`, (res) => {
+      res.setEncoding('utf8');
+      let buffer = '';
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const parts = buffer.split('\n\n');
+        buffer = parts.pop();
+        for (const part of parts) {
+          const event = (part.match(/^event: (.*)$/m) || [])[1] || 'message';
+          const data = JSON.parse(part.match(/^data: (.*)$/m)[1]);
+          frames.push({ event, data });
+        }
+      });
+      resolve({ statusCode: res.statusCode, frames, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+  });
+}
+
+async function withServer(fn) {
+  const server = app.listen(0);
+  try {
+    await fn(server, server.address().port);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('emits SSE progress events in pipeline order', async () => {
+  await withServer(async (server, port) => {
+    const sse = await subscribe(port, 'req-sse');
+    try {
+      const res = await upload(server, { requestId: 'req-sse' });
+      expect(res.statusCode).toBe(200);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const progress = sse.frames.filter((f) => f.event === 'message').map((f) => f.data);
+      expect(progress.map((e) => Object.keys(e).find((k) => k !== 'requestId' && k !== 'timestamp'))).toEqual([
+        'imageProcessed',
+        'codeGenerated',
+        'testCasesGenerated',
+        'solutionSelected',
+        'event'
+      ]);
+      expect(progress[progress.length - 1]).toEqual(expect.objectContaining({ event: 'completed', requestId: 'req-sse' }));
+    } finally {
+      sse.close();
+    }
+  });
+});
+
+test('streams evaluation tokens between testCasesGenerated and solutionSelected', async () => {
+  await withServer(async (server, port) => {
+    const sse = await subscribe(port, 'req-tokens');
+    try {
+      const res = await upload(server, { requestId: 'req-tokens', streamCandidates: 'true' });
+      expect(res.statusCode).toBe(200);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const tokens = sse.frames.filter((f) => f.event === 'token').map((f) => f.data);
+      const evaluation = tokens.filter((t) => t.stage === 'evaluation');
+      expect(evaluation.map((t) => t.token).join('')).toBe(fixture('evaluation.md'));
+      expect(evaluation.every((t) => t.requestId === 'req-tokens')).toBe(true);
+      expect(new Set(tokens.filter((t) => t.stage === 'generation').map((t) => t.candidate))).toEqual(new Set([0, 1, 2]));
+
+      const order = sse.frames.map((f) => (f.event === 'token' ? `token:${f.data.stage}` : Object.keys(f.data)[0]));
+      const firstEvalToken = order.indexOf('token:evaluation');
+      expect(firstEvalToken).toBeGreaterThan(order.indexOf('testCasesGenerated'));
+      expect(order.lastIndexOf('token:evaluation')).toBeLessThan(order.indexOf('solutionSelected'));
+
+      // Non-streaming clients still get the full JSON response
+      expect(res.body.solution.bestSolution).toBe(fixture('evaluation.md'));
+    } finally {
+      sse.close();
+    }
+  });
+});
+
+test('only streams progress to the run owner', async () => {
+  await withServer(async (server, port) => {
+    const owner = await subscribe(port, 'req-owned');
+    const other = await subscribe(port, 'req-owned', 8);
+    try {
+      const res = await upload(server, { requestId: 'req-owned' });
+      expect(res.statusCode).toBe(200);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(owner.frames.length).toBeGreaterThan(0);
+      expect(other.frames).toEqual([]);
+    } finally {
+      owner.close();
+      other.close();
+    }
+  });
+});
+
+test('refuses progress subscriptions without a token or for another user\'s run', async () => {
+  const anonymous = await request(app).get('/api/progress?requestId=req-x');
+  expect(anonymous.statusCode).toBe(401);
+
+  prisma.solve.findFirst.mockResolvedValue({ id: 40 });
+  await withServer(async (server, port) => {
+    const sse = await subscribe(port, 'req-x', 8);
+    sse.close();
+    expect(sse.statusCode).toBe(403);
+  });
+  expect(prisma.solve.findFirst).toHaveBeenCalledWith(expect.objectContaining({ where: { requestId: 'req-x', userId: { not: 8 } } }));
+});
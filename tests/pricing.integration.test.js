@@ -0,0 +1,128 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+import { setRazorpayClient } from '../utils/razorpay.js';
+import { creditPaidPayment } from '../services/payments.js';
+
+const PACKS = [
+  { id: 1, name: 'Starter', credits: 20, pricePaise: 10000, active: true, prices: [] },
+  { id: 2, name: 'Standard', credits: 50, pricePaise: 22500, active: true, prices: [{ currency: 'USD', amount: 270 }] }
+];
+const PROMOS = {
+  SAVE20: { id: 5, code: 'SAVE20', type: 'percent_off', value: 20, active: true, redemptions: 0, maxRedemptions: 100, maxPerUser: 1, expiresAt: null },
+  BONUS10: { id: 6, code: 'BONUS10', type: 'bonus_credits', value: 10, active: true, redemptions: 0, maxRedemptions: null, maxPerUser: null, expiresAt: null },
+  OLD: { id: 7, code: 'OLD', type: 'bonus_credits', value: 5, active: true, redemptions: 0, expiresAt: new Date('2020-01-01') }
+};
+
+let razorpay;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  razorpay = { orders: { create: jest.fn(async ({ amount }) => ({ id: 'order_9', amount })) } };
+  setRazorpayClient(razorpay);
+  prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 7, credits: 0 }), update: jest.fn() };
+  prisma.creditPack = {
+    findMany: jest.fn().mockResolvedValue(PACKS),
+    findUnique: jest.fn(async ({ where }) => PACKS.find((p) => p.id === where.id) || null)
+  };
+  prisma.promoCode = {
+    findUnique: jest.fn(async ({ where }) => (where.code ? PROMOS[where.code] : Object.values(PROMOS).find((p) => p.id === where.id)) || null),
+    update: jest.fn(),
+    updateMany: jest.fn().mockResolvedValue({ count: 1 })
+  };
+  prisma.payment = { create: jest.fn(), count: jest.fn().mockResolvedValue(0), update: jest.fn() };
+  prisma.creditLedger = { findFirst: jest.fn().mockResolvedValue(null), create: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+afterEach(() => {
+  setRazorpayClient(null);
+});
+
+test('lists active packs with their per-credit price and savings', async () => {
+  const res = await request(app).get('/payments/packs');
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.packs[1]).toEqual({ id: 2, name: 'Standard', credits: 50, currency: 'INR', price: 22500, perCreditPrice: 450, savingsPercent: 10 });
+});
+
+test('prices packs and orders in the requested or preferred currency', async () => {
+  const usd = await request(app).get('/payments/packs?currency=USD');
+  // Starter has no USD price and is not offered
+  expect(usd.body.packs).toEqual([expect.objectContaining({ id: 2, currency: 'USD', price: 270, savingsPercent: 10 })]);
+
+  prisma.user.findUnique.mockResolvedValue({ id: 7, credits: 0, preferredCurrency: 'USD' });
+  const res = await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ packId: 2 });
+
+  expect(res.body).toEqual(expect.objectContaining({ amount: 270, currency: 'USD' }));
+  expect(razorpay.orders.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 270, currency: 'USD' }));
+  expect(prisma.payment.create).toHaveBeenCalledWith({ data: expect.objectContaining({ amountPaise: 270, currency: 'USD' }) });
+
+  const unavailable = await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ packId: 1, currency: 'EUR' });
+  expect(unavailable.statusCode).toBe(400);
+});
+
+test('creates an order for a pack with a percentage promo', async () => {
+  const res = await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ packId: 2, promoCode: ' save20 ' });
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body).toEqual(expect.objectContaining({ amount: 18000, credits: 50, discount: 4500 }));
+  expect(razorpay.orders.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 18000, currency: 'INR' }));
+  expect(prisma.payment.create).toHaveBeenCalledWith({
+    data: expect.objectContaining({
+      userId: 7, razorpayOrderId: 'order_9', amountPaise: 18000, creditsPurchased: 50, packId: 2, promoCodeId: 5,
+      discountPaise: 4500, bonusCredits: 0, description: 'Standard pack (50 credits), promo SAVE20 -20%', status: 'created'
+    })
+  });
+  // the redemption is reserved with the order, within the code's cap
+  expect(prisma.promoCode.updateMany).toHaveBeenCalledWith({ where: { id: 5, redemptions: { lt: 100 } }, data: { redemptions: { increment: 1 } } });
+  expect(prisma.payment.count).toHaveBeenCalledWith({ where: { userId: 7, promoCodeId: 5, status: { in: ['created', 'paid', 'refunded'] } } });
+});
+
+test('bonus promos add credits and are counted once, when the order is created', async () => {
+  await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ credits: 10, promoCode: 'BONUS10' }).expect(200);
+  const { data } = prisma.payment.create.mock.calls[0][0];
+  expect(data).toEqual(expect.objectContaining({ amountPaise: 5000, creditsPurchased: 20, bonusCredits: 10 }));
+  expect(prisma.promoCode.updateMany).toHaveBeenCalledWith({ where: { id: 6 }, data: { redemptions: { increment: 1 } } });
+
+  await creditPaidPayment(prisma, { id: 3, userId: 7, ...data }, { razorpayPaymentId: 'pay_3' });
+
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({
+    data: expect.objectContaining({ delta: 20, reason: 'payment: 10 credits, promo BONUS10 +10 bonus credits' })
+  });
+  expect(prisma.promoCode.update).not.toHaveBeenCalled();
+
+  // an order that failed first gave its redemption back, so paying it takes one again
+  await creditPaidPayment(prisma, { id: 4, userId: 7, ...data, status: 'failed' }, { razorpayPaymentId: 'pay_4' });
+  expect(prisma.promoCode.update).toHaveBeenCalledWith({ where: { id: 6 }, data: { redemptions: { increment: 1 } } });
+});
+
+test('refuses an order once the promo has no redemptions left', async () => {
+  prisma.promoCode.updateMany.mockResolvedValue({ count: 0 });
+
+  const res = await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ packId: 2, promoCode: 'SAVE20' });
+
+  expect(res.statusCode).toBe(400);
+  expect(res.body.error).toBe('Promo code is no longer available');
+  expect(prisma.payment.create).not.toHaveBeenCalled();
+});
+
+test('rejects expired, unknown and already used promo codes', async () => {
+  const expired = await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ packId: 1, promoCode: 'OLD' });
+  expect(expired.statusCode).toBe(400);
+  expect(expired.body.error).toBe('Promo code has expired');
+
+  const unknown = await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ packId: 1, promoCode: 'NOPE' });
+  expect(unknown.statusCode).toBe(400);
+
+  prisma.payment.count.mockResolvedValue(1);
+  const used = await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ packId: 1, promoCode: 'SAVE20' });
+  expect(used.body.error).toBe('Promo code already used');
+
+  const both = await request(app).post('/payments/create-order').set('Cookie', authCookie(7)).send({ packId: 1, credits: 5 });
+  expect(both.statusCode).toBe(400);
+  expect(razorpay.orders.create).not.toHaveBeenCalled();
+});
@@ -0,0 +1,108 @@
+import request from 'supertest';
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+import { setRazorpayClient } from '../utils/razorpay.js';
+
+const PREV_ENV = {};
+const PAID = { id: 4, userId: 7, razorpayOrderId: 'order_4', razorpayPaymentId: 'pay_4', amountPaise: 25000, creditsPurchased: 50, status: 'paid', refundStatus: null, razorpayRefundId: null };
+
+let razorpay;
+let ledger;
+
+function sendWebhook(payload) {
+  const raw = JSON.stringify(payload);
+  const sig = crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(raw).digest('hex');
+  return request(app).post('/payments/razorpay-webhook').set('x-razorpay-signature', sig).set('Content-Type', 'application/json').send(raw);
+}
+
+function refundEvent(id, event, refund) {
+  return {
+    id,
+    event,
+    payload: {
+      refund: { entity: { id: 'rfnd_1', payment_id: 'pay_4', amount: 25000, ...refund } },
+      payment: { entity: { id: 'pay_4', amount: 25000, order_id: 'order_4', notes: { website_id: 'ai_ot_helper' } } }
+    }
+  };
+}
+
+beforeEach(() => {
+  PREV_ENV.SITE_ID = process.env.SITE_ID;
+  PREV_ENV.RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+  process.env.SITE_ID = 'ai_ot_helper';
+  process.env.RAZORPAY_WEBHOOK_SECRET = 'hook_secret_test';
+
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  ledger = [{ id: 1, userId: 7, delta: 50, type: 'purchase', relatedId: 'razorpay:pay_4', idempotencyKey: null }];
+  razorpay = { payments: { refund: jest.fn().mockResolvedValue({ id: 'rfnd_1', amount: 25000, status: 'pending' }) } };
+  setRazorpayClient(razorpay);
+
+  const users = { 1: { id: 1, role: 'admin', credits: 0 }, 7: { id: 7, role: 'user', credits: 20 } };
+  prisma.user = {
+    findUnique: jest.fn(async ({ where }) => users[where.id] || null),
+    update: jest.fn(async ({ where, data }) => {
+      users[where.id].credits += data.credits.increment ?? -data.credits.decrement;
+      return { credits: users[where.id].credits };
+    })
+  };
+  prisma.payment = { findUnique: jest.fn().mockResolvedValue({ ...PAID }), update: jest.fn() };
+  prisma.creditLedger = {
+    findFirst: jest.fn(async ({ where }) => ledger.find((e) => Object.entries(where).every(([k, v]) => e[k] === v)) || null),
+    create: jest.fn(async ({ data }) => ledger.push({ id: ledger.length + 1, ...data }))
+  };
+  prisma.webhookEvent = { create: jest.fn(), update: jest.fn() };
+  prisma.adminAuditLog = { create: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+afterEach(() => {
+  process.env.SITE_ID = PREV_ENV.SITE_ID;
+  process.env.RAZORPAY_WEBHOOK_SECRET = PREV_ENV.RAZORPAY_WEBHOOK_SECRET;
+  setRazorpayClient(null);
+});
+
+test('admin refund calls Razorpay, marks the payment refunded and claws back credits', async () => {
+  const res = await request(app).post('/payments/4/refund').set('Cookie', authCookie(1)).send({ reason: 'Customer request' });
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body).toEqual(expect.objectContaining({ refundId: 'rfnd_1', status: 'pending', clawedBack: 50 }));
+  expect(razorpay.payments.refund).toHaveBeenCalledWith('pay_4', expect.objectContaining({ amount: 25000 }));
+  expect(prisma.payment.update).toHaveBeenCalledWith({
+    where: { id: 4 },
+    data: expect.objectContaining({ status: 'refunded', razorpayRefundId: 'rfnd_1', refundStatus: 'pending' })
+  });
+  // 20 left of the 50 purchased: the balance is allowed to go negative
+  expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({ data: { credits: { decrement: 50 } } }));
+  expect(prisma.adminAuditLog.create).toHaveBeenCalledWith({ data: expect.objectContaining({ action: 'payment.refund', targetUserId: 7 }) });
+});
+
+test('refund endpoint is admin only and surfaces Razorpay errors', async () => {
+  const forbidden = await request(app).post('/payments/4/refund').set('Cookie', authCookie(7)).send({});
+  expect(forbidden.statusCode).toBe(403);
+
+  razorpay.payments.refund.mockRejectedValue({ statusCode: 400, error: { description: 'The refund amount is invalid' } });
+  const failed = await request(app).post('/payments/4/refund').set('Cookie', authCookie(1)).send({});
+  expect(failed.statusCode).toBe(502);
+  expect(failed.body.error).toBe('The refund amount is invalid');
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+});
+
+test('refund webhooks claw back once and restore credits when the refund fails', async () => {
+  await sendWebhook(refundEvent('evt_r1', 'refund.created', { status: 'pending' })).expect(200);
+  prisma.payment.findUnique.mockResolvedValue({ ...PAID, status: 'refunded', refundStatus: 'pending', razorpayRefundId: 'rfnd_1' });
+  await sendWebhook(refundEvent('evt_r2', 'refund.processed', { status: 'processed' })).expect(200);
+
+  const clawbacks = ledger.filter((e) => e.type === 'purchase_refund');
+  expect(clawbacks).toEqual([expect.objectContaining({ delta: -50, idempotencyKey: 'payment-refund:rfnd_1' })]);
+  expect(prisma.payment.update).toHaveBeenLastCalledWith({ where: { id: 4 }, data: expect.objectContaining({ refundStatus: 'processed' }) });
+
+  await sendWebhook(refundEvent('evt_r3', 'refund.failed', { status: 'failed' })).expect(200);
+
+  expect(ledger[ledger.length - 1]).toEqual(expect.objectContaining({ delta: 50, type: 'purchase_refund', idempotencyKey: 'payment-refund-failed:rfnd_1' }));
+  expect(prisma.payment.update).toHaveBeenLastCalledWith({ where: { id: 4 }, data: expect.objectContaining({ status: 'paid', refundStatus: 'failed' }) });
+  expect(prisma.user.update).toHaveBeenLastCalledWith({ where: { id: 7 }, data: { credits: { increment: 50 } } });
+});
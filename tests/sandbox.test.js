@@ -0,0 +1,95 @@
+import { runCandidate, runTestMatrix, parseTestValue, outputMatches } from '../services/sandbox.js';
+
+const pythonSolution = [
+  'Use a hash map of seen values.',
+  '```python',
+  'class Solution:',
+  '    def twoSum(self, nums: List[int], target: int) -> List[int]:',
+  '        seen = {}',
+  '        for i, n in enumerate(nums):',
+  '            if target - n in seen:',
+  '                return [seen[target - n], i]',
+  '            seen[n] = i',
+  '```'
+].join('\n');
+
+const jsSolution = '```javascript\nvar twoSum = function(nums, target) {\n  return [0, 0];\n};\n```';
+
+const testCases = [
+  { input: 'nums = [2,7,11,15], target = 9', expected: '[0,1]' },
+  { input: { nums: [3, 2, 4], target: 6 }, expected: [1, 2] },
+  { input: '', expected: '', description: 'unverifiable' }
+];
+
+describe('parseTestValue', () => {
+  test('understands named argument notation and python literals', () => {
+    expect(parseTestValue('nums = [1,2], flag = True, name = \'x\'')).toEqual({ nums: [1, 2], flag: true, name: 'x' });
+  });
+
+  test('leaves free text untouched', () => {
+    expect(parseTestValue('hello world')).toBe('hello world');
+  });
+});
+
+test('outputMatches compares structurally and tolerates float noise', () => {
+  expect(outputMatches([0, 1], '[0, 1]')).toBe(true);
+  expect(outputMatches(0.30000000000000004, 0.3)).toBe(true);
+  expect(outputMatches('6\n', '6', 'script')).toBe(true);
+  expect(outputMatches([1, 0], [0, 1])).toBe(false);
+});
+
+test('runs a python candidate and skips cases without an expected value', async () => {
+  const result = await runCandidate(pythonSolution, testCases);
+
+  expect(result).toEqual(expect.objectContaining({ language: 'python', status: 'ran', passed: 2, total: 2 }));
+  expect(result.results[2].status).toBe('skipped');
+});
+
+test('marks unsupported languages without executing them', async () => {
+  const result = await runCandidate('```cpp\nint main() { return 0; }\n```', testCases);
+
+  expect(result).toEqual(expect.objectContaining({ language: 'cpp', status: 'unsupported', total: 0 }));
+});
+
+test('blocks network access from candidates', async () => {
+  const code = '```python\nimport socket\nclass Solution:\n    def f(self, x):\n        socket.create_connection((\'example.com\', 80))\n        return x\n```';
+  const result = await runCandidate(code, [{ input: '1', expected: '1' }]);
+
+  expect(result.passed).toBe(0);
+  expect(result.results[0].status).toBe('error');
+});
+
+test('builds a matrix and reports the unique leader', async () => {
+  const matrix = await runTestMatrix([jsSolution, pythonSolution], testCases);
+
+  expect(matrix.candidates.map((c) => c.passed)).toEqual([0, 2]);
+  expect(matrix.leaders).toEqual([1]);
+});
+
+test('hides the host environment, app directory and raw sockets from candidates', async () => {
+  const probe = (body) => `\`\`\`python\nimport os\nclass Solution:\n    def f(self, x):\n        ${body}\n\`\`\``;
+
+  const env = await runCandidate(probe("return sorted(os.environ) + os.listdir('/proc/1/task')"), [{ input: '1', expected: '1' }]);
+  expect(JSON.parse(env.results[0].actual)).toEqual(['LC_CTYPE', 'PWD', '1']);
+  const app = await runCandidate(probe(`return os.listdir(${JSON.stringify(process.cwd())})`), [{ input: '1', expected: '[]' }]);
+  expect(app.passed).toBe(1);
+  const raw = await runCandidate(probe('import _socket; return x'), [{ input: '1', expected: '1' }]);
+  expect(raw.results[0].status).toBe('error');
+});
+
+test('candidates cannot unmount the tmpfs over the app directory', async () => {
+  const dir = JSON.stringify(process.cwd());
+  const code = `\`\`\`python\nimport os\nclass Solution:\n    def f(self, x):\n        return [os.getuid(), os.system('/usr/bin/umount ' + ${dir}) != 0, os.listdir(${dir})]\n\`\`\``;
+  const result = await runCandidate(code, [{ input: '1', expected: '[65534, true, []]' }]);
+
+  expect(result.passed).toBe(1);
+});
+
+test('caps memory outside the V8 heap and returns only a snippet of failing output', async () => {
+  const buffer = await runCandidate('```javascript\nvar f = function(x) {\n  return Buffer.alloc(1024 * 1024 * 1024, 1).length;\n};\n```', [{ input: '1', expected: '1' }]);
+  expect(buffer.results[0].status).toBe('error');
+
+  const chatty = await runCandidate("```python\nprint('x' * 5000)\n```", [{ input: '', expected: 'y' }]);
+  expect(chatty.results[0].status).toBe('failed');
+  expect(chatty.results[0].actual.length).toBeLessThan(300);
+});
@@ -0,0 +1,136 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { hashPassword } from '../utils/password.js';
+import { signShortLivedToken } from '../utils/jwt.js';
+
+let passwordHash;
+let sessions;
+let refreshTokens;
+
+// name=value pairs from the Set-Cookie headers of a response
+function cookies(res) {
+  return Object.fromEntries((res.headers['set-cookie'] || []).map((c) => c.split(';')[0].split(/=(.*)/s).slice(0, 2)));
+}
+
+async function login() {
+  const res = await request(app).post('/auth/login').set('User-Agent', 'jest-browser').send({ username: 'alice', password: 'correct-horse' });
+  expect(res.statusCode).toBe(200);
+  return cookies(res);
+}
+
+beforeAll(async () => {
+  passwordHash = await hashPassword('correct-horse');
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  sessions = [];
+  refreshTokens = [];
+  const user = { id: 7, username: 'alice', passwordHash, credits: 10, heldCredits: 0, disabledAt: null };
+  const matches = (row, where) => Object.entries(where).every(([k, v]) => {
+    if (v && typeof v === 'object' && 'not' in v) return row[k] !== v.not;
+    return row[k] === v;
+  });
+  prisma.user = { findUnique: jest.fn().mockResolvedValue(user), findFirst: jest.fn().mockResolvedValue(user) };
+  prisma.session = {
+    create: jest.fn(async ({ data }) => {
+      const row = { id: sessions.length + 1, revokedAt: null, createdAt: new Date(), lastUsedAt: new Date(), ...data };
+      sessions.push(row);
+      return row;
+    }),
+    findUnique: jest.fn(async ({ where }) => sessions.find((s) => s.id === where.id) || null),
+    findMany: jest.fn(async ({ where }) => sessions.filter((s) => s.userId === where.userId && !s.revokedAt)),
+    update: jest.fn(async ({ where, data }) => Object.assign(sessions.find((s) => s.id === where.id), data)),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const hits = sessions.filter((s) => matches(s, where));
+      hits.forEach((s) => Object.assign(s, data));
+      return { count: hits.length };
+    })
+  };
+  prisma.refreshToken = {
+    create: jest.fn(async ({ data }) => refreshTokens.push({ id: refreshTokens.length + 1, usedAt: null, ...data })),
+    findUnique: jest.fn(async ({ where }) => {
+      const row = refreshTokens.find((t) => t.tokenHash === where.tokenHash);
+      return row ? { ...row, session: sessions.find((s) => s.id === row.sessionId) } : null;
+    }),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const hits = refreshTokens.filter((t) => matches(t, where));
+      hits.forEach((t) => Object.assign(t, data));
+      return { count: hits.length };
+    })
+  };
+  prisma.loginThrottle = { updateMany: jest.fn().mockResolvedValue({ count: 0 }), upsert: jest.fn().mockResolvedValue({ failures: 1 }), deleteMany: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+test('login starts a session that refreshes with rotating tokens', async () => {
+  const { auth_token: access, refresh_token: refresh } = await login();
+
+  expect(sessions[0]).toEqual(expect.objectContaining({ userId: 7, userAgent: 'jest-browser' }));
+  expect(refreshTokens[0].tokenHash).not.toBe(refresh);
+  await request(app).get('/auth/me').set('Cookie', `auth_token=${access}`).expect(200);
+
+  const refreshed = await request(app).post('/auth/refresh').set('Cookie', `refresh_token=${refresh}`);
+  expect(refreshed.statusCode).toBe(200);
+  const next = cookies(refreshed);
+  expect(next.refresh_token).toBeTruthy();
+  expect(next.refresh_token).not.toBe(refresh);
+  expect(refreshTokens[0].usedAt).toBeInstanceOf(Date);
+
+  // body-based clients get the new pair back in the body
+  const viaBody = await request(app).post('/auth/refresh').send({ refreshToken: next.refresh_token });
+  expect(viaBody.body).toEqual(expect.objectContaining({ accessToken: expect.any(String), refreshToken: expect.any(String) }));
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const { auth_token: access, refresh_token: refresh } = await login();
+  await request(app).post('/auth/refresh').set('Cookie', `refresh_token=${refresh}`).expect(200);
+
+  const replayed = await request(app).post('/auth/refresh').set('Cookie', `refresh_token=${refresh}`);
+
+  expect(replayed.statusCode).toBe(401);
+  expect(sessions[0]).toEqual(expect.objectContaining({ revokedReason: 'refresh_token_reuse', revokedAt: expect.any(Date) }));
+  const me = await request(app).get('/auth/me').set('Cookie', `auth_token=${access}`);
+  expect(me.statusCode).toBe(401);
+  expect(me.body.error).toBe('Session revoked');
+});
+
+test('lists and revokes sessions, including logging out everywhere', async () => {
+  const first = await login();
+  const second = await login();
+
+  const list = await request(app).get('/auth/sessions').set('Cookie', `auth_token=${second.auth_token}`);
+  expect(list.body.sessions.map((s) => [s.id, s.current])).toEqual([[1, false], [2, true]]);
+
+  await request(app).delete('/auth/sessions/1').set('Cookie', `auth_token=${second.auth_token}`).expect(200);
+  expect((await request(app).get('/auth/me').set('Cookie', `auth_token=${first.auth_token}`)).statusCode).toBe(401);
+
+  const third = await login();
+  const all = await request(app).post('/auth/logout-all').set('Cookie', `auth_token=${third.auth_token}`);
+  expect(all.body.revoked).toBe(2);
+  expect((await request(app).get('/auth/me').set('Cookie', `auth_token=${third.auth_token}`)).statusCode).toBe(401);
+});
+
+test('other signed tokens are not accepted as access tokens', async () => {
+  const sse = signShortLivedToken({ uid: 7, type: 'sse' }, 300);
+
+  const res = await request(app).get('/auth/me').set('Authorization', `Bearer ${sse}`);
+
+  expect(res.statusCode).toBe(401);
+});
+
+test('tokens without a session are refused, as are progress streams of revoked sessions', async () => {
+  const legacy = signShortLivedToken({ uid: 7 }, 300);
+  const sessionless = signShortLivedToken({ uid: 7, type: 'access' }, 300);
+  expect((await request(app).get('/auth/me').set('Authorization', `Bearer ${legacy}`)).statusCode).toBe(401);
+  expect((await request(app).get('/auth/me').set('Authorization', `Bearer ${sessionless}`)).statusCode).toBe(401);
+  expect((await request(app).get('/api/progress').set('Authorization', `Bearer ${legacy}`)).statusCode).toBe(401);
+
+  const { auth_token: access } = await login();
+  await request(app).post('/auth/logout').set('Cookie', `auth_token=${access}`).expect(200);
+  expect((await request(app).get('/api/progress').set('Cookie', `auth_token=${access}`)).statusCode).toBe(401);
+  // an access token is only good for the stream as a cookie or bearer, not ?token=
+  expect((await request(app).get(`/api/progress?token=${access}`)).statusCode).toBe(401);
+});
@@ -0,0 +1,80 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+import { recoverInterruptedSolveJobs } from '../services/solveJobs.js';
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  prisma.user = { findUnique: jest.fn(), update: jest.fn().mockResolvedValue({}), updateMany: jest.fn().mockResolvedValue({ count: 1 }) };
+  prisma.creditLedger = { findFirst: jest.fn().mockResolvedValue(null), create: jest.fn().mockResolvedValue({}) };
+  prisma.creditHold = { create: jest.fn(async ({ data }) => ({ id: 5, status: 'held', ...data })), findUnique: jest.fn(), updateMany: jest.fn().mockResolvedValue({ count: 1 }) };
+  prisma.solve = { create: jest.fn().mockResolvedValue({ id: 40 }), update: jest.fn().mockResolvedValue({}) };
+  prisma.solveJob = { create: jest.fn(), findFirst: jest.fn(), findMany: jest.fn(), update: jest.fn().mockResolvedValue({}) };
+  prisma.$transaction = jest.fn(async (cb) => cb({ user: prisma.user, creditLedger: prisma.creditLedger, creditHold: prisma.creditHold }));
+});
+
+test('async upload reserves credits, queues a job and answers 202', async () => {
+  prisma.user.findUnique.mockResolvedValue({ id: 7, credits: 50, heldCredits: 0 });
+  prisma.solveJob.create.mockResolvedValue({ id: 9, status: 'queued' });
+
+  const res = await request(app)
+    .post('/api/upload?async=true')
+    .set('Cookie', authCookie(7))
+    .field('model', 'gpt-5')
+    .attach('images', Buffer.from('fake-png'), { filename: 'p.png', contentType: 'image/png' });
+
+  expect(res.statusCode).toBe(202);
+  expect(res.body).toEqual(expect.objectContaining({ success: true, jobId: 9, solveId: 40, status: 'queued', creditsReserved: 10 }));
+  expect(prisma.creditHold.create).toHaveBeenCalledWith({ data: expect.objectContaining({ userId: 7, amount: 10 }) });
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+  expect(prisma.solveJob.create).toHaveBeenCalledWith(expect.objectContaining({
+    data: expect.objectContaining({ userId: 7, solveId: 40, creditsCharged: 10, holdId: 5, input: expect.objectContaining({ imagesData: [expect.stringMatching(/^data:image\/png;base64,/)] }) })
+  }));
+});
+
+test('job status is scoped to the requesting user', async () => {
+  prisma.user.findUnique.mockResolvedValue({ id: 7, credits: 50 });
+  prisma.solveJob.findFirst.mockResolvedValue(null);
+
+  const res = await request(app).get('/api/jobs/9').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(404);
+  expect(prisma.solveJob.findFirst).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 9, userId: 7 } }));
+});
+
+test('recovery requeues interrupted jobs that have attempts left', async () => {
+  prisma.solveJob.findMany.mockResolvedValue([{ id: 1, userId: 7, requestId: 'r1', solveId: 11, attempts: 1, creditsCharged: 10, holdId: 5 }]);
+  prisma.creditHold.findUnique.mockResolvedValue({ status: 'held' });
+
+  const summary = await recoverInterruptedSolveJobs();
+
+  expect(summary).toEqual({ requeued: 1, refunded: 0 });
+  expect(prisma.solveJob.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { status: 'queued', lockedAt: null } });
+  expect(prisma.creditHold.updateMany).not.toHaveBeenCalled();
+});
+
+test('recovery releases the hold of an exhausted job', async () => {
+  prisma.solveJob.findMany.mockResolvedValue([{ id: 3, userId: 7, requestId: 'r3', solveId: 13, attempts: 2, creditsCharged: 10, holdId: 5 }]);
+  prisma.creditHold.findUnique.mockResolvedValue({ id: 5, userId: 7, requestId: 'r3', amount: 10, status: 'held' });
+
+  const summary = await recoverInterruptedSolveJobs();
+
+  expect(summary).toEqual({ requeued: 0, refunded: 1 });
+  expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 7 }, data: { credits: { decrement: 0 }, heldCredits: { decrement: 10 } } });
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+  expect(prisma.solve.update).toHaveBeenCalledWith({ where: { id: 13 }, data: expect.objectContaining({ status: 'failed', creditsRefunded: 10 }) });
+});
+
+test('recovery does not rerun a job whose hold was already settled', async () => {
+  prisma.solveJob.findMany.mockResolvedValue([{ id: 4, userId: 7, requestId: 'r4', solveId: 14, attempts: 1, creditsCharged: 10, holdId: 6 }]);
+  prisma.creditHold.findUnique.mockResolvedValue({ status: 'captured' });
+
+  const summary = await recoverInterruptedSolveJobs();
+
+  expect(summary).toEqual({ requeued: 0, refunded: 1 });
+  expect(prisma.user.update).not.toHaveBeenCalled();
+  expect(prisma.solveJob.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 4 }, data: expect.objectContaining({ status: 'failed' }) }));
+});
@@ -0,0 +1,45 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 7, credits: 10 }) };
+  prisma.solve = { findMany: jest.fn(), findFirst: jest.fn(), deleteMany: jest.fn() };
+});
+
+test('lists solves for the current user with a next cursor', async () => {
+  prisma.solve.findMany.mockResolvedValue([
+    { id: 3, requestId: 'r3', model: 'gpt-5', status: 'completed', problemStatement: 'Two sum' },
+    { id: 2, requestId: 'r2', model: 'gpt-5', status: 'failed', problemStatement: null }
+  ]);
+
+  const res = await request(app).get('/api/solves?limit=1').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.solves).toHaveLength(1);
+  expect(res.body.solves[0]).toEqual(expect.objectContaining({ id: 3, problemPreview: 'Two sum' }));
+  expect(res.body.nextCursor).toBe(3);
+  expect(prisma.solve.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 7 }, take: 2 }));
+});
+
+test('returns 404 for a solve owned by someone else', async () => {
+  prisma.solve.findFirst.mockResolvedValue(null);
+
+  const res = await request(app).get('/api/solves/5').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(404);
+  expect(prisma.solve.findFirst).toHaveBeenCalledWith({ where: { id: 5, userId: 7 } });
+});
+
+test('deletes only within the current user scope', async () => {
+  prisma.solve.deleteMany.mockResolvedValue({ count: 1 });
+
+  const res = await request(app).delete('/api/solves/5').set('Cookie', authCookie(7));
+
+  expect(res.statusCode).toBe(200);
+  expect(prisma.solve.deleteMany).toHaveBeenCalledWith({ where: { id: 5, userId: 7 } });
+});
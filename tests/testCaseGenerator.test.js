@@ -0,0 +1,61 @@
+import { generateTestCases, parseTestCases } from '../agents/testCaseGenerator.js';
+import { mockLLM } from '../lib/llm/mock.js';
+
+const CASES = [
+  { input: 'nums = [3,3], target = 6', expected: '[0,1]', description: 'Duplicate values', category: 'edge' },
+  { input: 'nums = [-1,-2,-3,-4,-5], target = -8', expected: '[2,4]', description: 'Negative numbers' }
+];
+const PREV_PROVIDER = process.env.LLM_PROVIDER;
+
+beforeAll(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+afterAll(() => {
+  process.env.LLM_PROVIDER = PREV_PROVIDER;
+});
+
+beforeEach(() => {
+  mockLLM.reset();
+});
+
+test('parses a fenced array surrounded by prose', () => {
+  const content = `Here are the test cases:\n\n\`\`\`json\n${JSON.stringify(CASES, null, 2)}\n\`\`\`\n\nLet me know if you need more.`;
+  expect(parseTestCases(content)).toEqual(CASES);
+});
+
+test('takes the first array when the response has no fence', () => {
+  expect(parseTestCases(`Sure! ${JSON.stringify(CASES)} Those cover [edge] cases.`)).toEqual(CASES);
+});
+
+test('reports which case failed validation', () => {
+  expect(() => parseTestCases(JSON.stringify([CASES[0], { input: '[1]' }]))).toThrow(/\[1\.expected\] Required/);
+  expect(() => parseTestCases('no json here')).toThrow(/No JSON array/);
+});
+
+test('re-prompts with the validation error and uses the repaired answer', async () => {
+  const prompts = [];
+  mockLLM.script('testCaseGenerator', (messages) => {
+    prompts.push(messages);
+    return prompts.length === 1 ? '[{ "input": "[1]" }]' : JSON.stringify(CASES);
+  });
+
+  const result = await generateTestCases('Two Sum', 'gpt-5');
+
+  expect(result).toEqual({ testCases: CASES, degraded: false, attempts: 2 });
+  const repair = prompts[1];
+  expect(repair[repair.length - 2]).toEqual({ role: 'assistant', content: '[{ "input": "[1]" }]' });
+  expect(JSON.stringify(repair[repair.length - 1])).toMatch(/could not be used: Invalid test cases/);
+});
+
+test('reports degraded test cases after the repair attempts run out', async () => {
+  mockLLM.script('testCaseGenerator', 'I cannot produce test cases for this problem.');
+
+  const result = await generateTestCases('Two Sum', 'gpt-5', '', {
+    examples: [{ input: 'nums = [2,7,11,15], target = 9', output: '[0,1]' }]
+  });
+
+  expect(result.degraded).toBe(true);
+  expect(result.testCases).toEqual([{ input: 'nums = [2,7,11,15], target = 9', expected: '[0,1]', description: 'Example 1 from the problem statement' }]);
+  expect(mockLLM.calls.filter((c) => c.agent === 'testCaseGenerator')).toHaveLength(3);
+});
@@ -0,0 +1,160 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+import { hashPassword } from '../utils/password.js';
+import { base32Encode, totpCode, totpStep, verifyTotp } from '../utils/totp.js';
+
+let passwordHash;
+let user;
+let recoveryCodes;
+
+// Enroll alice and return her secret and recovery codes
+async function enroll() {
+  const setup = await request(app).post('/auth/2fa/setup').set('Cookie', authCookie(7)).send({ password: 'correct-horse' });
+  expect(setup.statusCode).toBe(200);
+  const confirm = await request(app).post('/auth/2fa/confirm').set('Cookie', authCookie(7)).send({ code: totpCode(setup.body.secret, totpStep()) });
+  expect(confirm.statusCode).toBe(200);
+  return { secret: setup.body.secret, codes: confirm.body.recoveryCodes };
+}
+
+async function challenge() {
+  const res = await request(app).post('/auth/login').send({ username: 'alice', password: 'correct-horse' });
+  expect(res.statusCode).toBe(200);
+  return res;
+}
+
+beforeAll(async () => {
+  passwordHash = await hashPassword('correct-horse');
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  user = { id: 7, username: 'alice', email: 'alice@example.com', passwordHash, credits: 5, heldCredits: 0, disabledAt: null, totpSecret: null, totpEnabledAt: null, totpLastStep: null };
+  recoveryCodes = [];
+  prisma.user = {
+    findUnique: jest.fn(async ({ where }) => (where.id === 7 || where.username === 'alice' ? { ...user } : null)),
+    update: jest.fn(async ({ data }) => Object.assign(user, data)),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const fresh = user.totpLastStep === null || user.totpLastStep < where.OR[1].totpLastStep.lt;
+      if (!fresh) return { count: 0 };
+      Object.assign(user, data);
+      return { count: 1 };
+    })
+  };
+  prisma.recoveryCode = {
+    deleteMany: jest.fn(async () => { recoveryCodes = []; }),
+    createMany: jest.fn(async ({ data }) => data.forEach((r, i) => recoveryCodes.push({ id: i + 1, usedAt: null, ...r }))),
+    findUnique: jest.fn(async ({ where }) => recoveryCodes.find((r) => r.codeHash === where.codeHash) || null),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const hits = recoveryCodes.filter((r) => r.id === where.id && !r.usedAt);
+      hits.forEach((r) => Object.assign(r, data));
+      return { count: hits.length };
+    }),
+    count: jest.fn(async () => recoveryCodes.filter((r) => !r.usedAt).length)
+  };
+  prisma.loginThrottle = {
+    updateMany: jest.fn().mockResolvedValue({ count: 0 }),
+    upsert: jest.fn().mockResolvedValue({ failures: 1 }),
+    findUnique: jest.fn().mockResolvedValue(null),
+    deleteMany: jest.fn()
+  };
+  prisma.session = sessionMock({ create: jest.fn(async ({ data }) => ({ id: 1, ...data })), updateMany: jest.fn().mockResolvedValue({ count: 1 }) });
+  prisma.refreshToken = { create: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+test('generates RFC 6238 codes', () => {
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  expect(totpCode(secret, totpStep(59 * 1000))).toBe('287082');
+  expect(totpCode(secret, totpStep(1111111109 * 1000))).toBe('081804');
+  // one step of clock drift either way is tolerated
+  expect(verifyTotp(secret, '287082', { now: 89 * 1000 })).toBe(1);
+  expect(verifyTotp(secret, '287082', { now: 120 * 1000 })).toBeNull();
+});
+
+test('enrollment needs the password', async () => {
+  expect((await request(app).post('/auth/2fa/setup').set('Cookie', authCookie(7))).statusCode).toBe(400);
+
+  const wrong = await request(app).post('/auth/2fa/setup').set('Cookie', authCookie(7)).send({ password: 'nope' });
+
+  expect(wrong.statusCode).toBe(401);
+  expect(prisma.loginThrottle.upsert).toHaveBeenCalledWith(expect.objectContaining({ where: { key: 'user:alice' } }));
+  expect(user.totpSecret).toBeNull();
+});
+
+test('enrolls with an otpauth URI and stores only encrypted and hashed secrets', async () => {
+  const setup = await request(app).post('/auth/2fa/setup').set('Cookie', authCookie(7)).send({ password: 'correct-horse' });
+  expect(setup.body.otpauthUri).toMatch(new RegExp(`^otpauth://totp/Solver%3Aalice%40example\\.com\\?secret=${setup.body.secret}&issuer=Solver`));
+  expect(user.totpSecret).not.toContain(setup.body.secret);
+  expect(user.totpEnabledAt).toBeNull();
+
+  const code = totpCode(setup.body.secret, totpStep());
+  const wrong = await request(app).post('/auth/2fa/confirm').set('Cookie', authCookie(7)).send({ code: code.endsWith('0') ? code.replace(/0$/, '1') : code.replace(/.$/, '0') });
+  expect(wrong.statusCode).toBe(400);
+
+  const confirm = await request(app).post('/auth/2fa/confirm').set('Cookie', authCookie(7)).send({ code });
+  expect(confirm.statusCode).toBe(200);
+  expect(confirm.body.recoveryCodes).toHaveLength(10);
+  // every other session is signed out
+  expect(prisma.session.updateMany).toHaveBeenCalledWith({ where: { userId: 7, revokedAt: null, id: { not: 1 } }, data: expect.objectContaining({ revokedReason: '2fa_enabled' }) });
+  expect(user.totpEnabledAt).toBeInstanceOf(Date);
+  expect(recoveryCodes.map((r) => r.codeHash)).not.toContain(confirm.body.recoveryCodes[0]);
+
+  const status = await request(app).get('/auth/2fa').set('Cookie', authCookie(7));
+  expect(status.body).toEqual({ success: true, enabled: true, recoveryCodesRemaining: 10 });
+  expect((await request(app).post('/auth/2fa/setup').set('Cookie', authCookie(7)).send({ password: 'correct-horse' })).statusCode).toBe(409);
+});
+
+test('password login returns a challenge that only a valid code turns into a session', async () => {
+  const { secret } = await enroll();
+
+  const first = await challenge();
+  expect(first.body).toEqual(expect.objectContaining({ twoFactorRequired: true, challengeToken: expect.any(String) }));
+  expect(first.headers['set-cookie']).toBeUndefined();
+  expect(first.body.user).toBeUndefined();
+  // the challenge is not a credential
+  expect((await request(app).get('/auth/me').set('Authorization', `Bearer ${first.body.challengeToken}`)).statusCode).toBe(401);
+
+  const { challengeToken } = first.body;
+  const wrong = await request(app).post('/auth/login/2fa').send({ challengeToken, code: '12345' });
+  expect(wrong.statusCode).toBe(401);
+  expect(prisma.loginThrottle.upsert).toHaveBeenCalled();
+
+  const code = totpCode(secret, totpStep() + 1);
+  const ok = await request(app).post('/auth/login/2fa').send({ challengeToken, code });
+  expect(ok.statusCode).toBe(200);
+  expect(ok.body.user).toEqual(expect.objectContaining({ id: 7 }));
+  expect(ok.headers['set-cookie'].join(';')).toMatch(/auth_token=/);
+
+  // a code is good for one login only
+  const replay = await request(app).post('/auth/login/2fa').send({ challengeToken: (await challenge()).body.challengeToken, code });
+  expect(replay.statusCode).toBe(401);
+});
+
+test('recovery codes work once and 2FA can be turned off with password and code', async () => {
+  const { secret, codes } = await enroll();
+
+  const { challengeToken } = (await challenge()).body;
+  const recovered = await request(app).post('/auth/login/2fa').send({ challengeToken, recoveryCode: codes[0].toUpperCase() });
+  expect(recovered.statusCode).toBe(200);
+  const again = await request(app).post('/auth/login/2fa').send({ challengeToken, recoveryCode: codes[0] });
+  expect(again.statusCode).toBe(401);
+
+  const badPassword = await request(app).post('/auth/2fa/disable').set('Cookie', authCookie(7)).send({ password: 'nope', recoveryCode: codes[1] });
+  expect(badPassword.statusCode).toBe(401);
+  // counted like a failed login
+  expect(prisma.loginThrottle.upsert.mock.calls.at(-2)[0].where).toEqual({ key: 'user:alice' });
+  prisma.loginThrottle.upsert.mockResolvedValueOnce({ failures: 4, lockedUntil: new Date(Date.now() + 60 * 1000) });
+  const locked = await request(app).post('/auth/2fa/disable').set('Cookie', authCookie(7)).send({ password: 'correct-horse', recoveryCode: codes[1] });
+  expect(locked.statusCode).toBe(429);
+  const off = await request(app).post('/auth/2fa/disable').set('Cookie', authCookie(7)).send({ password: 'correct-horse', code: totpCode(secret, totpStep() + 1) });
+  expect(off.statusCode).toBe(200);
+  expect(user).toEqual(expect.objectContaining({ totpSecret: null, totpEnabledAt: null }));
+  expect(prisma.session.updateMany).toHaveBeenLastCalledWith({ where: { userId: 7, revokedAt: null, id: { not: 1 } }, data: expect.objectContaining({ revokedReason: '2fa_disabled' }) });
+
+  const plain = await request(app).post('/auth/login').send({ username: 'alice', password: 'correct-horse' });
+  expect(plain.body.user).toEqual(expect.objectContaining({ id: 7 }));
+});
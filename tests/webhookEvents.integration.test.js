@@ -0,0 +1,117 @@
+import request from 'supertest';
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import app from '../app.js';
+import prisma from '../lib/prismaClient.js';
+import { authCookie, sessionMock } from './helpers/auth.js';
+import { pruneWebhookEvents } from '../services/webhookEvents.js';
+
+const PREV_ENV = {};
+const CAPTURED = {
+  id: 'evt_9',
+  event: 'payment.captured',
+  payload: {
+    payment: { entity: { id: 'pay_9', amount: 5000, order_id: 'order_9', notes: { website_id: 'ai_ot_helper' } } }
+  }
+};
+
+let events;
+
+beforeEach(() => {
+  PREV_ENV.SITE_ID = process.env.SITE_ID;
+  PREV_ENV.RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+  process.env.SITE_ID = 'ai_ot_helper';
+  process.env.RAZORPAY_WEBHOOK_SECRET = 'hook_secret_test';
+
+  jest.resetAllMocks();
+  prisma.session = sessionMock();
+  events = [{ id: 12, eventId: 'evt_9', status: 'no_local_order', payload: CAPTURED, createdAt: new Date('2025-10-18T10:00:00Z') }];
+  const byEventId = (eventId) => events.find((e) => e.eventId === eventId);
+  prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 1, role: 'admin' }), update: jest.fn() };
+  prisma.payment = { findUnique: jest.fn().mockResolvedValue({ id: 3, userId: 7, amountPaise: 5000, creditsPurchased: 10, status: 'created' }), update: jest.fn() };
+  prisma.creditLedger = { findFirst: jest.fn().mockResolvedValue(null), create: jest.fn() };
+  prisma.adminAuditLog = { create: jest.fn() };
+  prisma.webhookEvent = {
+    findMany: jest.fn(async () => events),
+    findUnique: jest.fn(async ({ where }) => (where.id ? events.find((e) => e.id === where.id) : byEventId(where.eventId)) || null),
+    create: jest.fn(async ({ data }) => {
+      if (byEventId(data.eventId)) throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      events.push({ id: events.length + 20, ...data });
+    }),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const row = byEventId(where.eventId);
+      if (!row || !where.status.in.includes(row.status)) return { count: 0 };
+      Object.assign(row, data);
+      return { count: 1 };
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(byEventId(where.eventId), data)),
+    upsert: jest.fn(),
+    deleteMany: jest.fn().mockResolvedValue({ count: 4 })
+  };
+  prisma.$transaction = jest.fn(async (cb) => cb(prisma));
+});
+
+afterEach(() => {
+  process.env.SITE_ID = PREV_ENV.SITE_ID;
+  process.env.RAZORPAY_WEBHOOK_SECRET = PREV_ENV.RAZORPAY_WEBHOOK_SECRET;
+});
+
+test('lists webhook events with a payload summary and filters', async () => {
+  const res = await request(app).get('/admin/webhook-events?status=no_local_order&from=2025-10-01').set('Cookie', authCookie(1));
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.events[0]).toEqual(expect.objectContaining({ id: 12, status: 'no_local_order', event: 'payment.captured', paymentId: 'pay_9', orderId: 'order_9' }));
+  expect(res.body.events[0].payload).toBeUndefined();
+  expect(prisma.webhookEvent.findMany).toHaveBeenCalledWith(expect.objectContaining({
+    where: { status: 'no_local_order', createdAt: { gte: new Date('2025-10-01') } }
+  }));
+
+  const detail = await request(app).get('/admin/webhook-events/12').set('Cookie', authCookie(1));
+  expect(detail.body.event.payload).toEqual(CAPTURED);
+});
+
+test('replays a failed event through the webhook path once', async () => {
+  const res = await request(app).post('/admin/webhook-events/12/replay').set('Cookie', authCookie(1));
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body.status).toBe('processed');
+  expect(prisma.webhookEvent.create).not.toHaveBeenCalled();
+  expect(prisma.creditLedger.create).toHaveBeenCalledWith({ data: expect.objectContaining({ userId: 7, delta: 10, relatedId: 'razorpay:pay_9' }) });
+  expect(prisma.adminAuditLog.create).toHaveBeenCalledWith({ data: expect.objectContaining({ action: 'webhook.replay' }) });
+
+  const again = await request(app).post('/admin/webhook-events/12/replay').set('Cookie', authCookie(1));
+  expect(again.statusCode).toBe(409);
+  expect(prisma.creditLedger.create).toHaveBeenCalledTimes(1);
+});
+
+test('records the replay in the transaction that applies it', async () => {
+  const txAudit = { create: jest.fn() };
+  prisma.$transaction = jest.fn(async (cb) => cb({ ...prisma, adminAuditLog: txAudit }));
+
+  const res = await request(app).post('/admin/webhook-events/12/replay').set('Cookie', authCookie(1));
+
+  expect(res.statusCode).toBe(200);
+  expect(txAudit.create).toHaveBeenCalledWith({ data: expect.objectContaining({ adminId: 1, action: 'webhook.replay', details: { webhookEventId: 12, status: 'processed' } }) });
+  expect(prisma.adminAuditLog.create).not.toHaveBeenCalled();
+});
+
+test('a Razorpay retry of an errored event is processed again', async () => {
+  events[0].status = 'error';
+  const raw = JSON.stringify(CAPTURED);
+  const sig = crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(raw).digest('hex');
+
+  const res = await request(app).post('/payments/razorpay-webhook').set('x-razorpay-signature', sig).set('Content-Type', 'application/json').send(raw);
+
+  expect(res.statusCode).toBe(200);
+  expect(events[0].status).toBe('processed');
+  expect(prisma.creditLedger.create).toHaveBeenCalledTimes(1);
+});
+
+test('prunes only processed and ignored events past retention', async () => {
+  const count = await pruneWebhookEvents({ now: new Date('2025-10-19T00:00:00Z'), retentionDays: 30 });
+
+  expect(count).toBe(4);
+  expect(prisma.webhookEvent.deleteMany).toHaveBeenCalledWith({
+    where: { status: { in: ['processed', 'ignored'] }, createdAt: { lt: new Date('2025-09-19T00:00:00Z') } }
+  });
+});
@@ -107,3 +107,26 @@ test('rejects invalid signature', async () => {
 });
 
 
+
+test('rejects a payment in a different currency than the order', async () => {
+  const payload = {
+    id: 'evt_4',
+    event: 'payment.captured',
+    payload: {
+      payment: { entity: { id: 'pay_4', amount: 5000, currency: 'USD', order_id: 'order_4', notes: { website_id: 'ai_ot_helper' } } }
+    }
+  };
+  const raw = JSON.stringify(payload);
+
+  prisma.payment.findUnique.mockResolvedValue({ id: 4, amountPaise: 5000, currency: 'INR' });
+
+  const res = await request(app)
+    .post('/payments/razorpay-webhook')
+    .set('x-razorpay-signature', makeSignature(raw))
+    .set('Content-Type', 'application/json')
+    .send(raw);
+
+  expect(res.statusCode).toBe(200);
+  expect(prisma.webhookEvent.update).toHaveBeenCalledWith({ where: { eventId: 'evt_4' }, data: expect.objectContaining({ status: 'amount_mismatch' }) });
+  expect(prisma.creditLedger.create).not.toHaveBeenCalled();
+});
@@ -0,0 +1,40 @@
+const LANGUAGE_ALIASES = {
+  py: 'python',
+  python: 'python',
+  python3: 'python',
+  js: 'javascript',
+  javascript: 'javascript',
+  node: 'javascript',
+  nodejs: 'javascript'
+};
+
+export function normalizeLanguage(tag) {
+  if (!tag) return null;
+  const key = String(tag).trim().toLowerCase();
+  return LANGUAGE_ALIASES[key] || key;
+}
+
+// Best-effort guess for untagged code fences
+export function detectLanguage(code) {
+  if (/^\s*(def |class \w+(\(.*\))?:|import \w+$|from \w+ import )/m.test(code)) return 'python';
+  if (/\b(function\b|=>|const |let |var )/.test(code) && !/#include|public static/.test(code)) return 'javascript';
+  return null;
+}
+
+// Extract the primary code block from a markdown model response. Prefers the
+// longest fenced block; falls back to the whole text when there are no fences.
+export function extractCodeBlock(markdown) {
+  if (!markdown || typeof markdown !== 'string') return null;
+  const blocks = [];
+  const fence = /```([\w+#-]*)[^\n]*\n([\s\S]*?)```/g;
+  let match;
+  while ((match = fence.exec(markdown)) !== null) {
+    blocks.push({ tag: match[1], code: match[2] });
+  }
+  if (blocks.length === 0) {
+    const code = markdown.trim();
+    return code ? { language: detectLanguage(code), code } : null;
+  }
+  const best = blocks.reduce((a, b) => (b.code.length > a.code.length ? b : a));
+  return { language: normalizeLanguage(best.tag) || detectLanguage(best.code), code: best.code };
+}
@@ -55,3 +55,43 @@ export async function sendLowCreditEmail(user) {
 }
 
 
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+const apiUrl = () => (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/$/, '');
+
+// Unlike the low credit warning these are sent on request, so failures are
+// left to the caller to log.
+export async function sendVerificationEmail(user, email, token) {
+  const link = `${apiUrl()}/auth/verify-email/${token}`;
+  await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'no-reply@example.com',
+    to: email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username}, confirm this email address for your account by opening ${link}\n\nThe link expires in 24 hours. If you didn't ask for this, ignore this email.`,
+  });
+}
+
+export async function sendPasswordResetEmail(user, email, token) {
+  const link = `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'no-reply@example.com',
+    to: email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username}, a password reset was requested for your account. Choose a new password at ${link}\n\nThe link expires in 1 hour and can be used once. If you didn't ask for this, you can ignore this email.`,
+  });
+}
+
+// Like the low credit warning this is unprompted, so failures are only logged
+export async function sendAccountLockedEmail(user, lockedUntil) {
+  if (!user.email) return;
+  try {
+    await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || 'no-reply@example.com',
+      to: user.email,
+      subject: 'Sign-in temporarily locked',
+      text: `Hi ${user.username}, there were too many failed sign-in attempts on your account, so password sign-in is locked until ${lockedUntil.toISOString()}.\n\nIf this wasn't you, consider resetting your password at ${frontendUrl()}/forgot-password once the lock expires.`,
+    });
+  } catch (e) {
+    console.warn('[EMAIL] Failed to send account locked email', { to: user.email, error: e && e.message });
+  }
+}
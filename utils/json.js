@@ -0,0 +1,47 @@
+// Pull a JSON value out of a model response that may wrap it in a markdown
+// fence or surround it with prose. `open` selects what to look for: '{' for
+// an object, '[' for an array. Throws a SyntaxError when nothing parses.
+export function extractJson(text, open = '{') {
+  if (typeof text !== 'string') throw new SyntaxError('Response is not text');
+  const close = open === '[' ? ']' : '}';
+
+  const fenced = text.match(/```(?:json)?[^\n]*\n([\s\S]*?)```/i);
+  const candidates = [text.trim()];
+  if (fenced) candidates.unshift(fenced[1].trim());
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (_) {}
+    const slice = firstBalanced(candidate, open, close);
+    if (slice) {
+      try {
+        return JSON.parse(slice);
+      } catch (_) {}
+    }
+  }
+  throw new SyntaxError(`No JSON ${open === '[' ? 'array' : 'object'} found in response`);
+}
+
+// First balanced `open ... close` span, skipping brackets inside strings
+function firstBalanced(text, open, close) {
+  const start = text.indexOf(open);
+  if (start === -1) return null;
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i += 1;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === open) {
+      depth += 1;
+    } else if (ch === close) {
+      depth -= 1;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
@@ -1,14 +1,15 @@
 import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'development_secret_change_me';
-const TOKEN_TTL = '7d';
+export const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
 
-export function signToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_TTL });
+// Access tokens are tied to a server-side session (sid) so they stop working
+// once it is revoked; they are renewed through POST /auth/refresh.
+export function signAccessToken(uid, sid) {
+  return jwt.sign({ uid, sid, type: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 }
 
-
-export function cookieOptions() {
+export function cookieOptions({ maxAge = 7 * 24 * 60 * 60 * 1000, path = '/' } = {}) {
   const isProd = process.env.NODE_ENV === 'production';
   return {
     httpOnly: true,
@@ -17,8 +18,8 @@ export function cookieOptions() {
     // Vercel frontend and Render backend), cookies must be sent cross-site.
     // Browsers require SameSite=None and Secure=true for cross-site cookies.
     sameSite: isProd ? 'none' : 'lax',
-    path: '/',
-    maxAge: 7 * 24 * 60 * 60 * 1000
+    path,
+    maxAge
   };
 }
 
@@ -30,8 +31,8 @@ export function signShortLivedToken(payload, ttlSeconds = 300) {
 }
 
 // Keep a single exported verifyToken function
-export function verifyToken(token) {
-  return jwt.verify(token, JWT_SECRET);
+export function verifyToken(token, options) {
+  return jwt.verify(token, JWT_SECRET, options);
 }
 
 
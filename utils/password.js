@@ -34,4 +34,14 @@ export async function verifyPassword(plainPassword, storedHash) {
   }
 }
 
+let dummyHash;
 
+// For logins: an account without a password (unknown username, Google-only)
+// still pays for one argon2 verify, so response time doesn't reveal which
+// usernames exist.
+export async function verifyPasswordTimingSafe(plainPassword, storedHash) {
+  if (storedHash) return verifyPassword(plainPassword, storedHash);
+  dummyHash = dummyHash || hashPassword('timing-safe-placeholder');
+  await verifyPassword(String(plainPassword), await dummyHash);
+  return false;
+}
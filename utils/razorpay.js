@@ -1,10 +1,18 @@
 import Razorpay from 'razorpay';
 import crypto from 'crypto';
 
+let clientOverride = null;
+
 export function getRazorpay() {
+  if (clientOverride) return clientOverride;
   return new Razorpay({ key_id: process.env.RAZORPAY_KEY_ID, key_secret: process.env.RAZORPAY_KEY_SECRET });
 }
 
+// Tests swap in a local stub; pass null to go back to the real client
+export function setRazorpayClient(client) {
+  clientOverride = client;
+}
+
 export function verifyRazorpaySignature({ orderId, paymentId, signature }) {
   const body = `${orderId}|${paymentId}`;
   const expected = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(body).digest('hex');
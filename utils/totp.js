@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 second steps), the defaults every
+// authenticator app understands. Secrets are exchanged as RFC 4648 base32.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export const totpStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the step the code matched (within ±`window` steps for clock drift)
+// or null. Callers use the step to refuse a code that was already used.
+export function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const candidate = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+  const current = totpStep(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+export function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}